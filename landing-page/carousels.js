@@ -0,0 +1,175 @@
+// Carruseles de la página principal (antes en un <script> en línea de index.html)
+// - Piezas destacadas: usa setupPiezasDestacadasCarousel de main.js o, si no cargó, un respaldo simple
+// - Ofertas y reels: desplazamiento automático infinito solo en móvil
+const logger = window.logger.scope('carousels');
+
+// Ancho máximo en el que se animan ofertas y reels
+const MOBILE_MAX_WIDTH = 720;
+
+// Función de inicialización del carrusel (fallback si main.js no carga)
+function initCarouselFallback() {
+  const carousel = document.querySelector('.piezas-des-carousel');
+  const slidesContainer = document.querySelector('#featuredCarousel');
+  const slides = document.querySelectorAll('.piezas-des-slide');
+  const dotsContainer = document.querySelector('.piezas-des-dots');
+
+  if (!carousel || !slidesContainer || !slides.length || !dotsContainer) {
+    logger.warn('Elementos del carrusel no encontrados');
+    return;
+  }
+
+  const totalSlides = slides.length;
+  let currentSlide = 0;
+  let autoSlideInterval;
+
+  // Crear puntos de navegación
+  dotsContainer.innerHTML = '';
+  for (let i = 0; i < totalSlides; i++) {
+    const dot = document.createElement('div');
+    dot.classList.add('piezas-des-dot');
+    if (i === 0) dot.classList.add('active');
+    dot.addEventListener('click', () => goToSlide(i));
+    dotsContainer.appendChild(dot);
+  }
+
+  const dots = document.querySelectorAll('.piezas-des-dot');
+
+  function goToSlide(slideIndex) {
+    currentSlide = slideIndex;
+    updateCarousel();
+    resetAutoSlide();
+  }
+
+  function updateCarousel() {
+    slidesContainer.style.transform = `translateX(-${currentSlide * 100}%)`;
+    dots.forEach((dot, index) => {
+      dot.classList.toggle('active', index === currentSlide);
+    });
+  }
+
+  function nextSlide() {
+    currentSlide = (currentSlide + 1) % totalSlides;
+    updateCarousel();
+  }
+
+  function startAutoSlide() {
+    if (autoSlideInterval) clearInterval(autoSlideInterval);
+    autoSlideInterval = setInterval(nextSlide, 4000);
+  }
+
+  function stopAutoSlide() {
+    if (autoSlideInterval) {
+      clearInterval(autoSlideInterval);
+      autoSlideInterval = null;
+    }
+  }
+
+  function resetAutoSlide() {
+    stopAutoSlide();
+    startAutoSlide();
+  }
+
+  carousel.addEventListener('mouseenter', stopAutoSlide);
+  carousel.addEventListener('mouseleave', startAutoSlide);
+
+  updateCarousel();
+  startAutoSlide();
+
+  logger.debug('Carrusel inicializado (fallback) con', totalSlides, 'slides');
+}
+
+// Desplazamiento automático infinito de una fila de tarjetas en móvil.
+// Devuelve la función que la reinicia (al cambiar el tamaño o el contenido).
+function createAutoScroller(gridSelector, itemSelector, cloneClass) {
+  let animationId = null;
+
+  return function init() {
+    const grid = document.querySelector(gridSelector);
+    if (!grid) return;
+
+    // Limpiar animación anterior
+    if (animationId) {
+      cancelAnimationFrame(animationId);
+      animationId = null;
+    }
+    grid.style.transform = '';
+
+    // Limpiar clones existentes
+    grid.querySelectorAll(`.${cloneClass}`).forEach(clone => clone.remove());
+
+    // Solo aplicar en móvil
+    if (window.innerWidth > MOBILE_MAX_WIDTH) return;
+
+    const items = grid.querySelectorAll(`${itemSelector}:not(.${cloneClass})`);
+    if (items.length === 0) return;
+
+    // Duplicar las tarjetas para scroll infinito
+    items.forEach(item => {
+      const clone = item.cloneNode(true);
+      clone.classList.add(cloneClass);
+      grid.appendChild(clone);
+    });
+
+    // Calcular dimensiones
+    const gap = parseFloat(getComputedStyle(grid).gap) || 16;
+    const totalWidth = (items[0].offsetWidth + gap) * items.length;
+
+    // Hacer scroll automático
+    let scrollPosition = 0;
+    const scrollSpeed = 0.3;
+    let isPaused = false;
+
+    function autoScroll() {
+      if (!isPaused) {
+        scrollPosition += scrollSpeed;
+        if (scrollPosition >= totalWidth) {
+          scrollPosition = 0;
+        }
+        grid.style.transform = `translateX(-${scrollPosition}px)`;
+      }
+      animationId = requestAnimationFrame(autoScroll);
+    }
+
+    // Pausar al hacer hover (solo en dispositivos con hover)
+    if (window.matchMedia('(hover: hover)').matches) {
+      grid.onmouseenter = () => { isPaused = true; };
+      grid.onmouseleave = () => { isPaused = false; };
+    }
+
+    // Iniciar animación
+    autoScroll();
+  };
+}
+
+const initOffersCarousel = createAutoScroller('.offers-grid', '.offer-card', 'offer-card-clone');
+const initReelsCarousel = createAutoScroller('.instagram-reels-grid', '.reel-container', 'reel-container-clone');
+
+// Intentar usar la función de main.js, si no existe usar fallback
+setTimeout(() => {
+  if (typeof window.setupPiezasDestacadasCarousel === 'function') {
+    logger.debug('Usando función de main.js...');
+    window.setupPiezasDestacadasCarousel();
+  } else {
+    logger.debug('main.js no cargado, usando fallback...');
+    initCarouselFallback();
+  }
+}, 1500);
+
+// Los módulos se ejecutan con el DOM ya listo
+setTimeout(() => {
+  initOffersCarousel();
+  initReelsCarousel();
+}, 100);
+
+// Reinicializar si cambia el tamaño de la ventana
+let resizeTimer;
+window.addEventListener('resize', () => {
+  clearTimeout(resizeTimer);
+  resizeTimer = setTimeout(() => {
+    initOffersCarousel();
+    initReelsCarousel();
+  }, 250);
+});
+
+// Reinicializar cuando main.js renderiza las ofertas desde la API
+document.addEventListener('offersRendered', initOffersCarousel);
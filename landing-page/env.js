@@ -0,0 +1,23 @@
+// Configuración del entorno - Este archivo se reemplaza en cada despliegue (dev, staging, prod)
+// Cualquier clave omitida usa el valor por defecto de services/config.js
+window.XOLITO_ENV = {
+  env: 'development',
+  apiBaseUrl: 'http://localhost:3000/api',
+  // Nivel de logs: debug | info | warn | error | silent (vacío = según el entorno)
+  logLevel: '',
+  googleClientId: '',
+  appleClientId: '',
+  freeShippingThreshold: 879,
+  whatsappNumber: '5214445428475',
+  // Sin procesador de pagos en desarrollo: cobros simulados (tarjetas de prueba y referencia OXXO)
+  paymentProviders: {
+    card: 'sandbox',
+    oxxo: 'sandbox'
+  },
+  // Sin backend de avisos en desarrollo: se simula en localStorage
+  stockAlertBackend: 'local',
+  features: {
+    googleLogin: true,
+    appleLogin: true
+  }
+};
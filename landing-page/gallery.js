@@ -0,0 +1,325 @@
+// Galería de producto - La usan el modal (openProductDetail) y la página de producto (renderProductPage)
+//
+//   detail.innerHTML = html`${productGallery.render(product)} ...`;
+//   const gallery = productGallery.mount(detail, product);
+//   gallery.showSource(variant.image);
+//
+// Fotos de `imagenes` (la principal primero) y videos de `videos` o de `imagenes` con tipo 'video'.
+// Zoom al pasar el mouse o con dos dedos, deslizar para cambiar, flechas del teclado y pantalla completa.
+// Las imágenes se cargan al mostrarse (loading="lazy") y usan srcset cuando la API manda `tamanos`.
+(function() {
+  'use strict';
+
+  const { html, raw, safeUrl } = window.template;
+  const logger = window.logger.scope('gallery');
+
+  const VIDEO_PATTERN = /\.(mp4|webm|mov)(\?|#|$)/i;
+  const SWIPE_THRESHOLD = 50;
+  const MAX_PINCH_SCALE = 4;
+  const STAGE_SIZES = '(max-width: 720px) 100vw, 50vw';
+
+  // Controladores de las galerías montadas, por elemento [data-gallery]
+  const galleries = new WeakMap();
+
+  // Las URLs de srcset se separan por espacios y comas: codificar las que los traen (p. ej. "Anillo luna (1).jpg")
+  function encodeSrcsetUrl(url) {
+    return url.replace(/ /g, '%20').replace(/,/g, '%2C');
+  }
+
+  function buildSrcset(sizes) {
+    if (!Array.isArray(sizes)) return '';
+    return sizes
+      .map(size => ({ url: safeUrl(size.ruta), width: Number(size.ancho) }))
+      .filter(size => size.url && size.width > 0)
+      .map(size => `${encodeSrcsetUrl(size.url)} ${size.width}w`)
+      .join(', ');
+  }
+
+  function isVideoEntry(entry) {
+    return entry.tipo === 'video' || VIDEO_PATTERN.test(entry.ruta || '');
+  }
+
+  function toVideoItem(entry, name) {
+    return {
+      type: 'video',
+      src: safeUrl(entry.ruta),
+      poster: safeUrl(entry.poster),
+      alt: entry.titulo || `${name} en video`
+    };
+  }
+
+  // Entradas de la galería: [{ type: 'image' | 'video', src, srcset, poster, alt }]
+  function getItems(product) {
+    const name = product.name || product.nombre || '';
+    const images = (product.imagenes || [])
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => Number(!!b.entry.es_principal) - Number(!!a.entry.es_principal) || a.index - b.index)
+      .map(({ entry }) => entry);
+
+    const items = images.map((entry, index) => isVideoEntry(entry)
+      ? toVideoItem(entry, name)
+      : {
+        type: 'image',
+        src: safeUrl(entry.ruta),
+        srcset: buildSrcset(entry.tamanos),
+        alt: entry.alt || `${name} - Vista ${index + 1}`
+      });
+    (product.videos || []).forEach(entry => items.push(toVideoItem(entry, name)));
+
+    const valid = items.filter(item => item.src);
+    if (valid.length === 0 && safeUrl(product.image)) {
+      valid.push({ type: 'image', src: safeUrl(product.image), srcset: '', alt: name });
+    }
+    return valid;
+  }
+
+  function renderStageItem(item, { eager = false, sizes = STAGE_SIZES } = {}) {
+    if (!item) {
+      return html`<div class="gallery-empty">Sin imágenes</div>`;
+    }
+    if (item.type === 'video') {
+      return html`<video class="gallery-media" src="${item.src}" ${item.poster ? html`poster="${item.poster}"` : ''} controls playsinline preload="metadata" aria-label="${item.alt}"></video>`;
+    }
+    return html`<img class="gallery-media" src="${item.src}" ${item.srcset ? html`srcset="${item.srcset}" sizes="${sizes}"` : ''} alt="${item.alt}" loading="${eager ? 'eager' : 'lazy'}" decoding="async" data-fallback>`;
+  }
+
+  function renderThumbnails(items, current) {
+    if (items.length < 2) return '';
+    return html`
+      <div class="gallery-thumbnails" role="tablist" aria-label="Vistas">
+        ${items.map((item, index) => html`
+          <button type="button" class="gallery-thumbnail${index === current ? ' active' : ''}" data-gallery-index="${index}" role="tab" aria-selected="${String(index === current)}" aria-label="${item.alt}">
+            ${item.type === 'video'
+              ? html`<span class="gallery-thumbnail-video">${item.poster ? html`<img src="${item.poster}" alt="" loading="lazy" data-fallback>` : ''}<span aria-hidden="true">▶</span></span>`
+              : html`<img src="${item.src}" ${item.srcset ? html`srcset="${item.srcset}" sizes="96px"` : ''} alt="" loading="lazy" decoding="async" data-fallback>`}
+          </button>
+        `)}
+      </div>
+    `;
+  }
+
+  // Marcado inicial; mount() le agrega el comportamiento
+  function render(product, { lightbox = false } = {}) {
+    const items = getItems(product);
+    const multiple = items.length > 1;
+    return html`
+      <div class="gallery${lightbox ? ' gallery--lightbox' : ''}" data-gallery tabindex="0" aria-roledescription="galería" aria-label="Fotos de ${product.name || product.nombre || 'producto'}">
+        <div class="gallery-stage" data-gallery-stage>
+          ${renderStageItem(items[0], { eager: true, sizes: lightbox ? '100vw' : STAGE_SIZES })}
+          <button type="button" class="gallery-arrow gallery-arrow--prev" data-gallery-prev aria-label="Anterior" ${multiple ? '' : raw('hidden')}>‹</button>
+          <button type="button" class="gallery-arrow gallery-arrow--next" data-gallery-next aria-label="Siguiente" ${multiple ? '' : raw('hidden')}>›</button>
+          <span class="gallery-counter" data-gallery-counter ${multiple ? '' : raw('hidden')}>1 / ${items.length}</span>
+          ${lightbox
+            ? html`<button type="button" class="gallery-close" data-gallery-close aria-label="Cerrar">×</button>`
+            : html`<button type="button" class="gallery-expand" data-gallery-expand aria-label="Ver en pantalla completa">⤢</button>`}
+        </div>
+        <div data-gallery-thumbnails>${renderThumbnails(items, 0)}</div>
+      </div>
+    `;
+  }
+
+  function distance(a, b) {
+    return Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+  }
+
+  // Comportamiento de la galería [data-gallery] dentro de `root`
+  function mount(root, product, { lightbox = false, onClose = null } = {}) {
+    const element = root.matches && root.matches('[data-gallery]') ? root : root.querySelector('[data-gallery]');
+    if (!element) return null;
+
+    const stage = element.querySelector('[data-gallery-stage]');
+    const state = { items: getItems(product), index: 0, scale: 1 };
+    const canHover = window.matchMedia('(hover: hover)').matches;
+    const sizes = lightbox ? '100vw' : STAGE_SIZES;
+
+    function getMedia() {
+      return stage.querySelector('.gallery-media');
+    }
+
+    function resetZoom() {
+      state.scale = 1;
+      stage.classList.remove('is-zoomed');
+      const media = getMedia();
+      if (media) {
+        media.style.transform = '';
+        media.style.transformOrigin = '';
+      }
+    }
+
+    function show(index) {
+      if (state.items.length === 0) return;
+      const total = state.items.length;
+      state.index = (index + total) % total;
+
+      const previous = getMedia();
+      if (previous && previous.tagName === 'VIDEO') previous.pause();
+      resetZoom();
+
+      const next = document.createElement('template');
+      next.innerHTML = renderStageItem(state.items[state.index], { eager: true, sizes });
+      if (previous) {
+        previous.replaceWith(next.content);
+      } else {
+        stage.prepend(next.content);
+      }
+
+      // Las flechas aparecen si se agrega una segunda entrada (p. ej. la imagen de una variante)
+      element.querySelectorAll('[data-gallery-prev], [data-gallery-next], [data-gallery-counter]').forEach(control => {
+        control.hidden = total < 2;
+      });
+      element.querySelector('[data-gallery-counter]').textContent = `${state.index + 1} / ${total}`;
+      element.querySelectorAll('[data-gallery-index]').forEach(thumb => {
+        const active = Number(thumb.dataset.galleryIndex) === state.index;
+        thumb.classList.toggle('active', active);
+        thumb.setAttribute('aria-selected', String(active));
+      });
+    }
+
+    // Mostrar una imagen por URL (la de una variante); si no está en la galería se agrega al final
+    function showSource(src) {
+      const url = safeUrl(src);
+      if (!url) return;
+      let index = state.items.findIndex(item => item.src === url);
+      if (index === -1) {
+        state.items.push({ type: 'image', src: url, srcset: '', alt: product.name || '' });
+        index = state.items.length - 1;
+        element.querySelector('[data-gallery-thumbnails]').innerHTML = renderThumbnails(state.items, index);
+      }
+      show(index);
+    }
+
+    function openLightbox() {
+      const overlay = document.createElement('div');
+      overlay.className = 'gallery-lightbox';
+      overlay.setAttribute('role', 'dialog');
+      overlay.setAttribute('aria-modal', 'true');
+      overlay.innerHTML = render(product, { lightbox: true });
+      document.body.appendChild(overlay);
+      document.body.classList.add('gallery-lightbox-open');
+
+      const lightboxGallery = mount(overlay, product, {
+        lightbox: true,
+        onClose: () => {
+          overlay.remove();
+          document.body.classList.remove('gallery-lightbox-open');
+          element.focus();
+        }
+      });
+      // Mismas entradas (incluida la imagen de variante agregada) y en la misma posición
+      lightboxGallery.setItems(state.items, state.index);
+      overlay.querySelector('[data-gallery]').focus();
+    }
+
+    function setItems(items, index = 0) {
+      state.items = items.slice();
+      element.querySelector('[data-gallery-thumbnails]').innerHTML = renderThumbnails(state.items, index);
+      show(index);
+    }
+
+    function close() {
+      const media = getMedia();
+      if (media && media.tagName === 'VIDEO') media.pause();
+      if (onClose) onClose();
+    }
+
+    element.addEventListener('click', (e) => {
+      if (e.target.closest('[data-gallery-prev]')) {
+        show(state.index - 1);
+      } else if (e.target.closest('[data-gallery-next]')) {
+        show(state.index + 1);
+      } else if (e.target.closest('[data-gallery-expand]')) {
+        openLightbox();
+      } else if (e.target.closest('[data-gallery-close]')) {
+        close();
+      } else if (e.target.closest('[data-gallery-index]')) {
+        show(Number(e.target.closest('[data-gallery-index]').dataset.galleryIndex));
+      } else if (!lightbox && e.target.closest('.gallery-media') && getMedia().tagName === 'IMG' && !canHover) {
+        // En pantallas táctiles tocar la foto abre la pantalla completa
+        openLightbox();
+      }
+    });
+
+    element.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        show(state.index - 1);
+      } else if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        show(state.index + 1);
+      } else if (e.key === 'Escape' && lightbox) {
+        // Que no cierre también el modal de producto que queda detrás
+        e.stopPropagation();
+        close();
+      }
+    });
+
+    // Zoom al pasar el mouse: la foto se amplía siguiendo el puntero
+    if (canHover) {
+      stage.addEventListener('mousemove', (e) => {
+        const media = getMedia();
+        if (!media || media.tagName !== 'IMG' || e.target !== media) {
+          resetZoom();
+          return;
+        }
+        const rect = media.getBoundingClientRect();
+        stage.classList.add('is-zoomed');
+        media.style.transformOrigin = `${((e.clientX - rect.left) / rect.width) * 100}% ${((e.clientY - rect.top) / rect.height) * 100}%`;
+      });
+      stage.addEventListener('mouseleave', resetZoom);
+    }
+
+    // Táctil: deslizar con un dedo cambia de foto, con dos dedos se amplía
+    let touch = null;
+    stage.addEventListener('touchstart', (e) => {
+      const media = getMedia();
+      if (e.touches.length === 2 && media && media.tagName === 'IMG') {
+        const rect = media.getBoundingClientRect();
+        const midX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+        const midY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
+        media.style.transformOrigin = `${((midX - rect.left) / rect.width) * 100}% ${((midY - rect.top) / rect.height) * 100}%`;
+        touch = { pinch: true, distance: distance(e.touches[0], e.touches[1]), scale: state.scale };
+      } else if (e.touches.length === 1 && state.scale === 1) {
+        touch = { pinch: false, x: e.touches[0].clientX, y: e.touches[0].clientY };
+      }
+    }, { passive: true });
+
+    stage.addEventListener('touchmove', (e) => {
+      if (!touch || !touch.pinch || e.touches.length !== 2) return;
+      const media = getMedia();
+      state.scale = Math.min(MAX_PINCH_SCALE, Math.max(1, touch.scale * distance(e.touches[0], e.touches[1]) / touch.distance));
+      media.style.transform = `scale(${state.scale})`;
+    }, { passive: true });
+
+    stage.addEventListener('touchend', (e) => {
+      if (!touch) return;
+      if (touch.pinch) {
+        if (state.scale < 1.05) resetZoom();
+      } else {
+        const dx = e.changedTouches[0].clientX - touch.x;
+        const dy = e.changedTouches[0].clientY - touch.y;
+        if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+          show(state.index + (dx < 0 ? 1 : -1));
+        }
+      }
+      touch = null;
+    });
+
+    const controller = { show, showSource, setItems, close, getIndex: () => state.index };
+    galleries.set(element, controller);
+    logger.debug('Galería montada con', state.items.length, 'elementos');
+    return controller;
+  }
+
+  // Controlador de una galería ya montada dentro de `root`
+  function get(root) {
+    const element = root && root.querySelector('[data-gallery]');
+    return element ? galleries.get(element) || null : null;
+  }
+
+  window.productGallery = {
+    getItems,
+    render,
+    mount,
+    get
+  };
+})();
@@ -1,44 +1,58 @@
 
+// Logger con niveles (services/logger.js)
+const logger = window.logger.scope('main');
+
+// Plantillas con escape automático (services/template.js): todo lo que llega de la API
+// pasa por html`` antes de ir a innerHTML
+const { html, raw, richText, safeUrl } = window.template;
+
+// Imagen de respaldo para <img data-fallback> que no cargan (ver setupImageFallbacks)
+const IMAGE_FALLBACK_SRC = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjQwMCIgdmlld0JveD0iMCAwIDQwMCA0MDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+PHJlY3Qgd2lkdGg9IjQwMCIgaGVpZ2h0PSI0MDAiIGZpbGw9IiNmNWY1ZjUiLz48dGV4dCB4PSIyMDAiIHk9IjIwMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZG9taW5hbnQtYmFzZWxpbmU9Im1pZGRsZSIgZmlsbD0iIzk5OSIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjE4Ij5JbWFnZW4gbm8gZGlzcG9uaWJsZTwvdGV4dD48L3N2Zz4=';
+
 // Variable global para almacenar productos cargados desde la API
 let PRODUCTS = [];
 
 // Función para esperar a que productService esté disponible
 async function waitForProductService(maxAttempts = 50, delay = 200) {
-	console.log('⏳ Esperando a que productService esté disponible...');
+	logger.debug('Esperando a que productService esté disponible...');
 	for (let i = 0; i < maxAttempts; i++) {
 		if (window.productService) {
-			console.log(`✅ productService disponible después de ${i + 1} intentos`);
+			logger.debug(`productService disponible después de ${i + 1} intentos`);
 			return true;
 		}
 		if (i % 10 === 0 && i > 0) {
-			console.log(`⏳ Esperando... (intento ${i + 1}/${maxAttempts})`);
+			logger.debug(`Esperando... (intento ${i + 1}/${maxAttempts})`);
 		}
 		await new Promise(resolve => setTimeout(resolve, delay));
 	}
-	console.error('❌ productService no está disponible después de esperar');
+	logger.error('productService no está disponible después de esperar');
 	return false;
 }
 
-// Función para cargar productos desde la API
-async function loadProductsFromAPI() {
+// Función para cargar productos desde la API (filtros de productService.getAllProducts)
+async function loadProductsFromAPI(filters = {}) {
 	try {
-		console.log('🔄 Iniciando carga de productos desde la API...');
+		logger.debug('Iniciando carga de productos desde la API...');
 		
 		// Esperar a que productService esté disponible (hasta 10 segundos)
 		const serviceAvailable = await waitForProductService(50, 200);
 		if (!serviceAvailable) {
-			console.error('❌ productService no está disponible después de esperar 10 segundos');
-			console.error('   Verifica que services/productService.js se esté cargando correctamente');
-			console.error('   Asegúrate de que el servidor backend esté corriendo en http://localhost:3000');
+			logger.error('productService no está disponible después de esperar 10 segundos. Verifica que services/productService.js se esté cargando correctamente');
 			return [];
 		}
 		
-		console.log('✅ productService disponible, haciendo petición a la API...');
-		console.log('🔗 URL de la API: http://localhost:3000/api/products?activo=1');
-		
-		const result = await window.productService.getAllProducts({ activo: '1' });
-		console.log('📦 Respuesta de la API recibida');
-		console.log('📊 Estado del resultado:', {
+		logger.debug('productService disponible, haciendo petición a la API...');
+		// Si la respuesta vino de la caché y el servidor trae cambios, refrescar los destacados
+		const result = await window.productService.getAllProducts({ activo: '1', ...filters }, {
+			onUpdate: updated => {
+				if (!updated.success || !updated.products || updated.products.length === 0) return;
+				PRODUCTS = updated.products.map(apiProduct => window.productService.formatProductForFrontend(apiProduct));
+				logger.debug('Productos actualizados tras revalidar la caché');
+				renderFeaturedCarousel();
+			}
+		});
+		logger.debug('Respuesta de la API recibida');
+		logger.debug('Estado del resultado:', {
 			success: result.success,
 			productsCount: result.products?.length || 0,
 			message: result.message
@@ -49,33 +63,24 @@ async function loadProductsFromAPI() {
 			PRODUCTS = result.products.map(apiProduct => 
 				window.productService.formatProductForFrontend(apiProduct)
 			);
-			console.log(`✅ Cargados ${PRODUCTS.length} productos desde la API`);
-			console.log('   Primeros productos:', PRODUCTS.slice(0, 3).map(p => `${p.name} (${p.category})`));
-			console.log('   Todas las categorías:', [...new Set(PRODUCTS.map(p => p.category))]);
+			logger.debug(`Cargados ${PRODUCTS.length} productos desde la API`);
+			logger.debug('   Primeros productos:', PRODUCTS.slice(0, 3).map(p => `${p.name} (${p.category})`));
+			logger.debug('   Todas las categorías:', [...new Set(PRODUCTS.map(p => p.category))]);
 			return PRODUCTS;
 		} else {
-			console.warn('⚠️ No se pudieron cargar productos desde la API');
-			console.warn('   success:', result.success);
-			console.warn('   products:', result.products?.length || 0);
-			console.warn('   message:', result.message);
+			logger.warn('No se pudieron cargar productos desde la API:', result.message);
 			return [];
 		}
 	} catch (error) {
-		console.error('❌ Error al cargar productos desde la API:', error);
-		console.error('   Tipo de error:', error.name);
-		console.error('   Mensaje:', error.message);
-		console.error('   Stack:', error.stack);
-		console.error('   Verifica:');
-		console.error('   1. ¿El servidor backend está corriendo? http://localhost:3000');
-		console.error('   2. ¿La API está respondiendo? Prueba: http://localhost:3000/api/products');
-		console.error('   3. ¿Hay errores de CORS?');
+		logger.error(`Error al cargar productos desde ${window.appConfig.apiBaseUrl}:`, error);
 		// En caso de error, retornar array vacío para evitar errores
 		return [];
 	}
 }
 
 // Función para obtener un producto por ID (compatibilidad con código existente)
-async function getProductById(id) {
+// onUpdate recibe el producto ya formateado si la revalidación de la caché trae cambios
+async function getProductById(id, { onUpdate = null } = {}) {
 	// Si el producto ya está en PRODUCTS, retornarlo
 	const cachedProduct = PRODUCTS.find(p => p.id === id);
 	if (cachedProduct) {
@@ -85,22 +90,54 @@ async function getProductById(id) {
 	// Si no está en cache, intentar cargarlo desde la API
 	try {
 		if (window.productService) {
-			const result = await window.productService.getProductById(id);
+			const result = await window.productService.getProductById(id, {
+				onUpdate: onUpdate && (updated => {
+					if (updated.success && updated.product) {
+						onUpdate(window.productService.formatProductForFrontend(updated.product));
+					}
+				})
+			});
 			if (result.success && result.product) {
 				return window.productService.formatProductForFrontend(result.product);
 			}
 		}
 	} catch (error) {
-		console.error('Error al obtener producto:', error);
+		logger.error('Error al obtener producto:', error);
 	}
 	
 	return null;
 }
 
 // Cart functionality
+// Cada línea del carrito es un producto + variante (services/cartService.js)
+const { getLineKey } = window.cartService;
+
+// Espera antes de enviar cambios al servidor (agrupa clicks seguidos en +/-)
+const CART_SYNC_DELAY = 400;
+const CART_COUPON_KEY = 'cartCoupon';
+// Cambios del carrito hechos sin conexión: base sincronizada para combinarlos al volver
+const CART_PENDING_SYNC_KEY = 'cartPendingSync';
+// Última versión confirmada por el servidor: si existe, el carrito local es copia del de la cuenta
+// (no un carrito anónimo) y al volver a abrir la sesión se reconcilia en lugar de sumarse
+const CART_SYNCED_KEY = 'cartSyncedBase';
+
 class Cart {
 	constructor() {
 		this.items = this.loadFromStorage();
+		// 'local' para invitados, 'server' cuando hay sesión y el carrito se sincroniza con /api/cart
+		this.syncMode = 'local';
+		this.serverVersion = null;
+		// Última versión confirmada por el servidor (para revertir o resolver conflictos)
+		this.syncedItems = [];
+		this.syncTimer = null;
+		this.syncPromise = null;
+		this.syncQueued = false;
+		this.syncPending = false;
+		// Avisos por línea (getLineKey) tras revisar precio y stock (no se guardan en localStorage)
+		this.notices = new Map();
+		this.revalidating = null;
+		// Cupón aplicado (services/promotionService.js)
+		this.couponCode = localStorage.getItem(CART_COUPON_KEY) || '';
 		this.updateCartUI();
 	}
 
@@ -116,58 +153,401 @@ class Cart {
 		localStorage.setItem('cart', JSON.stringify(this.items));
 	}
 
-	async addItem(productId, quantity = 1) {
+	// Guardar localmente y, si hay sesión, enviar el cambio al servidor (actualización optimista)
+	persist() {
+		this.saveToStorage();
+		if (this.syncMode === 'server') {
+			clearTimeout(this.syncTimer);
+			this.syncTimer = setTimeout(() => this.pushToServer(), CART_SYNC_DELAY);
+		}
+	}
+
+	// Completar los datos de producto de items que solo traen id, variante y cantidad
+	async hydrateItems(items) {
+		const hydrated = await Promise.all(items.map(async ({ id, variantId = null, quantity, product: serverProduct }) => {
+			const key = getLineKey({ id, variantId });
+			const existing = this.items.find(item => getLineKey(item) === key);
+			if (existing) {
+				return { ...existing, quantity };
+			}
+
+			let product = PRODUCTS.find(p => String(p.id) === String(id));
+			if (!product && serverProduct) {
+				product = window.productService.formatProductForFrontend(serverProduct);
+			}
+			if (!product || (variantId && !findVariantById(product, variantId))) {
+				product = await getProductById(id) || product;
+			}
+			return product ? createCartLine(product, variantId, quantity) : null;
+		}));
+		return hydrated.filter(Boolean);
+	}
+
+	copyItems(items) {
+		return items.map(item => ({ ...item }));
+	}
+
+	setSyncedItems(items) {
+		this.syncedItems = this.copyItems(items);
+		localStorage.setItem(CART_SYNCED_KEY, JSON.stringify(
+			this.syncedItems.map(({ id, variantId, quantity }) => ({ id, variantId, quantity }))
+		));
+	}
+
+	loadSyncedBase() {
+		try {
+			return JSON.parse(localStorage.getItem(CART_SYNCED_KEY));
+		} catch {
+			return null;
+		}
+	}
+
+	// Marcar que hay cambios sin enviar. Se guarda en localStorage para no perderlos si se
+	// cierra la página sin conexión; la base permite combinarlos con el carrito del servidor
+	setSyncPending(pending) {
+		this.syncPending = pending;
+		if (pending) {
+			localStorage.setItem(CART_PENDING_SYNC_KEY, JSON.stringify({
+				base: this.syncedItems.map(({ id, variantId, quantity }) => ({ id, variantId, quantity }))
+			}));
+		} else {
+			localStorage.removeItem(CART_PENDING_SYNC_KEY);
+		}
+	}
+
+	loadPendingSync() {
+		try {
+			return JSON.parse(localStorage.getItem(CART_PENDING_SYNC_KEY));
+		} catch {
+			return null;
+		}
+	}
+
+	// Al iniciar sesión: unir el carrito anónimo con el del servidor y empezar a sincronizar.
+	// Si el carrito local ya estaba sincronizado (sesión abierta en una visita anterior) solo se
+	// conservan sus cambios desde entonces: lo que se quitó en otro dispositivo no vuelve
+	async attachToServer() {
+		if (this.syncMode === 'server' || !window.cartService) return;
+
+		const result = await window.cartService.getServerCart();
+		if (!result.success) {
+			logger.warn('No se pudo obtener el carrito del servidor, se mantiene el carrito local');
+			return;
+		}
+
+		const serverItems = await this.hydrateItems(result.cart.items);
+		// Con cambios pendientes de una sesión sin conexión se respetan también las eliminaciones
+		const pending = this.loadPendingSync();
+		const base = pending ? pending.base : this.loadSyncedBase();
+		const merged = base
+			? window.cartService.reconcileCartItems(this.items, base, serverItems)
+			: window.cartService.mergeCartItems(this.items, serverItems);
+		this.items = await this.hydrateItems(merged);
+		this.serverVersion = result.cart.version;
+		this.setSyncedItems(serverItems);
+		this.syncMode = 'server';
+		this.saveToStorage();
+		this.updateCartUI();
+
+		await this.pushToServer();
+	}
+
+	// Al cerrar sesión: enviar cambios pendientes y volver al modo local con el carrito vacío
+	async detachFromServer() {
+		if (this.syncMode !== 'server') return;
+
+		clearTimeout(this.syncTimer);
+		await this.pushToServer();
+
+		if (this.syncPending) {
+			logger.warn('Se cerró la sesión con cambios del carrito sin sincronizar');
+		}
+		this.syncMode = 'local';
+		this.serverVersion = null;
+		this.syncedItems = [];
+		localStorage.removeItem(CART_SYNCED_KEY);
+		this.setSyncPending(false);
+		this.items = [];
+		this.saveToStorage();
+		this.updateCartUI();
+	}
+
+	async pushToServer() {
+		if (this.syncMode !== 'server') return;
+
+		// Solo una petición a la vez; los cambios que lleguen mientras tanto se envían después
+		if (this.syncPromise) {
+			this.syncQueued = true;
+			return this.syncPromise;
+		}
+
+		// Sin conexión no tiene caso intentarlo: queda en cola hasta el evento 'online'
+		if (!navigator.onLine) {
+			this.setSyncPending(true);
+			return;
+		}
+
+		const snapshot = this.copyItems(this.items);
+		this.syncPromise = (async () => {
+			const result = await window.cartService.saveServerCart(snapshot, this.serverVersion);
+
+			if (result.success) {
+				this.serverVersion = result.cart.version;
+				this.setSyncedItems(snapshot);
+				this.setSyncPending(false);
+				return;
+			}
+
+			if (result.conflict) {
+				await this.reconcileWithServer();
+				return;
+			}
+
+			if (result.networkError) {
+				// Sin conexión: conservar el cambio local y reintentar al volver a estar en línea
+				logger.warn('Carrito pendiente de sincronizar, se reintentará al recuperar la conexión');
+				this.setSyncPending(true);
+				return;
+			}
+
+			// El servidor rechazó el cambio: revertir la actualización optimista
+			this.items = this.copyItems(this.syncedItems);
+			this.saveToStorage();
+			this.updateCartUI();
+			showAuthMessage(result.message || 'No se pudo actualizar tu carrito', 'error');
+		})().finally(() => {
+			this.syncPromise = null;
+			if (this.syncQueued) {
+				this.syncQueued = false;
+				this.pushToServer();
+			}
+		});
+
+		return this.syncPromise;
+	}
+
+	// Conflicto de versión (otro dispositivo cambió el carrito): combinar y reenviar
+	async reconcileWithServer() {
+		const result = await window.cartService.getServerCart();
+		if (!result.success) return;
+
+		const serverItems = await this.hydrateItems(result.cart.items);
+		const reconciled = window.cartService.reconcileCartItems(this.items, this.syncedItems, serverItems);
+		this.items = await this.hydrateItems(reconciled);
+		this.serverVersion = result.cart.version;
+		this.setSyncedItems(serverItems);
+		this.saveToStorage();
+		this.updateCartUI();
+		this.syncQueued = true;
+	}
+
+	// Agregar un producto; los que tienen variantes necesitan variantId. Resuelve true si se agregó
+	async addItem(productId, quantity = 1, variantId = null) {
 		// Intentar obtener el producto desde cache o API
-		let product = PRODUCTS.find(p => p.id === productId);
+		let product = PRODUCTS.find(p => String(p.id) === String(productId));
 		
-		// Si no está en cache, cargarlo desde la API
-		if (!product) {
-			product = await getProductById(productId);
+		// Si no está en cache (o el listado no trajo sus variantes), cargarlo desde la API
+		if (!product || (variantId && !findVariantById(product, variantId))) {
+			product = await getProductById(productId) || product;
 		}
 		
 		if (!product) {
-			console.warn('Producto no encontrado:', productId);
-			return;
+			logger.warn('Producto no encontrado:', productId);
+			return false;
+		}
+
+		const variant = findVariantById(product, variantId);
+		if (hasVariants(product) && !variant) {
+			logger.warn('Variante no encontrada para el producto:', productId, variantId);
+			showAuthMessage('Elige las opciones del producto antes de agregarlo', 'error');
+			return false;
+		}
+
+		const line = createCartLine(product, variant ? variant.id : null, 0);
+		const key = getLineKey(line);
+		const existingItem = this.items.find(item => getLineKey(item) === key);
+		const currentQuantity = existingItem ? existingItem.quantity : 0;
+		const allowed = this.clampToStock(line, currentQuantity + quantity);
+		if (allowed <= currentQuantity) {
+			showAuthMessage(allowed === 0 ? 'Este producto está agotado' : `Solo hay ${allowed} disponibles de este producto`, 'error');
+			return false;
 		}
 
-		const existingItem = this.items.find(item => item.id === productId);
 		if (existingItem) {
-			existingItem.quantity += quantity;
+			existingItem.quantity = allowed;
 		} else {
-			this.items.push({ ...product, quantity });
+			this.items.push({ ...line, quantity: allowed });
 		}
-		this.saveToStorage();
+		this.persist();
 		// Actualizar UI inmediatamente
 		this.updateCartUI();
+		return true;
 	}
 
-	removeItem(productId) {
-		this.items = this.items.filter(item => item.id !== productId);
-		this.saveToStorage();
+	removeItem(lineKey) {
+		this.items = this.items.filter(item => getLineKey(item) !== String(lineKey));
+		this.notices.delete(String(lineKey));
+		this.persist();
 		this.updateCartUI();
 	}
 
-	updateQuantity(productId, quantity) {
-		const item = this.items.find(item => item.id === productId);
+	updateQuantity(lineKey, quantity) {
+		const item = this.items.find(item => getLineKey(item) === String(lineKey));
 		if (item) {
 			if (quantity <= 0) {
-				this.removeItem(productId);
+				this.removeItem(lineKey);
 			} else {
-				item.quantity = quantity;
-				this.saveToStorage();
+				const allowed = this.clampToStock(item, quantity);
+				if (allowed < quantity) {
+					this.notices.set(getLineKey(item), { type: 'stock', message: `Solo hay ${allowed} disponibles` });
+				}
+				item.quantity = allowed;
+				this.persist();
 				this.updateCartUI();
 			}
 		}
 	}
 
-	getTotal() {
+	clear() {
+		this.items = [];
+		this.notices.clear();
+		this.setCouponCode('');
+		this.persist();
+		this.updateCartUI();
+	}
+
+	// Suma de precios sin promociones
+	getSubtotal() {
 		return this.items.reduce((total, item) => total + (item.price * item.quantity), 0);
 	}
 
+	// Subtotal, descuentos desglosados, total y envío gratis según las promociones vigentes
+	getPricing() {
+		if (!window.promotionService) {
+			const subtotal = this.getSubtotal();
+			return { subtotal, discounts: [], discountTotal: 0, total: subtotal, freeShipping: subtotal >= window.appConfig.freeShippingThreshold, coupon: null };
+		}
+		return window.promotionService.evaluate(this.items, { couponCode: this.couponCode });
+	}
+
+	getTotal() {
+		return this.getPricing().total;
+	}
+
+	setCouponCode(code) {
+		this.couponCode = code;
+		if (code) {
+			localStorage.setItem(CART_COUPON_KEY, code);
+		} else {
+			localStorage.removeItem(CART_COUPON_KEY);
+		}
+	}
+
+	// Aplicar un cupón; solo se guarda si es válido para el carrito actual
+	applyCoupon(code) {
+		const normalized = String(code || '').trim().toUpperCase();
+		if (!normalized) {
+			return { success: false, message: 'Escribe un código de descuento' };
+		}
+
+		const { coupon } = window.promotionService.evaluate(this.items, { couponCode: normalized });
+		if (!coupon || !coupon.valid) {
+			return { success: false, message: coupon ? coupon.message : 'El cupón no existe o ya expiró' };
+		}
+
+		this.setCouponCode(normalized);
+		this.updateCartUI();
+		return { success: true, message: `Cupón aplicado: ${coupon.message}` };
+	}
+
+	removeCoupon() {
+		this.setCouponCode('');
+		this.updateCartUI();
+	}
+
 	getItemCount() {
 		return this.items.reduce((total, item) => total + item.quantity, 0);
 	}
 
+	// Limitar una cantidad al stock conocido del producto (sin dato de stock no se limita)
+	clampToStock(product, quantity) {
+		if (product.stock === undefined || product.stock === null) return quantity;
+		return Math.max(0, Math.min(quantity, Number(product.stock)));
+	}
+
+	// Productos agotados o desactivados: se muestran pero impiden continuar al pago
+	hasBlockingIssues() {
+		return Array.from(this.notices.values()).some(notice => notice.blocking);
+	}
+
+	// Revisar precio, stock y disponibilidad contra la API.
+	// Resuelve { ok } en false si hubo cambios que el cliente debe ver antes de pagar.
+	async revalidate() {
+		if (this.items.length === 0 || !window.cartService) return { ok: true };
+		if (this.revalidating) return this.revalidating;
+
+		this.revalidating = this.applyRevalidation().finally(() => {
+			this.revalidating = null;
+		});
+		return this.revalidating;
+	}
+
+	async applyRevalidation() {
+		const { checks } = await window.cartService.validateCartItems(this.items);
+		let changed = false;
+
+		checks.forEach(check => {
+			const item = this.items.find(entry => getLineKey(entry) === check.key);
+			if (!item) return;
+			const key = check.key;
+
+			if (check.status === 'unknown') {
+				// Sin respuesta de la API: no bloquear, se vuelve a revisar más tarde
+				logger.warn('No se pudo revisar el producto del carrito:', check.id);
+				return;
+			}
+
+			if (check.status === 'unavailable') {
+				this.notices.set(key, { type: 'unavailable', blocking: true, message: 'Este producto ya no está disponible. Elimínalo para continuar.' });
+				changed = true;
+				return;
+			}
+
+			item.stock = check.stock;
+			if (check.status === 'out_of_stock') {
+				this.notices.set(key, { type: 'unavailable', blocking: true, message: 'Producto agotado. Elimínalo para continuar.' });
+				changed = true;
+				return;
+			}
+
+			const messages = [];
+			if (check.priceChanged) {
+				messages.push(`El precio cambió de ${formatCurrency(check.previousPrice)} a ${formatCurrency(check.price)}`);
+				item.price = check.price;
+				item.precio_anterior = check.precio_anterior;
+			}
+			if (check.status === 'quantity_reduced') {
+				messages.push(`Solo quedan ${check.quantity} disponibles, ajustamos la cantidad`);
+				item.quantity = check.quantity;
+			}
+
+			if (messages.length > 0) {
+				this.notices.set(key, { type: 'changed', message: messages.join('. ') });
+				changed = true;
+			} else if (this.notices.has(key) && this.notices.get(key).blocking) {
+				// Volvió a estar disponible
+				this.notices.delete(key);
+			}
+		});
+
+		if (changed) {
+			this.persist();
+		}
+		this.updateCartUI();
+
+		return { ok: !changed && !this.hasBlockingIssues() };
+	}
+
 	updateCartUI() {
 		const cartToggle = document.querySelector('.cart-toggle');
 		const cartItems = document.getElementById('cartItems');
@@ -197,313 +577,981 @@ class Cart {
 			} else {
 				cartItems.style.display = 'block';
 				cartEmpty.style.display = 'none';
-				cartCheckout.disabled = false;
+				cartCheckout.disabled = this.hasBlockingIssues();
 				
 				// Renderizar los items del carrito
 				cartItems.innerHTML = this.items.map(item => {
 					const itemTotal = formatCurrency(item.price * item.quantity);
-					return `
-					<div class="cart-item">
+					const notice = this.notices.get(getLineKey(item));
+					const image = safeUrl(item.image);
+					return html`
+					<div class="cart-item${notice && notice.blocking ? ' cart-item--unavailable' : ''}" data-product-id="${item.id}" data-line-key="${getLineKey(item)}">
 						<div class="cart-item-media">
-							${item.image ? `<img src="${item.image}" alt="${item.name}" style="width: 100%; height: 100%; object-fit: cover; border-radius: 8px;" onerror="this.parentElement.innerHTML = '${createPlaceholderSVG(item.id).replace(/'/g, "\\'")}'">` : createPlaceholderSVG(item.id)}
+							${image ? html`<img src="${image}" alt="${item.name}" class="cart-item-img" data-fallback="placeholder">` : createPlaceholderSVG(item.id)}
 						</div>
 						<div class="cart-item-info">
 							<div class="cart-item-name">${item.name}</div>
-							<div class="cart-item-price">${formatCurrency(item.price)} c/u</div>
+							${renderVariantOptionsHTML(item, 'cart-item-options')}
+							<div class="cart-item-price">${formatCurrency(item.price)} c/u${isOnSale(item) ? html` <s class="price-previous">${formatCurrency(item.precio_anterior)}</s>` : ''}</div>
 							<div class="cart-item-controls">
 								<div class="cart-item-qty">
-									<button onclick="cart.updateQuantity('${item.id}', ${item.quantity - 1})" aria-label="Disminuir cantidad">-</button>
+									<button type="button" data-cart-quantity="${item.quantity - 1}" aria-label="Disminuir cantidad">-</button>
 									<span>${item.quantity}</span>
-									<button onclick="cart.updateQuantity('${item.id}', ${item.quantity + 1})" aria-label="Aumentar cantidad">+</button>
+									<button type="button" data-cart-quantity="${item.quantity + 1}" aria-label="Aumentar cantidad">+</button>
 								</div>
-								<div style="font-weight: 600; color: var(--verde); margin-top: 0.5rem;">Subtotal: ${itemTotal}</div>
-								<button class="cart-item-remove" onclick="cart.removeItem('${item.id}')">Eliminar</button>
+								<div class="cart-item-subtotal">Subtotal: ${itemTotal}</div>
+								<button type="button" class="cart-item-remove" data-cart-remove>Eliminar</button>
 							</div>
+							${notice ? html`<p class="cart-item-notice cart-item-notice--${notice.type}" role="status">${notice.message}</p>` : ''}
 						</div>
 					</div>
 				`;
 				}).join('');
 				
-				// Actualizar el total
-				cartTotal.textContent = formatCurrency(this.getTotal());
+				// Actualizar el total con el desglose de descuentos
+				const pricing = this.getPricing();
+				cartTotal.textContent = formatCurrency(pricing.total);
+				this.renderSummary(pricing);
 			}
 		}
+
+		const cartSummary = document.getElementById('cartSummary');
+		if (cartSummary && this.items.length === 0) {
+			cartSummary.innerHTML = '';
+		}
+
+		const cartNotice = document.getElementById('cartNotice');
+		if (cartNotice) {
+			const blocking = this.items.length > 0 && this.hasBlockingIssues();
+			cartNotice.hidden = !blocking;
+			cartNotice.textContent = blocking ? 'Algunos productos ya no están disponibles. Elimínalos para continuar con tu compra.' : '';
+		}
+
+		refreshCartRecommendations();
+	}
+
+	// Ahorro por productos en rebaja (precio_anterior - precio)
+	getSaleSavings() {
+		return this.items.reduce((total, item) => {
+			const sale = getSaleInfo(item);
+			return sale.onSale ? total + (sale.previousPrice - sale.price) * item.quantity : total;
+		}, 0);
+	}
+
+	renderSummary(pricing) {
+		const cartSummary = document.getElementById('cartSummary');
+		if (!cartSummary) return;
+
+		const savings = this.getSaleSavings() + pricing.discountTotal;
+		const savingsRow = savings > 0
+			? html`<div class="cart-summary-row cart-summary-savings"><span>Ahorras</span><span>${formatCurrency(savings)}</span></div>`
+			: '';
+
+		// Un cupón guardado que dejó de aplicar (p. ej. el carrito bajó del mínimo) se muestra con su motivo
+		const couponNotice = pricing.coupon && !pricing.coupon.valid
+			? html`<p class="cart-coupon-message cart-coupon-message--error">${pricing.coupon.code}: ${pricing.coupon.message} <button type="button" class="cart-coupon-remove" data-remove-coupon>Quitar</button></p>`
+			: '';
+
+		if (pricing.discounts.length === 0) {
+			cartSummary.innerHTML = html`${savingsRow}${couponNotice}`;
+			return;
+		}
+
+		cartSummary.innerHTML = html`
+			<div class="cart-summary-row"><span>Subtotal</span><span>${formatCurrency(pricing.subtotal)}</span></div>
+			${pricing.discounts.map(discount => html`
+				<div class="cart-summary-row cart-summary-discount">
+					<span>${discount.nombre}${discount.codigo ? raw(' <button type="button" class="cart-coupon-remove" data-remove-coupon>Quitar</button>') : ''}</span>
+					<span>-${formatCurrency(discount.monto)}</span>
+				</div>
+			`)}
+			${savingsRow}
+			${couponNotice}
+		`;
 	}
 }
 
 // Initialize cart
 const cart = new Cart();
 
-// Hacer el carrito accesible globalmente para funciones onclick
+// Hacer el carrito accesible globalmente (tienda.html y producto.html lo usan)
 window.cart = cart;
 
-function formatCurrency(mx) {
-	return new Intl.NumberFormat('es-MX', { style: 'currency', currency: 'MXN' }).format(mx);
-}
+// Favoritos: en localStorage para invitados y en /api/wishlist con sesión (services/wishlistService.js)
+const WISHLIST_STORAGE_KEY = 'wishlist';
 
-function createPlaceholderSVG(id) {
-	const palette = ['#e8d79c', '#2a868f', '#2e694f', '#e7509d'];
-	const a = palette[id.charCodeAt(0) % palette.length];
-	const b = palette[id.charCodeAt(1) % palette.length];
-	return `
-		<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400" role="img" aria-label="Imagen del producto">
-			<defs>
-				<linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
-					<stop offset="0" stop-color="${a}"/>
-					<stop offset="1" stop-color="${b}"/>
-				</linearGradient>
-			</defs>
-			<rect width="400" height="400" fill="url(#g)"/>
-			<circle cx="300" cy="120" r="18" fill="#e63f46"/>
-			<path d="M40 300 L100 220 L160 300 L220 200 L300 300" fill="none" stroke="#2e694f" stroke-width="10" stroke-linecap="round"/>
-		</svg>
-	`;
-}
+class Wishlist {
+	constructor() {
+		// [{ id, addedAt, product }] del más reciente al más antiguo; product es una copia para la lista
+		this.items = this.loadFromStorage();
+		// 'local' para invitados, 'server' cuando hay sesión
+		this.syncMode = 'local';
+		// Avisos de la última revisión (bajó de precio, volvió a haber); no se guardan
+		this.notices = [];
+	}
 
+	loadFromStorage() {
+		try {
+			const items = JSON.parse(localStorage.getItem(WISHLIST_STORAGE_KEY) || '[]');
+			return Array.isArray(items) ? items : [];
+		} catch {
+			return [];
+		}
+	}
 
-// Ejemplo de renderizado simple para cada producto
-/* ============================================
-   CÓDIGO ANTERIOR COMENTADO - DISEÑO NUEVO
-   ============================================ */
-/*
-function renderProducts(products) {
-  // ... código anterior comentado ...
-}
-*/
+	saveToStorage() {
+		localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(this.items));
+	}
 
-/* ============================================
-   NUEVO DISEÑO SIMPLE PARA PRODUCTOS
-   ============================================ */
+	has(productId) {
+		return this.items.some(item => String(item.id) === String(productId));
+	}
 
-// Función simple para cargar productos desde la API
-async function loadProductsSimple() {
-  try {
-    console.log('🔄 Cargando productos desde la API...');
-    
-    const response = await fetch('http://localhost:3000/api/products?activo=1');
-    
-    // Verificar si el servidor está respondiendo
-    if (!response.ok) {
-      if (response.status === 0 || response.status >= 500) {
-        throw new Error(`El servidor backend no está respondiendo (status: ${response.status}). Verifica que esté corriendo en http://localhost:3000`);
-      }
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    console.log('✅ Respuesta de la API recibida');
-    
-    // Verificar estructura de respuesta
-    if (data.success && data.data && data.data.products) {
-      const products = data.data.products;
-      console.log(`✅ Se encontraron ${products.length} productos en la base de datos`);
-      return products;
-    } else if (data.success && Array.isArray(data.data)) {
-      // Fallback: si la respuesta es un array directo
-      console.log(`✅ Se encontraron ${data.data.length} productos en la base de datos`);
-      return data.data;
-    } else {
-      console.warn('⚠️ La API no devolvió productos en el formato esperado:', data);
-      return [];
-    }
-  } catch (error) {
-    // Manejar errores de red (CORS, conexión rechazada, etc.)
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      console.error('❌ Error de conexión: No se pudo conectar al servidor backend');
-      console.error('   Asegúrate de que el servidor esté corriendo:');
-      console.error('   1. Abre una terminal');
-      console.error('   2. cd backend');
-      console.error('   3. npm run dev');
-    } else if (error.message.includes('CORS')) {
-      console.error('❌ Error de CORS: El servidor backend no permite solicitudes desde este origen');
-      console.error('   Verifica la configuración de CORS en backend/.env');
-    } else {
-      console.error('❌ Error al cargar productos:', error.message);
-    }
-    console.error('   URL intentada: http://localhost:3000/api/products?activo=1');
-    return [];
-  }
-}
+	async toggle(productId) {
+		return this.has(productId) ? this.remove(productId) : this.add(productId);
+	}
 
-// Función simple para renderizar productos con diseño nuevo
-function renderProductsSimple(products) {
-  const grid = document.getElementById('productGrid');
-  if (!grid) {
-    console.error('❌ No se encontró el elemento productGrid');
-    return;
-  }
-  
-  // Mostrar la sección de productos
-  const productosSection = document.getElementById('productos');
-  if (productosSection) {
-    productosSection.style.display = 'block';
-  }
-  
-  // Limpiar el grid
-  grid.innerHTML = '';
-  
-  if (!products || products.length === 0) {
-    console.warn('⚠️ No hay productos para mostrar');
-    grid.innerHTML = '<p style="text-align: center; padding: 2rem; color: #666;">No hay productos disponibles</p>';
-    return;
-  }
-  
-  console.log(`🎨 Renderizando ${products.length} productos con diseño nuevo`);
-  
-  products.forEach(product => {
-    // Obtener la imagen principal
-    let imageUrl = 'assets/placeholder.jpg';
-    if (product.imagenes && product.imagenes.length > 0) {
-      const mainImage = product.imagenes.find(img => img.es_principal) || product.imagenes[0];
-      imageUrl = mainImage.ruta || imageUrl;
-    }
-    
-    // Crear tarjeta de producto con diseño simple
-    const card = document.createElement('div');
-    card.className = 'product-card-simple';
-    card.style.cssText = `
-      border: 1px solid #e0e0e0;
-      border-radius: 8px;
-      padding: 1rem;
-      background: white;
-      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-      transition: transform 0.2s, box-shadow 0.2s;
-      cursor: pointer;
-    `;
-    
-    card.innerHTML = `
-      <div style="width: 100%; height: 200px; overflow: hidden; border-radius: 4px; margin-bottom: 1rem; background: #f5f5f5;">
-        <img src="${imageUrl}" alt="${product.nombre}" 
-             style="width: 100%; height: 100%; object-fit: cover;"
-             onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgdmlld0JveD0iMCAwIDIwMCAyMDAiIGZpbGw9IiNmNWY1ZjUiPjx0ZXh0IHg9IjEwMCIgeT0iMTAwIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBkb21pbmFudC1iYXNlbGluZT0ibWlkZGxlIiBmaWxsPSIjOTk5IiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTQiPkltYWdlbiBubyBkaXNwb25pYmxlPC90ZXh0Pjwvc3ZnPg=='">
-      </div>
-      <h3 style="margin: 0 0 0.5rem 0; font-size: 1.1rem; color: #333;">${product.nombre}</h3>
-      <p style="margin: 0 0 0.5rem 0; color: #666; font-size: 0.9rem;">${product.material || 'Material no especificado'}</p>
-      <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 1rem;">
-        <span style="font-size: 1.25rem; font-weight: bold; color: #d4af37;">$${product.precio.toFixed(2)}</span>
-        <button class="btn-add-cart-simple" data-product-id="${product.id}" 
-                style="background: #d4af37; color: white; border: none; padding: 0.5rem 1rem; border-radius: 4px; cursor: pointer; font-weight: bold;">
-          Agregar
-        </button>
-      </div>
-    `;
-    
-    // Efecto hover
-    card.addEventListener('mouseenter', () => {
-      card.style.transform = 'translateY(-4px)';
-      card.style.boxShadow = '0 4px 8px rgba(0,0,0,0.15)';
-    });
-    card.addEventListener('mouseleave', () => {
-      card.style.transform = 'translateY(0)';
-      card.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
-    });
-    
-    // Click en la tarjeta
-    card.addEventListener('click', (e) => {
-      if (e.target.classList.contains('btn-add-cart-simple') || e.target.closest('.btn-add-cart-simple')) {
-        return; // El botón maneja su propio click
+	// Actualización optimista: si el servidor falla se revierte
+	async add(productId) {
+		const product = PRODUCTS.find(p => String(p.id) === String(productId)) || await getProductById(productId);
+		if (!product || this.has(productId)) return false;
+
+		this.items.unshift({ id: product.id, addedAt: Date.now(), product: window.wishlistService.createWishlistSnapshot(product) });
+		this.saveToStorage();
+		this.updateUI();
+
+		if (this.syncMode === 'server') {
+			const result = await window.wishlistService.addServerWishlistItem(product.id);
+			if (!result.success) {
+				this.items = this.items.filter(item => String(item.id) !== String(productId));
+				this.saveToStorage();
+				this.updateUI();
+				showAuthMessage('No se pudo guardar en favoritos. Intenta de nuevo.', 'error');
+				return false;
+			}
+		}
+		return true;
+	}
+
+	async remove(productId) {
+		const index = this.items.findIndex(item => String(item.id) === String(productId));
+		if (index === -1) return false;
+
+		const [removed] = this.items.splice(index, 1);
+		this.notices = this.notices.filter(notice => String(notice.id) !== String(productId));
+		this.saveToStorage();
+		this.updateUI();
+
+		if (this.syncMode === 'server') {
+			const result = await window.wishlistService.removeServerWishlistItem(productId);
+			if (!result.success) {
+				this.items.splice(index, 0, removed);
+				this.saveToStorage();
+				this.updateUI();
+				showAuthMessage('No se pudo quitar de favoritos. Intenta de nuevo.', 'error');
+				return false;
+			}
+		}
+		return true;
+	}
+
+	// Las piezas con variantes se eligen en su página; las demás pasan al carrito y salen de favoritos
+	async moveToCart(productId) {
+		const product = PRODUCTS.find(p => String(p.id) === String(productId)) || await getProductById(productId);
+		if (product && hasVariants(product)) {
+			window.location.href = `producto.html?id=${encodeURIComponent(productId)}`;
+			return false;
+		}
+
+		const added = await cart.addItem(productId, 1);
+		if (!added) return false;
+
+		await this.remove(productId);
+		showAddToCartMessage(productId, 1);
+		return true;
+	}
+
+	// Al iniciar sesión: unir los favoritos de invitado con los de la cuenta
+	async attachToServer() {
+		if (this.syncMode === 'server' || !window.wishlistService) return;
+
+		const result = await window.wishlistService.getServerWishlist();
+		if (!result.success) {
+			logger.warn('No se pudieron obtener los favoritos del servidor, se mantienen los locales');
+			return;
+		}
+
+		const merged = window.wishlistService.mergeWishlistItems(this.items, result.items);
+		const serverIds = new Set(result.items.map(item => String(item.id)));
+		const hasLocalOnly = merged.some(item => !serverIds.has(String(item.id)));
+		if (hasLocalOnly) {
+			const saved = await window.wishlistService.saveServerWishlist(merged);
+			if (!saved.success) {
+				logger.warn('No se pudieron subir los favoritos de invitado a la cuenta');
+			}
+		}
+
+		this.items = merged;
+		this.syncMode = 'server';
+		this.saveToStorage();
+		this.updateUI();
+		await this.checkForChanges();
+	}
+
+	// Al cerrar sesión los favoritos se quedan con la cuenta
+	detachFromServer() {
+		this.syncMode = 'local';
+		this.items = [];
+		this.notices = [];
+		this.saveToStorage();
+		this.updateUI();
+	}
+
+	// Revisar precio y stock de los favoritos y avisar de rebajas o de piezas que volvieron
+	async checkForChanges() {
+		if (this.items.length === 0 || !window.wishlistService) return;
+
+		const result = await window.wishlistService.checkWishlistItems(this.items);
+		// Favoritos agregados o quitados mientras se revisaba
+		const checked = new Map(result.items.map(item => [String(item.id), item]));
+		const removed = new Set(result.removed.map(String));
+		this.items = this.items
+			.filter(item => !removed.has(String(item.id)))
+			.map(item => checked.get(String(item.id)) || item);
+		this.notices = result.notices.filter(notice => this.has(notice.id));
+		this.saveToStorage();
+		this.updateUI();
+
+		if (this.syncMode === 'server' && removed.size > 0) {
+			removed.forEach(id => window.wishlistService.removeServerWishlistItem(id));
+		}
+		if (this.notices.length === 1) {
+			showAuthMessage(getWishlistNoticeText(this.notices[0]));
+		} else if (this.notices.length > 1) {
+			showAuthMessage(`${this.notices.length} de tus favoritos tienen novedades`);
+		}
+	}
+
+	updateUI() {
+		document.querySelectorAll('[data-wishlist-toggle]').forEach(button => {
+			const saved = this.has(button.dataset.wishlistToggle);
+			button.setAttribute('aria-pressed', String(saved));
+			button.setAttribute('aria-label', saved ? 'Quitar de favoritos' : 'Guardar en favoritos');
+		});
+
+		const profileToggle = document.getElementById('profileToggle');
+		if (profileToggle) {
+			profileToggle.dataset.wishlistCount = this.items.length;
+			profileToggle.classList.toggle('has-wishlist-notice', this.notices.length > 0);
+		}
+
+		const list = document.getElementById('wishlistItems');
+		if (list) {
+			list.innerHTML = this.items.length === 0
+				? html`<p class="wishlist-empty">Aún no tienes favoritos. Toca el corazón de una pieza para guardarla.</p>`
+				: html`${this.items.filter(item => item.product).map(renderWishlistItemHTML)}`;
+		}
+
+		const noticeList = document.getElementById('wishlistNotices');
+		if (noticeList) {
+			noticeList.hidden = this.notices.length === 0;
+			noticeList.innerHTML = html`${this.notices.map(notice => html`<li>${getWishlistNoticeText(notice)}</li>`)}`;
+		}
+	}
+}
+
+const wishlist = new Wishlist();
+window.wishlist = wishlist;
+
+function getWishlistNoticeText(notice) {
+	if (notice.type === 'on_sale') {
+		return `${notice.product.name} bajó de precio: ahora ${formatCurrency(notice.product.price)}`;
+	}
+	return `${notice.product.name} volvió a estar disponible`;
+}
+
+const HEART_ICON = raw('<svg viewBox="0 0 24 24" width="20" height="20" aria-hidden="true"><path d="M12 20.5s-7.4-4.5-9.4-9.1C1.2 8 3.3 4.5 6.8 4.5c2.1 0 3.6 1.2 4.4 2.6.8-1.4 2.3-2.6 4.4-2.6 3.5 0 5.6 3.5 4.2 6.9-2 4.6-9.4 9.1-9.4 9.1z"/></svg>');
+
+// Botón de corazón (tarjetas de la tienda, carrusel de destacados y página de producto)
+function renderWishlistButtonHTML(productId, className = '') {
+	const saved = wishlist.has(productId);
+	return html`
+		<button type="button" class="wishlist-toggle${className ? ` ${className}` : ''}" data-wishlist-toggle="${productId}"
+			aria-pressed="${String(saved)}" aria-label="${saved ? 'Quitar de favoritos' : 'Guardar en favoritos'}">${HEART_ICON}</button>
+	`;
+}
+
+function renderWishlistItemHTML(item) {
+	const product = item.product;
+	const url = `producto.html?id=${encodeURIComponent(product.id)}`;
+	const image = safeUrl(product.image);
+	const outOfStock = product.stock !== null && Number(product.stock) <= 0;
+	return html`
+		<div class="wishlist-item">
+			<a class="wishlist-item-media" href="${url}">
+				${image ? html`<img src="${image}" alt="" loading="lazy" data-fallback="placeholder">` : createPlaceholderSVG(product.id)}
+			</a>
+			<div class="wishlist-item-info">
+				<a class="wishlist-item-name" href="${url}">${product.name}</a>
+				${renderPriceHTML(product, 'wishlist-item-price')}
+				${outOfStock ? html`<p class="wishlist-item-stock">Agotado</p>` : ''}
+				<div class="wishlist-item-actions">
+					<button type="button" class="btn btn-primary" data-wishlist-move="${product.id}" ${outOfStock ? 'disabled' : ''}>Mover al carrito</button>
+					<button type="button" class="wishlist-item-remove" data-wishlist-remove="${product.id}">Quitar</button>
+				</div>
+			</div>
+		</div>
+	`;
+}
+
+function openAccountPanel() {
+	const modal = document.getElementById('accountModal');
+	if (!modal) return;
+	const isLoggedIn = !!window.authService && window.authService.isAuthenticated();
+	modal.querySelectorAll('[data-account-link]').forEach(link => { link.hidden = !isLoggedIn; });
+	modal.querySelectorAll('[data-account-login]').forEach(button => { button.hidden = isLoggedIn; });
+	wishlist.updateUI();
+	renderStockAlertList();
+	modal.setAttribute('aria-hidden', 'false');
+	document.body.style.overflow = 'hidden';
+}
+
+function closeAccountPanel() {
+	const modal = document.getElementById('accountModal');
+	if (!modal || modal.getAttribute('aria-hidden') !== 'false') return;
+	modal.setAttribute('aria-hidden', 'true');
+	document.body.style.overflow = '';
+	// Los avisos ya se vieron
+	if (wishlist.notices.length > 0) {
+		wishlist.notices = [];
+		wishlist.updateUI();
+	}
+}
+
+function setupWishlist() {
+	// En captura para que el corazón no abra la tarjeta que lo contiene
+	document.addEventListener('click', (e) => {
+		const button = e.target.closest('[data-wishlist-toggle]');
+		if (!button) return;
+		e.preventDefault();
+		e.stopPropagation();
+		wishlist.toggle(button.dataset.wishlistToggle);
+	}, true);
+
+	const modal = document.getElementById('accountModal');
+	if (modal) {
+		modal.addEventListener('click', async (e) => {
+			if (e.target.closest('.account-overlay, .account-close')) {
+				closeAccountPanel();
+				return;
+			}
+			if (e.target.closest('[data-account-login]')) {
+				closeAccountPanel();
+				openLoginModal();
+				return;
+			}
+
+			const moveButton = e.target.closest('[data-wishlist-move]');
+			if (moveButton) {
+				moveButton.disabled = true;
+				const moved = await wishlist.moveToCart(moveButton.dataset.wishlistMove);
+				if (!moved) moveButton.disabled = false;
+				return;
+			}
+
+			const removeButton = e.target.closest('[data-wishlist-remove]');
+			if (removeButton) {
+				wishlist.remove(removeButton.dataset.wishlistRemove);
+			}
+		});
+
+		document.addEventListener('keydown', (e) => {
+			if (e.key === 'Escape') closeAccountPanel();
+		});
+	}
+
+	wishlist.updateUI();
+	// Con sesión la revisión se hace al unir con la cuenta (attachToServer)
+	if (!window.authService || !window.authService.isAuthenticated()) {
+		wishlist.checkForChanges();
+	}
+}
+
+// Productos con talla, acabado o piedra: hay que elegir una variante antes de agregarlos.
+// Acepta productos formateados (variants) y productos tal como vienen de la API (variantes).
+function hasVariants(product) {
+	return (product.variants || product.variantes || []).length > 0;
+}
+
+function findVariantById(product, variantId) {
+	if (!variantId || !product.variants) return null;
+	return product.variants.find(variant => String(variant.id) === String(variantId)) || null;
+}
+
+// Línea del carrito para un producto y, si aplica, una de sus variantes con su precio, stock e imagen.
+// Las listas de variantes no se guardan en cada línea para no inflar localStorage.
+function createCartLine(product, variantId, quantity) {
+	const { variants = [], options, ...base } = product;
+	const line = { ...base, variantId: variantId || null, quantity };
+	const variant = findVariantById(product, variantId);
+	if (variant) {
+		Object.assign(line, {
+			price: variant.price,
+			precio_anterior: variant.precio_anterior,
+			stock: variant.stock,
+			image: variant.image || base.image,
+			sku: variant.sku,
+			variantOptions: window.productService.getVariantLabels(variant)
+		});
+	}
+	return line;
+}
+
+// Opciones elegidas de una línea: "Talla: 7 · Acabado: Plata .925"
+function renderVariantOptionsHTML(item, className) {
+	if (!item.variantOptions || item.variantOptions.length === 0) return '';
+	return html`<small class="${className}">${item.variantOptions.map(option => `${option.label}: ${option.value}`).join(' · ')}</small>`;
+}
+
+function formatCurrency(mx) {
+	return new Intl.NumberFormat('es-MX', { style: 'currency', currency: 'MXN' }).format(mx);
+}
+
+// Precio de rebaja a partir de precio_anterior.
+// Acepta productos formateados (price) y productos tal como vienen de la API (precio).
+function getSaleInfo(product) {
+	const price = Number(product.price ?? product.precio);
+	const previousPrice = Number(product.precio_anterior);
+	const onSale = previousPrice > 0 && previousPrice > price;
+	return {
+		price,
+		previousPrice: onSale ? previousPrice : null,
+		percent: onSale ? Math.round((1 - price / previousPrice) * 100) : 0,
+		onSale
+	};
+}
+
+function isOnSale(product) {
+	return getSaleInfo(product).onSale;
+}
+
+// Precio actual con el anterior tachado (mismo marcado en grid, modal, página de producto y carrito)
+function renderPriceHTML(product, className = 'price') {
+	const sale = getSaleInfo(product);
+	return html`
+		<div class="${className}${sale.onSale ? ' is-on-sale' : ''}">
+			<span class="price-current">${formatCurrency(sale.price)}</span>
+			${sale.onSale ? html`<s class="price-previous">${formatCurrency(sale.previousPrice)}</s>` : ''}
+		</div>
+	`;
+}
+
+function renderSaleBadge(product) {
+	const sale = getSaleInfo(product);
+	return sale.onSale ? html`<span class="sale-badge">-${sale.percent}%</span>` : '';
+}
+
+// Texto de envío gratis según el umbral configurado en window.appConfig
+function getFreeShippingText() {
+	const threshold = window.appConfig.freeShippingThreshold;
+	return `Envío gratis en compras mayores a ${formatCurrency(threshold).replace(/\.00$/, '')}`;
+}
+
+// Actualizar los enlaces de WhatsApp con el número configurado
+function setupWhatsAppLinks() {
+	document.querySelectorAll('a[data-whatsapp-link]').forEach(link => {
+		link.href = window.appConfig.getWhatsAppUrl(link.dataset.whatsappMessage || '');
+	});
+}
+
+function createPlaceholderSVG(id) {
+	const palette = ['#e8d79c', '#2a868f', '#2e694f', '#e7509d'];
+	const key = String(id);
+	const a = palette[key.charCodeAt(0) % palette.length];
+	const b = palette[(key.charCodeAt(1) || 0) % palette.length];
+	return html`
+		<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400" role="img" aria-label="Imagen del producto">
+			<defs>
+				<linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+					<stop offset="0" stop-color="${a}"/>
+					<stop offset="1" stop-color="${b}"/>
+				</linearGradient>
+			</defs>
+			<rect width="400" height="400" fill="url(#g)"/>
+			<circle cx="300" cy="120" r="18" fill="#e63f46"/>
+			<path d="M40 300 L100 220 L160 300 L220 200 L300 300" fill="none" stroke="#2e694f" stroke-width="10" stroke-linecap="round"/>
+		</svg>
+	`;
+}
+
+
+// Ejemplo de renderizado simple para cada producto
+/* ============================================
+   CÓDIGO ANTERIOR COMENTADO - DISEÑO NUEVO
+   ============================================ */
+/*
+function renderProducts(products) {
+  // ... código anterior comentado ...
+}
+*/
+
+/* ============================================
+   NUEVO DISEÑO SIMPLE PARA PRODUCTOS
+   ============================================ */
+
+// Tamaño de página del grid de la tienda
+const PRODUCTS_PAGE_SIZE = 24;
+
+// Orden del catálogo (catalogFilterService) → parámetro sort de la API
+const SERVER_SORT = {
+  precio_asc: 'precio',
+  precio_desc: '-precio',
+  recientes: '-fecha_creacion',
+  destacados: '-destacado'
+};
+
+// Estado de la paginación del grid: página cargada, si quedan más y la consulta que las generó.
+// local: hay búsqueda o facetas activas y las páginas salen del catálogo completo en memoria
+const productGridPaging = { page: 0, hasMore: true, loading: false, failed: false, local: false, queryKey: '', renderedIds: [] };
+
+// Catálogo completo (GET /api/products sin paginar, guardado por productService). La búsqueda y las
+// facetas trabajan siempre sobre él para que los conteos y la búsqueda tolerante abarquen todo el catálogo.
+let catalogSnapshot = null;
+let catalogSnapshotPromise = null;
+
+function loadCatalogSnapshot() {
+  if (catalogSnapshot) return Promise.resolve(catalogSnapshot);
+  if (catalogSnapshotPromise) return catalogSnapshotPromise;
+
+  const format = products => products.map(apiProduct => window.productService.formatProductForFrontend(apiProduct));
+  catalogSnapshotPromise = window.productService.getAllProducts({ activo: '1' }, {
+    onUpdate: updated => {
+      if (!updated.success) return;
+      catalogSnapshot = format(updated.products);
+      logger.debug('Catálogo completo actualizado tras revalidar la caché');
+      if (productGridPaging.local) {
+        PRODUCTS = catalogSnapshot;
+      }
+      if (catalogFilterState && productGridPaging.page > 0) {
+        applyCatalogFilters();
       }
-      window.location.href = `producto.html?id=${product.id}`;
-    });
-    
-    // Botón agregar al carrito
-    const addBtn = card.querySelector('.btn-add-cart-simple');
-    if (addBtn) {
-      addBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        if (typeof cart !== 'undefined' && cart.addItem) {
-          cart.addItem(product.id, 1);
-          alert(`✅ ${product.nombre} agregado al carrito`);
-        } else {
-          alert(`✅ ${product.nombre} agregado al carrito (carrito no disponible)`);
-        }
-      });
     }
-    
-    grid.appendChild(card);
+  }).then(result => {
+    // Si falló se vuelve a intentar la próxima vez que se pida
+    catalogSnapshotPromise = null;
+    if (!result.success) return null;
+    catalogSnapshot = format(result.products);
+    return catalogSnapshot;
   });
-  
-  // Aplicar estilos al grid
-  grid.style.cssText = `
-    display: grid;
-    grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));
-    gap: 1.5rem;
-    padding: 2rem 0;
-  `;
+  return catalogSnapshotPromise;
 }
 
-function showProductModal(product) {
-  const modal = document.getElementById('productModal');
-  const detail = document.getElementById('productDetail');
-  detail.innerHTML = `
-    <img src="${product.image}" alt="${product.name}">
-    <h2>${product.name}</h2>
-    <div>${product.material}</div>
-    <div class="price">$${product.price}</div>
-    <!-- Más info aquí -->
-  `;
-  modal.setAttribute('aria-hidden', 'false');
-  modal.style.display = 'block';
+// Con búsqueda o facetas activas el grid se arma con el catálogo completo en lugar de páginas del servidor
+function isLocalCatalogQuery(state) {
+  return window.catalogFilterService.hasActiveFilters(state);
 }
 
-// Cerrar modal - solo si el elemento existe
-const productCloseBtn = document.querySelector('.product-close');
-if (productCloseBtn) {
-  productCloseBtn.onclick = function() {
-    const productModal = document.getElementById('productModal');
-    if (productModal) {
-      productModal.setAttribute('aria-hidden', 'true');
-      productModal.style.display = 'none';
+// Siguiente "página" del grid en modo local: el catálogo completo, que applyCatalogFilters recorta
+async function loadCatalogPage() {
+  const catalog = await loadCatalogSnapshot();
+  return catalog
+    ? { success: true, products: catalog, pagination: null }
+    : { success: false, products: [], pagination: null };
+}
+
+// Cargar una página de productos desde la API (ya formateados)
+async function loadProductsPage(page, { categoria = '', orden = 'relevancia' } = {}) {
+  const queryKey = getProductGridQueryKey();
+  const result = await window.productService.getAllProducts({
+    activo: '1',
+    categoria: categoria || undefined,
+    sort: SERVER_SORT[orden],
+    page,
+    limit: PRODUCTS_PAGE_SIZE
+  }, {
+    onUpdate: updated => {
+      if (updated.success && queryKey === productGridPaging.queryKey) {
+        refreshGridProducts(updated.products.map(apiProduct => window.productService.formatProductForFrontend(apiProduct)));
+      }
+    }
+  });
+
+  if (!result.success) {
+    if (result.status === 0) {
+      logger.error(`Error de conexión: no se pudo conectar al servidor backend en ${window.apiClient.getBaseUrl()}`);
     }
+    return { success: false, products: [], pagination: null };
+  }
+
+  return {
+    success: true,
+    products: result.products.map(apiProduct => window.productService.formatProductForFrontend(apiProduct)),
+    pagination: result.pagination
   };
 }
 
-function renderFeaturedCarousel() {
-  // Asegurar que los productos estén cargados
-  if (PRODUCTS.length === 0) {
-    console.warn('No hay productos cargados para mostrar en el carrusel');
-    return;
-  }
-  const featured = PRODUCTS.filter(p => p.featured);
-  const container = document.getElementById('featuredCarousel');
-  if (!container) return;
+// Una página que se mostró desde la caché cambió en el servidor: reemplazar esos productos
+function refreshGridProducts(products) {
+  // Arreglo nuevo para que la búsqueda reconstruya su índice
+  const updated = new Map(products.map(product => [product.id, product]));
+  PRODUCTS = PRODUCTS.map(product => updated.get(product.id) || product);
+  logger.debug('Productos del grid actualizados tras revalidar la caché');
+  applyCatalogFilters();
+}
 
-  // Duplica los productos para el loop
-  const items = [...featured, ...featured];
+// Categoría y orden se piden al servidor; si cambian, o si se pasa a filtrar sobre el catálogo completo,
+// se vuelve a la página 1
+function getProductGridQueryKey() {
+  const source = isLocalCatalogQuery(catalogFilterState) ? 'catalogo' : 'servidor';
+  return `${catalogFilterState.categoria}|${catalogFilterState.orden}|${source}`;
+}
 
-  container.innerHTML = '';
-  const frag = document.createDocumentFragment();
+function resetProductGridPaging() {
+  productGridPaging.page = 0;
+  productGridPaging.hasMore = true;
+  productGridPaging.failed = false;
+  productGridPaging.local = isLocalCatalogQuery(catalogFilterState);
+  productGridPaging.queryKey = getProductGridQueryKey();
+  productGridPaging.renderedIds = [];
+  PRODUCTS = [];
+  clearProductGrid();
+  loadNextProductsPage();
+}
 
-  for (const p of items) {
-    const item = document.createElement('article');
-    item.className = 'featured-item';
-    item.innerHTML = `
-      <div class="card-media">
-        ${p.image ? `<img class="card-bg" src="${p.image.replace(/^\//, '')}" alt="${p.name}">` : createPlaceholderSVG(p.id)}
-        <div class="card-body">
-          <h3>${p.name}</h3>
-          <div class="price">${formatCurrency(p.price)}</div>
-        </div>
-        <button class="btn btn-outline featured-btn" onclick="addToCartFromFeatured('${p.id}')">Agregar al carrito</button>
-      </div>
-    `;
-    frag.appendChild(item);
+function clearProductGrid() {
+  const grid = document.getElementById('productGrid');
+  if (grid) {
+    grid.querySelectorAll(':scope > :not(.product-card-skeleton)').forEach(child => child.remove());
   }
-  container.appendChild(frag);
 }
 
-// Función para cargar categorías desde la API y renderizarlas
-async function loadCategoriesFromAPI() {
-	try {
-		// Esperar a que productService esté disponible
-		const serviceAvailable = await waitForProductService();
-		if (!serviceAvailable) {
-			console.warn('productService no está disponible, usando categorías hardcodeadas');
-			return false;
-		}
-		
-		const result = await window.productService.getAllCategories();
-		
+// auto: scroll infinito. Si lo cargado no mostró nada no se siguen pidiendo páginas solas;
+// queda el botón "Cargar más"
+async function loadNextProductsPage({ auto = false } = {}) {
+  if (!catalogFilterState || productGridPaging.loading || !productGridPaging.hasMore) return;
+  if (auto && productGridPaging.page > 0 && productGridPaging.renderedIds.length === 0) return;
+
+  const queryKey = productGridPaging.queryKey;
+  productGridPaging.loading = true;
+  productGridPaging.failed = false;
+  updateProductGridFooter();
+
+  const result = productGridPaging.local
+    ? await loadCatalogPage()
+    : await loadProductsPage(productGridPaging.page + 1, catalogFilterState);
+  productGridPaging.loading = false;
+
+  // Los filtros cambiaron mientras se cargaba: esta respuesta ya no sirve
+  if (queryKey !== productGridPaging.queryKey) return;
+
+  if (!result.success) {
+    productGridPaging.failed = true;
+    updateProductGridFooter();
+    if (PRODUCTS.length === 0) {
+      const grid = document.getElementById('productGrid');
+      if (grid) {
+        grid.innerHTML = navigator.onLine
+          ? html`<p class="product-grid-message">No se pudieron cargar los productos. Verifica que el servidor backend esté corriendo en ${window.appConfig.apiBaseUrl}</p>`
+          : '<p class="product-grid-message">Sin conexión. Los productos aparecerán al recuperar la conexión.</p>';
+      }
+    }
+    return;
+  }
+
+  productGridPaging.page += 1;
+  if (productGridPaging.local) {
+    // applyCatalogFilters muestra las primeras page * PRODUCTS_PAGE_SIZE coincidencias y decide hasMore
+    PRODUCTS = result.products;
+  } else {
+    productGridPaging.hasMore = result.pagination.hasMore;
+    result.products.forEach(product => {
+      if (!PRODUCTS.some(p => p.id === product.id)) {
+        PRODUCTS.push(product);
+      }
+    });
+  }
+  logger.debug(`Página ${productGridPaging.page} cargada: ${PRODUCTS.length} productos en total`);
+
+  applyCatalogFilters({ append: true });
+}
+
+// Sentinel para el scroll infinito y botón "Cargar más" como respaldo
+function setupProductGridPaging() {
+  const grid = document.getElementById('productGrid');
+  if (!grid) return;
+
+  const footer = document.createElement('div');
+  footer.id = 'productGridFooter';
+  footer.className = 'product-grid-footer';
+  footer.innerHTML = `
+    <div class="product-grid-sentinel" aria-hidden="true"></div>
+    <button type="button" class="btn btn-outline" data-load-more hidden>Cargar más</button>
+  `;
+  grid.insertAdjacentElement('afterend', footer);
+
+  footer.querySelector('[data-load-more]').addEventListener('click', () => loadNextProductsPage());
+
+  if ('IntersectionObserver' in window) {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadNextProductsPage({ auto: true });
+      }
+    }, { rootMargin: '400px 0px' });
+    observer.observe(footer.querySelector('.product-grid-sentinel'));
+  }
+
+  resetProductGridPaging();
+
+  // Conteos de facetas y total de resultados sobre todo el catálogo, no solo lo cargado
+  loadCatalogSnapshot().then(catalog => {
+    if (catalog && productGridPaging.page > 0) {
+      applyCatalogFilters();
+    }
+  });
+}
+
+function isProductGridSentinelVisible() {
+  const sentinel = document.querySelector('.product-grid-sentinel');
+  if (!sentinel || !productGridPaging.hasMore) return false;
+  return sentinel.getBoundingClientRect().top < window.innerHeight + 400;
+}
+
+// Skeletons mientras carga y botón "Cargar más" cuando quedan páginas
+function updateProductGridFooter() {
+  const grid = document.getElementById('productGrid');
+  const button = document.querySelector('#productGridFooter [data-load-more]');
+  if (!grid || !button) return;
+
+  grid.querySelectorAll('.product-card-skeleton').forEach(skeleton => skeleton.remove());
+  if (productGridPaging.loading) {
+    const skeletons = Array.from({ length: 4 }, () => '<div class="product-card-skeleton" aria-hidden="true"><div></div><span></span><span></span></div>').join('');
+    grid.insertAdjacentHTML('beforeend', skeletons);
+  }
+
+  button.hidden = productGridPaging.loading || !productGridPaging.hasMore;
+  button.textContent = productGridPaging.failed ? 'Reintentar' : 'Cargar más';
+  grid.setAttribute('aria-busy', String(productGridPaging.loading));
+}
+
+// Los filtros y la vista por categoría trabajan con productos ya formateados (PRODUCTS)
+function renderProducts(products, options = {}) {
+  renderProductsSimple(products.map(product => ({
+    ...product,
+    nombre: product.nombre || product.name,
+    precio: product.precio ?? product.price
+  })), options);
+}
+
+// Función simple para renderizar productos con diseño nuevo.
+// Con append: true solo agrega las tarjetas al final (página siguiente del scroll infinito).
+function renderProductsSimple(products, { append = false } = {}) {
+  const grid = document.getElementById('productGrid');
+  if (!grid) {
+    logger.error('No se encontró el elemento productGrid');
+    return;
+  }
+  
+  // Mostrar la sección de productos
+  const productosSection = document.getElementById('productos');
+  if (productosSection) {
+    productosSection.style.display = 'block';
+  }
+  
+  // Limpiar el grid
+  if (!append) {
+    grid.innerHTML = '';
+  }
+  
+  if (!append && (!products || products.length === 0)) {
+    logger.warn('No hay productos para mostrar');
+    grid.innerHTML = '<p class="product-grid-message">No hay productos disponibles</p>';
+    return;
+  }
+  
+  logger.debug(`Renderizando ${products.length} productos con diseño nuevo`);
+  
+  products.forEach(product => {
+    // Obtener la imagen principal
+    let imageUrl = 'assets/placeholder.jpg';
+    if (product.imagenes && product.imagenes.length > 0) {
+      const mainImage = product.imagenes.find(img => img.es_principal) || product.imagenes[0];
+      imageUrl = safeUrl(mainImage.ruta, imageUrl);
+    }
+    
+    // Crear tarjeta de producto con diseño simple
+    const card = document.createElement('div');
+    card.className = 'product-card-simple';
+    card.dataset.productId = product.id;
+    card.style.cssText = `
+      border: 1px solid #e0e0e0;
+      border-radius: 8px;
+      padding: 1rem;
+      background: white;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+      transition: transform 0.2s, box-shadow 0.2s;
+      cursor: pointer;
+    `;
+    
+    card.innerHTML = html`
+      <div class="product-card-simple-media">
+        ${renderSaleBadge(product)}
+        ${renderWishlistButtonHTML(product.id)}
+        <img src="${imageUrl}" alt="${product.nombre}" data-fallback>
+      </div>
+      <h3 class="product-card-simple-name">${product.nombre}</h3>
+      <p class="product-card-simple-material">${product.material || 'Material no especificado'}</p>
+      <div class="product-card-simple-footer">
+        ${renderPriceHTML(product, 'product-card-price')}
+        <button type="button" class="btn-add-cart-simple" data-product-id="${product.id}">
+          ${hasVariants(product) ? 'Elegir' : 'Agregar'}
+        </button>
+      </div>
+    `;
+    
+    // Efecto hover
+    card.addEventListener('mouseenter', () => {
+      card.style.transform = 'translateY(-4px)';
+      card.style.boxShadow = '0 4px 8px rgba(0,0,0,0.15)';
+    });
+    card.addEventListener('mouseleave', () => {
+      card.style.transform = 'translateY(0)';
+      card.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
+    });
+    
+    // Click en la tarjeta
+    card.addEventListener('click', (e) => {
+      if (e.target.closest('.btn-add-cart-simple, [data-wishlist-toggle]')) {
+        return; // El botón maneja su propio click
+      }
+      window.location.href = `producto.html?id=${encodeURIComponent(product.id)}`;
+    });
+    
+    // Botón agregar al carrito
+    const addBtn = card.querySelector('.btn-add-cart-simple');
+    if (addBtn) {
+      addBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (hasVariants(product)) {
+          // Talla, acabado o piedra se eligen en la página del producto
+          window.location.href = `producto.html?id=${encodeURIComponent(product.id)}`;
+          return;
+        }
+        // Si no se pudo agregar (agotado, sin stock suficiente) addItem ya avisó
+        addBtn.disabled = true;
+        const added = await cart.addItem(product.id, 1);
+        addBtn.disabled = false;
+        if (added) {
+          showAddToCartMessage(product.id, 1);
+        }
+      });
+    }
+    
+    grid.appendChild(card);
+  });
+  
+  // Aplicar estilos al grid
+  grid.style.cssText = `
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));
+    gap: 1.5rem;
+    padding: 2rem 0;
+  `;
+}
+
+function showProductModal(product) {
+  const modal = document.getElementById('productModal');
+  const detail = document.getElementById('productDetail');
+  detail.innerHTML = html`
+    <img src="${safeUrl(product.image, IMAGE_FALLBACK_SRC)}" alt="${product.name}" data-fallback>
+    <h2>${product.name}</h2>
+    <div>${product.material}</div>
+    ${renderSaleBadge(product)}
+    ${renderPriceHTML(product)}
+    <!-- Más info aquí -->
+  `;
+  modal.setAttribute('aria-hidden', 'false');
+  modal.style.display = 'block';
+}
+
+// Cerrar modal - solo si el elemento existe
+const productCloseBtn = document.querySelector('.product-close');
+if (productCloseBtn) {
+  productCloseBtn.onclick = function() {
+    const productModal = document.getElementById('productModal');
+    if (productModal) {
+      productModal.setAttribute('aria-hidden', 'true');
+      productModal.style.display = 'none';
+    }
+  };
+}
+
+function renderFeaturedCarousel() {
+  // Asegurar que los productos estén cargados
+  if (PRODUCTS.length === 0) {
+    logger.warn('No hay productos cargados para mostrar en el carrusel');
+    return;
+  }
+  const featured = PRODUCTS.filter(p => p.featured);
+  const container = document.getElementById('featuredCarousel');
+  if (!container) return;
+
+  // Duplica los productos para el loop
+  const items = [...featured, ...featured];
+
+  container.innerHTML = '';
+  const frag = document.createDocumentFragment();
+
+  // Un solo listener para todas las tarjetas (también las que se vuelvan a renderizar)
+  if (!container.dataset.addToCartBound) {
+    container.dataset.addToCartBound = 'true';
+    container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-add-to-cart]');
+      if (button) {
+        window.addToCartFromFeatured(button.dataset.addToCart);
+      }
+    });
+  }
+
+  for (const p of items) {
+    const item = document.createElement('article');
+    item.className = 'featured-item';
+    item.dataset.productId = p.id;
+    const image = safeUrl(p.image);
+    item.innerHTML = html`
+      <div class="card-media">
+        ${image ? html`<img class="card-bg" src="${image.replace(/^\//, '')}" alt="${p.name}" data-fallback="placeholder">` : createPlaceholderSVG(p.id)}
+        ${renderSaleBadge(p)}
+        ${renderWishlistButtonHTML(p.id)}
+        <div class="card-body">
+          <h3>${p.name}</h3>
+          ${renderPriceHTML(p)}
+        </div>
+        <button type="button" class="btn btn-outline featured-btn" data-add-to-cart="${p.id}">${hasVariants(p) ? 'Elegir opciones' : 'Agregar al carrito'}</button>
+      </div>
+    `;
+    frag.appendChild(item);
+  }
+  container.appendChild(frag);
+}
+
+// Función para cargar categorías desde la API y renderizarlas
+async function loadCategoriesFromAPI() {
+	try {
+		// Esperar a que productService esté disponible
+		const serviceAvailable = await waitForProductService();
+		if (!serviceAvailable) {
+			logger.warn('productService no está disponible, usando categorías hardcodeadas');
+			return false;
+		}
+		
+		const result = await window.productService.getAllCategories({
+			onUpdate: updated => {
+				if (updated.success && updated.categories && updated.categories.length > 0) {
+					renderCategories(updated.categories);
+				}
+			}
+		});
+		
 		if (result.success && result.categories && result.categories.length > 0) {
 			renderCategories(result.categories);
 			return true;
@@ -511,466 +1559,1569 @@ async function loadCategoriesFromAPI() {
 		
 		return false;
 	} catch (error) {
-		console.error('Error al cargar categorías desde la API:', error);
+		logger.error('Error al cargar categorías desde la API:', error);
 		return false;
 	}
-}
+}
+
+// Ofertas de la sección #ofertas (services/promotionService.js)
+let OFFERS = [];
+let offersCountdownTimer = null;
+
+// Función para cargar ofertas desde la API y renderizarlas.
+// Si la API no responde se conservan las tarjetas del HTML.
+async function loadOffersFromAPI() {
+	if (!window.promotionService) return false;
+
+	const result = await window.promotionService.getOffers();
+	if (!result.success) {
+		logger.warn('No se pudieron cargar las ofertas, se muestran las del HTML');
+		return false;
+	}
+
+	OFFERS = result.offers || [];
+	renderOffers();
+	return true;
+}
+
+function isOfferActive(offer, now = Date.now()) {
+	if (offer.fecha_inicio && new Date(offer.fecha_inicio).getTime() > now) return false;
+	if (offer.fecha_fin && new Date(offer.fecha_fin).getTime() <= now) return false;
+	return true;
+}
+
+// Porcentaje de descuento a partir de precio y precio_anterior
+function getOfferBadge(offer) {
+	const price = Number(offer.precio);
+	const previous = Number(offer.precio_anterior);
+	if (!previous || !price || previous <= price) return offer.etiqueta || '';
+	return `-${Math.round((1 - price / previous) * 100)}%`;
+}
+
+function formatCountdown(ms) {
+	const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+	const days = Math.floor(totalSeconds / 86400);
+	const pad = (n) => String(n).padStart(2, '0');
+	const time = `${pad(Math.floor((totalSeconds % 86400) / 3600))}:${pad(Math.floor((totalSeconds % 3600) / 60))}:${pad(totalSeconds % 60)}`;
+	return days > 0 ? `${days}d ${time}` : time;
+}
+
+function renderOffers() {
+	const section = document.getElementById('ofertas');
+	const offersGrid = section && section.querySelector('.offers-grid');
+	if (!offersGrid) return;
+
+	const active = OFFERS.filter(offer => isOfferActive(offer));
+	section.hidden = active.length === 0;
+
+	const formatPrice = (amount) => formatCurrency(amount).replace(/\.00$/, '');
+	offersGrid.innerHTML = active.map(offer => {
+		const badge = getOfferBadge(offer);
+		const categoryLink = offer.categoria_slug ? `tienda.html?categoria=${encodeURIComponent(offer.categoria_slug)}` : 'tienda.html';
+		const link = safeUrl(offer.enlace, categoryLink);
+		return html`
+			<div class="offer-card" data-offer-id="${offer.id}">
+				${badge ? html`<div class="offer-badge">${badge}</div>` : ''}
+				<img src="${safeUrl(offer.imagen, 'assets/placeholder.jpg')}" alt="${offer.titulo}" class="offer-image" data-fallback />
+				<h3>${offer.titulo}</h3>
+				<p>${offer.descripcion || ''}</p>
+				${offer.fecha_fin ? html`<p class="offer-countdown" data-offer-ends="${offer.fecha_fin}">Termina en <span>${formatCountdown(new Date(offer.fecha_fin).getTime() - Date.now())}</span></p>` : ''}
+				<div class="offer-price">
+					${offer.precio_anterior ? html`<span class="old-price">${formatPrice(offer.precio_anterior)}</span>` : ''}
+					<span class="new-price">${formatPrice(offer.precio)}</span>
+				</div>
+				<a href="${link}" class="btn btn-primary">Ver oferta</a>
+			</div>
+		`;
+	}).join('');
+
+	// El carrusel de móvil (index.html) se reinicia con las tarjetas nuevas
+	document.dispatchEvent(new CustomEvent('offersRendered'));
+	startOffersCountdown();
+}
+
+// Un solo intervalo actualiza los contadores (también los de las tarjetas clonadas del carrusel)
+// y vuelve a renderizar cuando una oferta termina o empieza
+function startOffersCountdown() {
+	clearInterval(offersCountdownTimer);
+	const hasSchedule = OFFERS.some(offer => offer.fecha_inicio || offer.fecha_fin);
+	if (!hasSchedule) return;
+
+	let visibleIds = OFFERS.filter(offer => isOfferActive(offer)).map(offer => offer.id).join(',');
+	offersCountdownTimer = setInterval(() => {
+		const now = Date.now();
+		const currentIds = OFFERS.filter(offer => isOfferActive(offer, now)).map(offer => offer.id).join(',');
+		if (currentIds !== visibleIds) {
+			visibleIds = currentIds;
+			renderOffers();
+			return;
+		}
+
+		document.querySelectorAll('[data-offer-ends] span').forEach(span => {
+			const endsAt = new Date(span.parentElement.dataset.offerEnds).getTime();
+			span.textContent = formatCountdown(endsAt - now);
+		});
+	}, 1000);
+}
+
+// Función para renderizar categorías dinámicamente
+function renderCategories(categories) {
+	const categoriesGrid = document.querySelector('.categories-grid');
+	if (!categoriesGrid) return;
+	
+	// Mapeo de slugs a imágenes (mantener las imágenes existentes)
+	const categoryImages = {
+		'anillos': 'assets/Categorias/anillos.jpeg',
+		'aretes': 'assets/Categorias/aretes.jpeg',
+		'collares': 'assets/Categorias/collares.jpeg',
+		'pulseras': 'assets/Categorias/pulseras.jpeg',
+		'conjuntos': 'assets/Categorias/conjuntos.jpeg',
+		'piedras': 'assets/Categorias/piedras.jpeg'
+	};
+	
+	// Mapeo de slugs a descripciones por defecto
+	const categoryDescriptions = {
+		'anillos': 'Piezas únicas para tus dedos',
+		'aretes': 'Elegantes adornos para tus orejas',
+		'collares': 'Declaraciones de estilo únicas',
+		'pulseras': 'Accesorios para tus muñecas',
+		'conjuntos': 'Pequeños tesoros con significado',
+		'piedras': 'Minerales naturales mexicanos'
+	};
+	
+	// Ordenar categorías por el campo 'orden' de la base de datos
+	const sortedCategories = [...categories].sort((a, b) => a.orden - b.orden);
+	
+	categoriesGrid.innerHTML = sortedCategories.map(category => {
+		const imagePath = categoryImages[category.slug] || safeUrl(category.imagen_icono, 'assets/placeholder.jpg');
+		const description = category.descripcion || categoryDescriptions[category.slug] || `Descubre nuestra colección de ${category.nombre.toLowerCase()}`;
+		
+		return html`
+			<div class="category-card" data-category="${category.slug}">
+				<div class="category-image">
+					<div class="category-placeholder">
+						<img src="${imagePath}" alt="Categoría ${category.nombre}" data-fallback />
+					</div>
+				</div>
+				<div class="category-content">
+					<h3>${category.nombre}</h3>
+					<p>${description}</p>
+					<a href="tienda.html?categoria=${encodeURIComponent(category.slug)}" class="btn btn-primary" data-category-link="${category.slug}">Ver productos</a>
+				</div>
+			</div>
+		`;
+	}).join('');
+	
+	// Configurar event listeners después de renderizar
+	setupCategories();
+}
+
+function setupCategories() {
+	const categoryCards = document.querySelectorAll('.category-card');
+	logger.debug(`Configurando ${categoryCards.length} tarjetas de categoría`);
+	
+	// Usar delegación de eventos en el contenedor para evitar problemas con listeners duplicados
+	const categoriesGrid = document.querySelector('.categories-grid');
+	if (categoriesGrid) {
+		// Remover listener anterior si existe
+		categoriesGrid.removeEventListener('click', handleCategoryClick);
+		categoriesGrid.addEventListener('click', handleCategoryClick);
+		logger.debug('Delegación de eventos configurada en .categories-grid');
+	} else {
+		// Fallback: agregar listeners individuales
+		categoryCards.forEach((card) => {
+			const category = card.dataset.category;
+			if (!category) return;
+			
+			const link = card.querySelector('a.btn-primary, a[href*="categoria"]');
+			if (link) {
+				link.addEventListener('click', (e) => {
+					e.preventDefault();
+					e.stopPropagation();
+					logger.debug(`Click en categoría: ${category}`);
+					window.history.pushState({ category }, '', `tienda.html?categoria=${category}`);
+					handleCategoryView(category);
+					return false;
+				});
+			}
+			
+			card.addEventListener('click', (e) => {
+				if (e.target.closest('a') || e.target.closest('button')) return;
+				e.preventDefault();
+				e.stopPropagation();
+				logger.debug(`Click en tarjeta de categoría: ${category}`);
+				window.history.pushState({ category }, '', `tienda.html?categoria=${category}`);
+				handleCategoryView(category);
+				return false;
+			});
+		});
+	}
+	
+	// Manejar el botón "atrás" del navegador (solo una vez)
+	if (!window._popstateHandlerAdded) {
+		window.addEventListener('popstate', (e) => {
+			const urlParams = new URLSearchParams(window.location.search);
+			const categoria = urlParams.get('categoria');
+			if (catalogFilterState) {
+				catalogFilterState = window.catalogFilterService.parseState(window.location.search);
+			}
+			if (categoria) {
+				handleCategoryView(categoria);
+			} else {
+				// Mostrar todas las categorías
+				const categoriesSection = document.querySelector('.categories');
+				const productosSection = document.getElementById('productos');
+				if (categoriesSection) categoriesSection.style.display = 'block';
+				if (productosSection) productosSection.style.display = 'none';
+			}
+		});
+		window._popstateHandlerAdded = true;
+	}
+}
+
+// Función para manejar clicks en categorías usando delegación de eventos
+function handleCategoryClick(e) {
+	// Buscar la tarjeta de categoría más cercana
+	const card = e.target.closest('.category-card');
+	if (!card) return;
+	
+	const category = card.dataset.category;
+	if (!category) return;
+	
+	// Si el click fue en un enlace, prevenir el comportamiento por defecto
+	const link = e.target.closest('a');
+	if (link) {
+		e.preventDefault();
+		e.stopPropagation();
+		logger.debug(`Click en enlace de categoría: ${category}`);
+		window.history.pushState({ category }, '', `tienda.html?categoria=${category}`);
+		handleCategoryView(category);
+		return false;
+	}
+	
+	// Si el click fue en la tarjeta (pero no en un enlace)
+	if (!e.target.closest('a') && !e.target.closest('button')) {
+		e.preventDefault();
+		e.stopPropagation();
+		logger.debug(`Click en tarjeta de categoría: ${category}`);
+		window.history.pushState({ category }, '', `tienda.html?categoria=${category}`);
+		handleCategoryView(category);
+		return false;
+	}
+}
+
+// Función para actualizar los filtros desde las categorías de la API
+async function updateFiltersFromCategories() {
+	try {
+		const serviceAvailable = await waitForProductService();
+		if (!serviceAvailable) return;
+		
+		const result = await window.productService.getAllCategories();
+		if (!result.success || !result.categories) return;
+		
+		const filtersContainer = document.querySelector('.filters');
+		if (!filtersContainer) return;
+		
+		// Ordenar categorías por orden
+		const sortedCategories = [...result.categories].sort((a, b) => a.orden - b.orden);
+		
+		// Crear HTML de filtros dinámicamente (Rebajas: productos con precio_anterior mayor al precio actual)
+		filtersContainer.innerHTML = html`
+			<button class="chip is-active" data-filter="all" role="tab" aria-selected="true">Todo</button>
+			${sortedCategories.map(category => html`<button class="chip" data-filter="${category.slug}" role="tab">${category.nombre}</button>`)}
+			<button class="chip chip-sale" data-filter="sale" role="tab">Rebajas</button>
+		`;
+	} catch (error) {
+		logger.error('Error al actualizar filtros desde categorías:', error);
+	}
+}
+
+// Estado de los filtros de la tienda (services/catalogFilterService.js); null fuera de la tienda
+let catalogFilterState = null;
+
+function setupFilters() {
+	const grid = document.getElementById('productGrid');
+	if (!grid || !window.catalogFilterService) {
+		logger.warn('No se encontró el grid de productos o el servicio de filtros');
+		return;
+	}
+
+	catalogFilterState = window.catalogFilterService.parseState(window.location.search);
+
+	// Chips de categoría; "Rebajas" es un interruptor independiente de la categoría
+	const chips = Array.from(document.querySelectorAll('.chip'));
+	chips.forEach(c => {
+		c.addEventListener('click', () => {
+			const filter = c.dataset.filter;
+			if (filter === 'sale') {
+				updateCatalogFilters({ rebajas: !catalogFilterState.rebajas });
+			} else {
+				updateCatalogFilters({ categoria: filter === 'all' ? '' : filter });
+			}
+		});
+	});
+
+	const searchInput = document.getElementById('searchInput');
+	if (searchInput) {
+		searchInput.value = catalogFilterState.q;
+		setupSearchAutocomplete(searchInput);
+	}
+
+	const panel = getFacetsPanel(grid);
+	panel.addEventListener('change', (e) => {
+		const target = e.target;
+		if (target.dataset.facet) {
+			const key = target.dataset.facet;
+			const values = catalogFilterState[key].filter(value => value !== target.value);
+			updateCatalogFilters({ [key]: target.checked ? [...values, target.value] : values });
+		} else if (target.dataset.facetToggle) {
+			updateCatalogFilters({ [target.dataset.facetToggle]: target.checked });
+		} else if (target.dataset.facetPrice) {
+			const value = target.value === '' ? null : Math.max(0, Number(target.value));
+			updateCatalogFilters({ [target.dataset.facetPrice]: Number.isFinite(value) ? value : null });
+		} else if (target.matches('[data-facet-sort]')) {
+			updateCatalogFilters({ orden: target.value });
+		}
+	});
+	panel.addEventListener('click', (e) => {
+		if (e.target.closest('[data-clear-filters]')) {
+			if (searchInput) searchInput.value = '';
+			updateCatalogFilters({
+				...window.catalogFilterService.createEmptyState(),
+				categoria: catalogFilterState.categoria,
+				orden: catalogFilterState.orden
+			});
+		}
+	});
+
+	applyCatalogFilters();
+}
+
+// Espera después de la última tecla antes de filtrar y sugerir
+const SEARCH_DEBOUNCE_DELAY = 200;
+
+function debounce(fn, delay) {
+	let timer = null;
+	return (...args) => {
+		clearTimeout(timer);
+		timer = setTimeout(() => fn(...args), delay);
+	};
+}
+
+// Autocompletado del buscador: categorías y productos con miniatura, navegable con teclado
+function setupSearchAutocomplete(searchInput) {
+	if (!window.searchService) return;
+
+	const listbox = document.createElement('div');
+	listbox.id = 'searchSuggestions';
+	listbox.className = 'search-suggestions';
+	listbox.setAttribute('role', 'listbox');
+	listbox.hidden = true;
+	searchInput.parentElement.classList.add('search-autocomplete');
+	searchInput.insertAdjacentElement('afterend', listbox);
+
+	searchInput.setAttribute('role', 'combobox');
+	searchInput.setAttribute('aria-autocomplete', 'list');
+	searchInput.setAttribute('aria-controls', listbox.id);
+	searchInput.setAttribute('aria-expanded', 'false');
+	searchInput.setAttribute('autocomplete', 'off');
+
+	let options = [];
+	let activeIndex = -1;
+
+	const close = () => {
+		listbox.hidden = true;
+		searchInput.setAttribute('aria-expanded', 'false');
+		searchInput.removeAttribute('aria-activedescendant');
+		activeIndex = -1;
+	};
+
+	const setActive = (index) => {
+		const items = listbox.querySelectorAll('[role="option"]');
+		if (items.length === 0) return;
+		activeIndex = (index + items.length) % items.length;
+		items.forEach((item, i) => item.classList.toggle('is-active', i === activeIndex));
+		searchInput.setAttribute('aria-activedescendant', items[activeIndex].id);
+		items[activeIndex].scrollIntoView({ block: 'nearest' });
+	};
+
+	const select = (option) => {
+		close();
+		if (option.type === 'category') {
+			searchInput.value = '';
+			updateCatalogFilters({ categoria: option.value, q: '' });
+		} else {
+			window.location.href = `producto.html?id=${encodeURIComponent(option.value)}`;
+		}
+	};
+
+	const render = () => {
+		const query = searchInput.value.trim();
+		if (query.length < 2) {
+			close();
+			return;
+		}
+
+		// Sugerencias sobre el catálogo completo (con la misma búsqueda tolerante del grid)
+		renderSuggestions(query, window.searchService.suggest(catalogSnapshot || PRODUCTS, query));
+		if (!catalogSnapshot) {
+			loadCatalogSnapshot().then(catalog => {
+				if (!catalog || searchInput.value.trim() !== query || listbox.hidden) return;
+				renderSuggestions(query, window.searchService.suggest(catalog, query));
+			});
+		}
+	};
+
+	const renderSuggestions = (query, suggestions) => {
+		options = [
+			...suggestions.categories.map(category => ({ type: 'category', value: category.slug, count: category.count })),
+			...suggestions.products.map(product => ({ type: 'product', value: product.id, product }))
+		];
+
+		if (options.length === 0) {
+			listbox.innerHTML = html`<p class="search-suggestions-empty">Sin resultados para "${query}"</p>`;
+		} else {
+			listbox.innerHTML = options.map((option, index) => {
+				if (option.type === 'category') {
+					const label = option.value.charAt(0).toUpperCase() + option.value.slice(1);
+					return html`
+						<div class="search-suggestion search-suggestion--category" id="searchSuggestion-${index}" role="option" data-index="${index}">
+							<span>Ver todo en <strong>${label}</strong></span>
+							<span class="facet-count">${option.count}</span>
+						</div>
+					`;
+				}
+				const product = option.product;
+				const image = safeUrl(product.image);
+				return html`
+					<div class="search-suggestion" id="searchSuggestion-${index}" role="option" data-index="${index}">
+						<span class="search-suggestion-thumb">${image ? html`<img src="${image}" alt="" loading="lazy" data-fallback>` : createPlaceholderSVG(product.id)}</span>
+						<span class="search-suggestion-name">${product.name}</span>
+						<span class="search-suggestion-price">${formatCurrency(product.price)}</span>
+					</div>
+				`;
+			}).join('');
+		}
+
+		activeIndex = -1;
+		searchInput.removeAttribute('aria-activedescendant');
+		listbox.hidden = false;
+		searchInput.setAttribute('aria-expanded', 'true');
+	};
+
+	searchInput.addEventListener('input', debounce(() => {
+		updateCatalogFilters({ q: searchInput.value.trim() });
+		render();
+	}, SEARCH_DEBOUNCE_DELAY));
+
+	searchInput.addEventListener('keydown', (e) => {
+		if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+			e.preventDefault();
+			if (listbox.hidden) render();
+			setActive(activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+		} else if (e.key === 'Enter' && !listbox.hidden && activeIndex >= 0) {
+			e.preventDefault();
+			select(options[activeIndex]);
+		} else if (e.key === 'Escape' && !listbox.hidden) {
+			e.preventDefault();
+			close();
+		}
+	});
+
+	// mousedown para elegir antes de que el blur cierre la lista
+	listbox.addEventListener('mousedown', (e) => {
+		const item = e.target.closest('[data-index]');
+		if (!item) return;
+		e.preventDefault();
+		select(options[Number(item.dataset.index)]);
+	});
+
+	searchInput.addEventListener('focus', render);
+	searchInput.addEventListener('blur', close);
+}
+
+// Contenedor del panel de facetas, se crea antes del grid si la página no lo trae
+function getFacetsPanel(grid) {
+	let panel = document.getElementById('shopFacets');
+	if (!panel) {
+		panel = document.createElement('aside');
+		panel.id = 'shopFacets';
+		panel.className = 'shop-facets';
+		panel.setAttribute('aria-label', 'Filtros de productos');
+		grid.parentElement.insertBefore(panel, grid);
+	}
+	return panel;
+}
+
+// Combinar cambios con el estado actual y reflejarlos en la URL sin crear entradas de historial
+function updateCatalogFilters(changes) {
+	if (!catalogFilterState) return;
+	catalogFilterState = { ...catalogFilterState, ...changes };
+	const search = window.catalogFilterService.serializeState(catalogFilterState, window.location.search);
+	window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}${window.location.hash}`);
+
+	// Categoría, orden u origen distintos: pedir de nuevo desde la página 1
+	if (getProductGridQueryKey() !== productGridPaging.queryKey) {
+		resetProductGridPaging();
+		return;
+	}
+	// Otro filtro sobre el catálogo completo: volver a mostrar desde la primera página.
+	// Si el catálogo todavía se está cargando, al llegar se aplica el estado actual
+	if (productGridPaging.local) {
+		if (productGridPaging.loading) return;
+		productGridPaging.page = Math.min(productGridPaging.page, 1);
+	}
+	applyCatalogFilters();
+}
+
+// append: true cuando llegó otra página; si el orden no cambió solo se agregan las tarjetas nuevas
+function applyCatalogFilters({ append = false } = {}) {
+	if (!catalogFilterState) return;
+
+	const filters = window.catalogFilterService;
+	const filtered = filters.filterProducts(PRODUCTS, catalogFilterState);
+	logger.debug(`Filtros aplicados: ${filtered.length} de ${PRODUCTS.length} productos`, catalogFilterState);
+
+	// Sobre el catálogo completo se muestran las coincidencias por páginas, sin pedir nada al servidor
+	let visible = filtered;
+	if (productGridPaging.local) {
+		visible = filtered.slice(0, productGridPaging.page * PRODUCTS_PAGE_SIZE);
+		productGridPaging.hasMore = visible.length < filtered.length;
+	}
+
+	const renderedIds = productGridPaging.renderedIds;
+	const canAppend = append && renderedIds.length > 0 && renderedIds.every((id, index) => visible[index] && visible[index].id === id);
+	renderProducts(canAppend ? visible.slice(renderedIds.length) : visible, { append: canAppend });
+	productGridPaging.renderedIds = visible.map(product => product.id);
+	updateProductGridFooter();
+
+	// Conteos y total sobre todo el catálogo en cuanto está disponible
+	const facetSource = catalogSnapshot || PRODUCTS;
+	const resultCount = productGridPaging.local || !catalogSnapshot
+		? filtered.length
+		: filters.filterProducts(catalogSnapshot, catalogFilterState).length;
+	renderFacets(filters.getFacets(facetSource, catalogFilterState), resultCount);
+
+	// En pantallas grandes una página puede no llenar el grid: pedir la siguiente
+	requestAnimationFrame(() => {
+		if (isProductGridSentinelVisible()) {
+			loadNextProductsPage({ auto: true });
+		}
+	});
+
+	document.querySelectorAll('.chip').forEach(chip => {
+		const filter = chip.dataset.filter;
+		const isActive = filter === 'sale'
+			? catalogFilterState.rebajas
+			: (filter === 'all' ? !catalogFilterState.categoria : filter === catalogFilterState.categoria);
+		chip.classList.toggle('is-active', isActive);
+		chip.setAttribute('aria-selected', String(isActive));
+	});
+}
+
+function renderFacets(facets, resultCount) {
+	const panel = document.getElementById('shopFacets');
+	if (!panel) return;
+
+	const state = catalogFilterState;
+	const renderOptions = (key, title) => {
+		if (facets[key].length === 0) return '';
+		return html`
+			<fieldset class="facet-group">
+				<legend>${title}</legend>
+				${facets[key].map(option => {
+					const checked = state[key].includes(option.value);
+					return html`
+						<label class="facet-option${option.count === 0 && !checked ? ' is-disabled' : ''}">
+							<input type="checkbox" data-facet="${key}" value="${option.value}" ${checked ? 'checked' : ''} ${option.count === 0 && !checked ? 'disabled' : ''}>
+							<span>${option.label}</span>
+							<span class="facet-count">${option.count}</span>
+						</label>
+					`;
+				})}
+			</fieldset>
+		`;
+	};
+
+	panel.innerHTML = html`
+		<div class="facet-toolbar">
+			<p class="facet-results">${resultCount} ${resultCount === 1 ? 'producto' : 'productos'}</p>
+			<label class="facet-sort">
+				<span>Ordenar por</span>
+				<select data-facet-sort>
+					${window.catalogFilterService.SORT_OPTIONS.map(option => html`
+						<option value="${option.id}" ${option.id === state.orden ? 'selected' : ''}>${option.label}</option>
+					`)}
+				</select>
+			</label>
+			${window.catalogFilterService.hasActiveFilters(state) ? raw('<button type="button" class="facet-clear" data-clear-filters>Limpiar filtros</button>') : ''}
+		</div>
+		<div class="facet-groups">
+			${renderOptions('material', 'Material')}
+			${renderOptions('color', 'Color')}
+			<fieldset class="facet-group">
+				<legend>Precio</legend>
+				<div class="facet-price">
+					<input type="number" min="0" inputmode="numeric" data-facet-price="min" aria-label="Precio mínimo" placeholder="${facets.precio.min}" value="${state.min ?? ''}">
+					<span>–</span>
+					<input type="number" min="0" inputmode="numeric" data-facet-price="max" aria-label="Precio máximo" placeholder="${facets.precio.max}" value="${state.max ?? ''}">
+				</div>
+			</fieldset>
+			<fieldset class="facet-group">
+				<legend>Disponibilidad</legend>
+				<label class="facet-option">
+					<input type="checkbox" data-facet-toggle="disponible" ${state.disponible ? 'checked' : ''}>
+					<span>Solo disponibles</span>
+					<span class="facet-count">${facets.disponible}</span>
+				</label>
+				<label class="facet-option">
+					<input type="checkbox" data-facet-toggle="rebajas" ${state.rebajas ? 'checked' : ''}>
+					<span>En rebaja</span>
+					<span class="facet-count">${facets.rebajas}</span>
+				</label>
+			</fieldset>
+		</div>
+	`;
+}
+
+// Función para manejar la vista de categoría específica
+async function handleCategoryView(category) {
+	logger.debug(`Mostrando categoría "${category}" sin recargar página`);
+	
+	// Ocultar la sección de categorías INMEDIATAMENTE (sin esperar)
+	const categoriesSection = document.querySelector('.categories');
+	if (categoriesSection) {
+		categoriesSection.style.display = 'none';
+	}
+	
+	// Ocultar el hero de la tienda original
+	const shopHero = document.querySelector('.shop-hero:not(#categoryHero)');
+	if (shopHero) {
+		shopHero.style.display = 'none';
+	}
+	
+	// Mostrar la sección de productos INMEDIATAMENTE (sin esperar)
+	const productosSection = document.getElementById('productos');
+	if (productosSection) {
+		productosSection.style.display = 'block';
+		logger.debug('Sección de productos mostrada');
+	} else {
+		logger.error('No se encontró la sección de productos');
+	}
+	
+	// Mostrar los filtros (chips) y el buscador para que el usuario pueda filtrar
+	const shopControls = document.querySelector('.shop-controls');
+	if (shopControls) {
+		shopControls.style.display = 'flex';
+	}
+	
+	// Mostrar productos del cache INMEDIATAMENTE mientras se cargan desde la API
+	const cachedProducts = PRODUCTS.filter(p => {
+		const productCategory = p.category?.toLowerCase();
+		return productCategory === category.toLowerCase();
+	});
+	
+	if (catalogFilterState) {
+		updateCatalogFilters({ categoria: category.toLowerCase() });
+	} else if (cachedProducts.length > 0) {
+		logger.debug(`Mostrando ${cachedProducts.length} productos del cache inmediatamente`);
+		renderProducts(cachedProducts);
+	}
+	
+	// Obtener el nombre de la categoría (usar mapeo hardcodeado para evitar delay)
+	let categoryName = category;
+	let categoryDescription = `Descubre nuestra colección de ${category}`;
+	
+	// Mapeo hardcodeado para evitar esperar a la API (causa delay)
+	const categoryNames = {
+		'anillos': 'Anillos',
+		'aretes': 'Aretes',
+		'collares': 'Collares',
+		'pulseras': 'Pulseras',
+		'conjuntos': 'Conjuntos',
+		'piedras': 'Piedras'
+	};
+	categoryName = categoryNames[category] || category;
+	categoryDescription = `Descubre nuestra colección de ${categoryName.toLowerCase()}`;
+	
+	// Intentar obtener información mejorada desde la API en segundo plano (sin bloquear)
+	if (window.productService) {
+		window.productService.getCategoryBySlug(category).then(result => {
+			if (result.success && result.category) {
+				// Actualizar título si se obtiene de la API
+				document.title = `${result.category.nombre} – El Xolito Mex`;
+				const heroTitle = document.querySelector('#categoryHero h1');
+				if (heroTitle) {
+					heroTitle.textContent = result.category.nombre;
+				}
+			}
+		}).catch(() => {
+			// Ignorar errores, ya tenemos el nombre hardcodeado
+		});
+	}
+	
+	document.title = `${categoryName} – El Xolito Mex`;
+	
+	// Crear un nuevo hero para la categoría
+	const main = document.querySelector('main');
+	const shopSection = document.querySelector('.shop');
+	
+	if (main && shopSection) {
+		// Eliminar hero de categoría anterior si existe
+		const existingCategoryHero = document.getElementById('categoryHero');
+		if (existingCategoryHero) {
+			existingCategoryHero.remove();
+		}
+		
+		// Crear nuevo hero de categoría
+		const categoryHero = document.createElement('section');
+		categoryHero.id = 'categoryHero';
+		categoryHero.className = 'shop-hero';
+		categoryHero.innerHTML = html`
+			<div class="container">
+				<h1 class="display">${categoryName}</h1>
+				<p class="lead">${categoryDescription}</p>
+			</div>
+		`;
+		main.insertBefore(categoryHero, shopSection);
+	}
+	
+	// Cargar productos de la categoría desde la API en segundo plano (NO bloquea)
+	async function loadCategoryProducts() {
+		// NO esperar a productService - si no está disponible, usar solo cache
+		if (!window.productService) {
+			logger.warn('productService no disponible, usando solo productos del cache');
+			return;
+		}
+		
+		try {
+			logger.debug(`Cargando productos de "${category}" desde API...`);
+			const result = await window.productService.getProductsByCategory(category);
+			
+			if (result.success && result.products && result.products.length > 0) {
+				const filteredProducts = result.products.map(apiProduct => 
+					window.productService.formatProductForFrontend(apiProduct)
+				);
+				logger.debug(`Cargados ${filteredProducts.length} productos de la categoría "${category}" desde la API`);
+				// Actualizar cache (arreglo nuevo para que la búsqueda reconstruya su índice)
+				const updated = new Map(filteredProducts.map(p => [p.id, p]));
+				PRODUCTS = [
+					...PRODUCTS.map(prod => updated.get(prod.id) || prod),
+					...filteredProducts.filter(p => !PRODUCTS.some(prod => prod.id === p.id))
+				];
+				// Actualizar productos en pantalla (respetando los filtros activos)
+				if (catalogFilterState) {
+					applyCatalogFilters();
+				} else {
+					renderProducts(filteredProducts);
+				}
+			} else {
+				logger.warn(`No se encontraron productos en la API para la categoría "${category}"`);
+			}
+		} catch (error) {
+			logger.error('Error al cargar productos por categoría desde la API:', error);
+		}
+	}
+	
+	// Cargar productos desde API en segundo plano (NO esperar - no bloquea la UI).
+	// En la tienda con filtros, la paginación ya pide la categoría al servidor.
+	if (!catalogFilterState) {
+		loadCategoryProducts();
+	}
+	
+	// Scroll a la sección de productos inmediatamente
+	setTimeout(() => {
+		if (productosSection) {
+			productosSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+		}
+	}, 100);
+}
+
+function setupNav() {
+	const btn = document.querySelector('.nav-toggle');
+	const list = document.querySelector('.nav-list');
+	if (!btn || !list) return;
+
+	btn.addEventListener('click', () => {
+		const open = list.classList.toggle('is-open');
+		btn.setAttribute('aria-expanded', String(open));
+	});
+	list.querySelectorAll('a').forEach(a => a.addEventListener('click', () => {
+		list.classList.remove('is-open');
+		btn.setAttribute('aria-expanded', 'false');
+	}));
+}
+
+// Enlaces con desplazamiento suave: data-scroll-top sube al inicio, data-scroll-to="#id" baja a la sección
+function setupSmoothScrollLinks() {
+	document.addEventListener('click', (e) => {
+		const link = e.target.closest('[data-scroll-top], [data-scroll-to]');
+		if (!link) return;
+
+		const target = link.hasAttribute('data-scroll-top') ? null : document.querySelector(link.dataset.scrollTo);
+		if (link.hasAttribute('data-scroll-to') && !target) return;
+
+		e.preventDefault();
+		if (target) {
+			target.scrollIntoView({ behavior: 'smooth' });
+		} else {
+			window.scrollTo({ top: 0, behavior: 'smooth' });
+		}
+	});
+}
+
+function setupCart() {
+	logger.debug('setupCart called');
+	const cartToggle = document.querySelector('.cart-toggle');
+	const cartModal = document.getElementById('cartModal');
+	const cartClose = document.querySelector('.cart-close');
+	const cartOverlay = document.querySelector('.cart-overlay');
+
+	logger.debug('Cart elements found - Toggle:', !!cartToggle, 'Modal:', !!cartModal);
+	if (!cartToggle || !cartModal) {
+		logger.warn('Cart toggle or modal not found!');
+		return;
+	}
 
-// Función para renderizar categorías dinámicamente
-function renderCategories(categories) {
-	const categoriesGrid = document.querySelector('.categories-grid');
-	if (!categoriesGrid) return;
-	
-	// Mapeo de slugs a imágenes (mantener las imágenes existentes)
-	const categoryImages = {
-		'anillos': 'assets/Categorias/anillos.jpeg',
-		'aretes': 'assets/Categorias/aretes.jpeg',
-		'collares': 'assets/Categorias/collares.jpeg',
-		'pulseras': 'assets/Categorias/pulseras.jpeg',
-		'conjuntos': 'assets/Categorias/conjuntos.jpeg',
-		'piedras': 'assets/Categorias/piedras.jpeg'
+	cartToggle.addEventListener('click', () => {
+		logger.debug('Cart toggle clicked');
+		cartModal.setAttribute('aria-hidden', 'false');
+		logger.debug('Cart modal aria-hidden set to false');
+		document.body.style.overflow = 'hidden';
+		// Revisar precios y stock cada vez que se abre el carrito
+		cart.revalidate();
+		refreshCartRecommendations();
+	});
+
+	const closeCart = () => {
+		cartModal.setAttribute('aria-hidden', 'true');
+		document.body.style.overflow = '';
 	};
-	
-	// Mapeo de slugs a descripciones por defecto
-	const categoryDescriptions = {
-		'anillos': 'Piezas únicas para tus dedos',
-		'aretes': 'Elegantes adornos para tus orejas',
-		'collares': 'Declaraciones de estilo únicas',
-		'pulseras': 'Accesorios para tus muñecas',
-		'conjuntos': 'Pequeños tesoros con significado',
-		'piedras': 'Minerales naturales mexicanos'
+
+	if (cartClose) cartClose.addEventListener('click', closeCart);
+	if (cartOverlay) cartOverlay.addEventListener('click', closeCart);
+
+	// Cupones de descuento
+	const couponForm = document.getElementById('cartCouponForm');
+	const couponMessage = document.getElementById('cartCouponMessage');
+	const showCouponMessage = (message, isError) => {
+		if (!couponMessage) return;
+		couponMessage.textContent = message;
+		couponMessage.hidden = !message;
+		couponMessage.classList.toggle('cart-coupon-message--error', !!isError);
 	};
-	
-	// Ordenar categorías por el campo 'orden' de la base de datos
-	const sortedCategories = [...categories].sort((a, b) => a.orden - b.orden);
-	
-	categoriesGrid.innerHTML = sortedCategories.map(category => {
-		const imagePath = categoryImages[category.slug] || category.imagen_icono || 'assets/placeholder.jpg';
-		const description = category.descripcion || categoryDescriptions[category.slug] || `Descubre nuestra colección de ${category.nombre.toLowerCase()}`;
-		
-		return `
-			<div class="category-card" data-category="${category.slug}">
-				<div class="category-image">
-					<div class="category-placeholder">
-						<img src="${imagePath}" alt="Categoría ${category.nombre}" />
-					</div>
-				</div>
-				<div class="category-content">
-					<h3>${category.nombre}</h3>
-					<p>${description}</p>
-					<a href="tienda.html?categoria=${category.slug}" class="btn btn-primary" data-category-link="${category.slug}">Ver productos</a>
-				</div>
-			</div>
-		`;
-	}).join('');
-	
-	// Configurar event listeners después de renderizar
-	setupCategories();
-}
 
-function setupCategories() {
-	const categoryCards = document.querySelectorAll('.category-card');
-	console.log(`🔧 Configurando ${categoryCards.length} tarjetas de categoría`);
-	
-	// Usar delegación de eventos en el contenedor para evitar problemas con listeners duplicados
-	const categoriesGrid = document.querySelector('.categories-grid');
-	if (categoriesGrid) {
-		// Remover listener anterior si existe
-		categoriesGrid.removeEventListener('click', handleCategoryClick);
-		categoriesGrid.addEventListener('click', handleCategoryClick);
-		console.log('✅ Delegación de eventos configurada en .categories-grid');
-	} else {
-		// Fallback: agregar listeners individuales
-		categoryCards.forEach((card) => {
-			const category = card.dataset.category;
-			if (!category) return;
-			
-			const link = card.querySelector('a.btn-primary, a[href*="categoria"]');
-			if (link) {
-				link.addEventListener('click', (e) => {
-					e.preventDefault();
-					e.stopPropagation();
-					console.log(`🖱️ Click en categoría: ${category}`);
-					window.history.pushState({ category }, '', `tienda.html?categoria=${category}`);
-					handleCategoryView(category);
-					return false;
-				});
+	if (couponForm) {
+		couponForm.addEventListener('submit', (e) => {
+			e.preventDefault();
+			const input = couponForm.elements.coupon;
+			const result = cart.applyCoupon(input.value);
+			showCouponMessage(result.message, !result.success);
+			if (result.success) {
+				input.value = '';
 			}
-			
-			card.addEventListener('click', (e) => {
-				if (e.target.closest('a') || e.target.closest('button')) return;
-				e.preventDefault();
-				e.stopPropagation();
-				console.log(`🖱️ Click en tarjeta de categoría: ${category}`);
-				window.history.pushState({ category }, '', `tienda.html?categoria=${category}`);
-				handleCategoryView(category);
-				return false;
-			});
 		});
 	}
-	
-	// Manejar el botón "atrás" del navegador (solo una vez)
-	if (!window._popstateHandlerAdded) {
-		window.addEventListener('popstate', (e) => {
-			const urlParams = new URLSearchParams(window.location.search);
-			const categoria = urlParams.get('categoria');
-			if (categoria) {
-				handleCategoryView(categoria);
+
+	cartModal.addEventListener('click', (e) => {
+		if (e.target.closest('[data-remove-coupon]')) {
+			cart.removeCoupon();
+			showCouponMessage('');
+		}
+	});
+
+	// Proceder al pago
+	const cartCheckout = cartModal.querySelector('.cart-checkout');
+	if (cartCheckout) {
+		cartCheckout.addEventListener('click', () => {
+			document.body.style.overflow = '';
+			openCheckout();
+		});
+	}
+
+	// Close on escape key
+	document.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape' && cartModal.getAttribute('aria-hidden') === 'false') {
+			closeCart();
+		}
+	});
+
+	// Botones de cantidad y eliminar de cada item (el listado se vuelve a renderizar en cada cambio)
+	const cartItemsList = document.getElementById('cartItems');
+	if (cartItemsList) {
+		cartItemsList.addEventListener('click', (e) => {
+			const button = e.target.closest('[data-cart-quantity], [data-cart-remove]');
+			if (!button) return;
+
+			const lineKey = button.closest('[data-line-key]').dataset.lineKey;
+			if (button.hasAttribute('data-cart-remove')) {
+				cart.removeItem(lineKey);
 			} else {
-				// Mostrar todas las categorías
-				const categoriesSection = document.querySelector('.categories');
-				const productosSection = document.getElementById('productos');
-				if (categoriesSection) categoriesSection.style.display = 'block';
-				if (productosSection) productosSection.style.display = 'none';
+				cart.updateQuantity(lineKey, Number(button.dataset.cartQuantity));
 			}
 		});
-		window._popstateHandlerAdded = true;
 	}
+
+	// Reintentar la sincronización del carrito al recuperar la conexión
+	window.addEventListener('online', () => {
+		if (cart.syncMode === 'server') {
+			if (cart.syncPending) cart.pushToServer();
+		} else if (window.authService && window.authService.isAuthenticated()) {
+			// La sesión se abrió sin conexión: unir ahora el carrito con el del servidor
+			cart.attachToServer();
+		}
+	});
 }
 
-// Función para manejar clicks en categorías usando delegación de eventos
-function handleCategoryClick(e) {
-	// Buscar la tarjeta de categoría más cercana
-	const card = e.target.closest('.category-card');
-	if (!card) return;
-	
-	const category = card.dataset.category;
-	if (!category) return;
-	
-	// Si el click fue en un enlace, prevenir el comportamiento por defecto
-	const link = e.target.closest('a');
-	if (link) {
-		e.preventDefault();
-		e.stopPropagation();
-		console.log(`🖱️ Click en enlace de categoría: ${category}`);
-		window.history.pushState({ category }, '', `tienda.html?categoria=${category}`);
-		handleCategoryView(category);
-		return false;
+// Checkout: datos de contacto y dirección → método de envío → pago → revisión → pedido
+const CHECKOUT_STEPS = ['contact', 'shipping', 'payment', 'review', 'confirmation'];
+const PENDING_CHECKOUT_KEY = 'pendingCheckout';
+
+class Checkout {
+	constructor(cart) {
+		this.cart = cart;
+		this.modal = document.getElementById('checkoutModal');
+		this.state = this.createInitialState();
+		this.submitting = false;
 	}
-	
-	// Si el click fue en la tarjeta (pero no en un enlace)
-	if (!e.target.closest('a') && !e.target.closest('button')) {
-		e.preventDefault();
-		e.stopPropagation();
-		console.log(`🖱️ Click en tarjeta de categoría: ${category}`);
-		window.history.pushState({ category }, '', `tienda.html?categoria=${category}`);
-		handleCategoryView(category);
-		return false;
+
+	createInitialState() {
+		return {
+			step: 'contact',
+			contact: {},
+			address: {},
+			shippingMethodId: null,
+			paymentMethod: 'card',
+			// Los datos de la tarjeta solo viven en memoria, nunca en storage
+			paymentDetails: null,
+			order: null,
+			// Datos con los que se creó state.order; si cambian se crea otro pedido
+			orderKey: null,
+			payment: null
+		};
 	}
-}
 
-// Función para actualizar los filtros desde las categorías de la API
-async function updateFiltersFromCategories() {
-	try {
-		const serviceAvailable = await waitForProductService();
-		if (!serviceAvailable) return;
-		
-		const result = await window.productService.getAllCategories();
-		if (!result.success || !result.categories) return;
-		
-		const filtersContainer = document.querySelector('.filters');
-		if (!filtersContainer) return;
-		
-		// Ordenar categorías por orden
-		const sortedCategories = [...result.categories].sort((a, b) => a.orden - b.orden);
-		
-		// Crear HTML de filtros dinámicamente
-		let filtersHTML = '<button class="chip is-active" data-filter="all" role="tab" aria-selected="true">Todo</button>';
-		
-		sortedCategories.forEach(category => {
-			filtersHTML += `<button class="chip" data-filter="${category.slug}" role="tab">${category.nombre}</button>`;
+	isAvailable() {
+		return !!this.modal;
+	}
+
+	open() {
+		if (!this.isAvailable()) return;
+		if (this.cart.items.length === 0) {
+			showAuthMessage('Tu carrito está vacío', 'error');
+			return;
+		}
+
+		this.state = this.createInitialState();
+		this.prefillContact();
+		this.renderShippingMethods();
+		this.setupPaymentMethods();
+		this.goToStep('contact');
+		this.modal.setAttribute('aria-hidden', 'false');
+		document.body.style.overflow = 'hidden';
+	}
+
+	close() {
+		if (!this.isAvailable()) return;
+		this.modal.setAttribute('aria-hidden', 'true');
+		document.body.style.overflow = '';
+	}
+
+	// Prellenar los datos de contacto si el usuario inició sesión
+	prefillContact() {
+		const form = this.getStepElement('contact');
+		if (!form) return;
+		form.reset();
+
+		const user = window.authService && window.authService.isAuthenticated()
+			? window.authService.getStoredUser()
+			: null;
+		if (!user) return;
+
+		form.elements.nombre.value = user.nombre_completo || user.name || '';
+		form.elements.email.value = user.email || '';
+		form.elements.telefono.value = user.telefono || '';
+	}
+
+	getStepElement(step) {
+		return this.modal.querySelector(`[data-step="${step}"]`);
+	}
+
+	goToStep(step) {
+		this.state.step = step;
+		this.showError('');
+
+		CHECKOUT_STEPS.forEach(name => {
+			const el = this.getStepElement(name);
+			if (el) el.hidden = name !== step;
 		});
-		
-		filtersContainer.innerHTML = filtersHTML;
-	} catch (error) {
-		console.error('Error al actualizar filtros desde categorías:', error);
+
+		const stepIndex = CHECKOUT_STEPS.indexOf(step);
+		this.modal.querySelectorAll('[data-step-indicator]').forEach(indicator => {
+			const indicatorIndex = CHECKOUT_STEPS.indexOf(indicator.dataset.stepIndicator);
+			indicator.classList.toggle('is-active', indicatorIndex === stepIndex);
+			indicator.classList.toggle('is-complete', indicatorIndex < stepIndex);
+		});
+
+		const stepsList = this.modal.querySelector('.checkout-steps');
+		if (stepsList) stepsList.hidden = step === 'confirmation';
+
+		if (step === 'review') {
+			this.renderReview();
+		}
 	}
-}
 
-function setupFilters() {
-	const chips = Array.from(document.querySelectorAll('.chip'));
-	const searchInput = document.getElementById('searchInput');
-	if (!chips.length || !searchInput) {
-		console.warn('⚠️ No se encontraron filtros o buscador');
-		return;
+	goBack() {
+		const index = CHECKOUT_STEPS.indexOf(this.state.step);
+		if (index > 0) {
+			this.goToStep(CHECKOUT_STEPS[index - 1]);
+		}
 	}
 
-	let active = 'all';
+	showError(message) {
+		const errorEl = document.getElementById('checkoutError');
+		if (!errorEl) return;
+		errorEl.textContent = message;
+		errorEl.hidden = !message;
+	}
 
-	function apply() {
-		const term = (searchInput.value || '').toLowerCase().trim();
-		console.log(`🔍 Aplicando filtros: categoría="${active}", búsqueda="${term}"`);
-		console.log(`📊 Productos disponibles para filtrar: ${PRODUCTS.length}`);
-		
-		// Si no hay productos, no hacer nada
-		if (PRODUCTS.length === 0) {
-			console.warn('⚠️ No se pueden aplicar filtros porque el cache está vacío');
+	// Validar y guardar el paso de contacto y dirección
+	submitContact(form) {
+		const data = Object.fromEntries(new FormData(form).entries());
+		Object.keys(data).forEach(key => {
+			data[key] = String(data[key]).trim();
+		});
+
+		const required = ['nombre', 'email', 'telefono', 'calle', 'numero', 'colonia', 'codigo_postal', 'ciudad', 'estado'];
+		const missing = required.filter(key => !data[key]);
+		if (missing.length > 0) {
+			this.showError('Por favor, completa todos los campos obligatorios');
+			form.elements[missing[0]].focus();
 			return;
 		}
-		
-		const filtered = PRODUCTS.filter(p => {
-			const byCat = active === 'all' ? true : p.category === active || (p.category && p.category.toLowerCase() === active);
-			const byTerm = term ? (p.name.toLowerCase().includes(term) || (p.material && p.material.toLowerCase().includes(term))) : true;
-			return byCat && byTerm;
-		});
-		
-		console.log(`✅ Productos filtrados: ${filtered.length}`);
-		if (filtered.length === 0 && PRODUCTS.length > 0) {
-			console.warn('⚠️ No se encontraron productos con los filtros aplicados');
-			console.warn('   Categorías disponibles:', [...new Set(PRODUCTS.map(p => p.category))]);
+		if (!isValidEmail(data.email)) {
+			this.showError('Por favor, ingresa un email válido');
+			form.elements.email.focus();
+			return;
 		}
-		
-		// Renderizar productos (incluso si están vacíos, renderProducts manejará eso)
-		renderProducts(filtered);
+		if (data.telefono.replace(/\D/g, '').length < 10) {
+			this.showError('El teléfono debe tener al menos 10 dígitos');
+			form.elements.telefono.focus();
+			return;
+		}
+		if (!/^\d{5}$/.test(data.codigo_postal)) {
+			this.showError('El código postal debe tener 5 dígitos');
+			form.elements.codigo_postal.focus();
+			return;
+		}
+
+		this.state.contact = {
+			nombre: data.nombre,
+			email: data.email,
+			telefono: data.telefono
+		};
+		this.state.address = {
+			calle: data.calle,
+			numero: data.numero,
+			colonia: data.colonia,
+			codigo_postal: data.codigo_postal,
+			ciudad: data.ciudad,
+			estado: data.estado,
+			referencias: data.referencias || ''
+		};
+		this.goToStep('shipping');
 	}
 
-	chips.forEach(c => {
-		c.addEventListener('click', () => {
-			chips.forEach(x => {
-				x.classList.remove('is-active');
-				x.setAttribute('aria-selected', 'false');
-			});
-			c.classList.add('is-active');
-			c.setAttribute('aria-selected', 'true');
-			active = c.dataset.filter;
-			apply();
-		});
-	});
-	searchInput.addEventListener('input', apply);
-	apply();
-}
+	getShippingMethods() {
+		return window.appConfig.shippingMethods || [];
+	}
 
-// Función para manejar la vista de categoría específica
-async function handleCategoryView(category) {
-	console.log(`🚀 Mostrando categoría "${category}" sin recargar página`);
-	
-	// Ocultar la sección de categorías INMEDIATAMENTE (sin esperar)
-	const categoriesSection = document.querySelector('.categories');
-	if (categoriesSection) {
-		categoriesSection.style.display = 'none';
+	getShippingMethod() {
+		return this.getShippingMethods().find(m => m.id === this.state.shippingMethodId) || null;
 	}
-	
-	// Ocultar el hero de la tienda original
-	const shopHero = document.querySelector('.shop-hero:not(#categoryHero)');
-	if (shopHero) {
-		shopHero.style.display = 'none';
+
+	// El envío gratis lo decide el motor de promociones (regla envio_gratis)
+	getShippingCost(method, pricing) {
+		if (!method) return 0;
+		if (method.freeOverThreshold && pricing.freeShipping) {
+			return 0;
+		}
+		return method.costo;
 	}
-	
-	// Mostrar la sección de productos INMEDIATAMENTE (sin esperar)
-	const productosSection = document.getElementById('productos');
-	if (productosSection) {
-		productosSection.style.display = 'block';
-		console.log('✅ Sección de productos mostrada');
-	} else {
-		console.error('❌ No se encontró la sección de productos');
+
+	getTotals() {
+		const pricing = this.cart.getPricing();
+		const shipping = this.getShippingCost(this.getShippingMethod(), pricing);
+		return {
+			subtotal: pricing.subtotal,
+			discounts: pricing.discounts,
+			discountTotal: pricing.discountTotal,
+			couponCode: pricing.coupon && pricing.coupon.valid ? pricing.coupon.code : null,
+			shipping,
+			total: pricing.total + shipping
+		};
+	}
+
+	renderShippingMethods() {
+		const container = document.getElementById('checkoutShippingMethods');
+		if (!container) return;
+
+		const pricing = this.cart.getPricing();
+		const methods = this.getShippingMethods();
+		if (!this.state.shippingMethodId && methods.length > 0) {
+			this.state.shippingMethodId = methods[0].id;
+		}
+
+		container.innerHTML = methods.map(method => {
+			const cost = this.getShippingCost(method, pricing);
+			const checked = method.id === this.state.shippingMethodId ? 'checked' : '';
+			return html`
+				<label class="checkout-shipping-option">
+					<input type="radio" name="metodo_envio" value="${method.id}" ${checked}>
+					<span class="checkout-shipping-info">
+						<strong>${method.nombre}</strong>
+						<small>${method.descripcion}</small>
+					</span>
+					<span class="checkout-shipping-cost">${cost === 0 ? 'Gratis' : formatCurrency(cost)}</span>
+				</label>
+			`;
+		}).join('');
+	}
+
+	submitShipping(form) {
+		const selected = form.querySelector('input[name="metodo_envio"]:checked');
+		if (!selected) {
+			this.showError('Selecciona un método de envío');
+			return;
+		}
+		this.state.shippingMethodId = selected.value;
+		this.goToStep('payment');
+	}
+
+	// Mostrar solo los métodos de pago con proveedor configurado
+	setupPaymentMethods() {
+		const form = this.getStepElement('payment');
+		if (!form) return;
+		form.reset();
+
+		const available = window.paymentService.getAvailableMethods();
+		form.querySelectorAll('[data-payment-method]').forEach(option => {
+			option.hidden = !available.includes(option.dataset.paymentMethod);
+		});
+		const firstAvailable = form.querySelector('[data-payment-method]:not([hidden]) input');
+		if (firstAvailable) {
+			firstAvailable.checked = true;
+			this.state.paymentMethod = firstAvailable.value;
+		}
+		this.toggleCardFields(form);
 	}
-	
-	// Mostrar los filtros (chips) y el buscador para que el usuario pueda filtrar
-	const shopControls = document.querySelector('.shop-controls');
-	if (shopControls) {
-		shopControls.style.display = 'flex';
+
+	toggleCardFields(form) {
+		const cardFields = form.querySelector('[data-card-fields]');
+		if (cardFields) {
+			cardFields.hidden = this.getSelectedPaymentMethod(form) !== 'card';
+		}
 	}
-	
-	// Mostrar productos del cache INMEDIATAMENTE mientras se cargan desde la API
-	const cachedProducts = PRODUCTS.filter(p => {
-		const productCategory = p.category?.toLowerCase();
-		return productCategory === category.toLowerCase();
-	});
-	
-	if (cachedProducts.length > 0) {
-		console.log(`⚡ Mostrando ${cachedProducts.length} productos del cache inmediatamente`);
-		renderProducts(cachedProducts);
+
+	getSelectedPaymentMethod(form) {
+		const selected = form.querySelector('input[name="metodo_pago"]:checked');
+		return selected ? selected.value : null;
 	}
-	
-	// Obtener el nombre de la categoría (usar mapeo hardcodeado para evitar delay)
-	let categoryName = category;
-	let categoryDescription = `Descubre nuestra colección de ${category}`;
-	
-	// Mapeo hardcodeado para evitar esperar a la API (causa delay)
-	const categoryNames = {
-		'anillos': 'Anillos',
-		'aretes': 'Aretes',
-		'collares': 'Collares',
-		'pulseras': 'Pulseras',
-		'conjuntos': 'Conjuntos',
-		'piedras': 'Piedras'
-	};
-	categoryName = categoryNames[category] || category;
-	categoryDescription = `Descubre nuestra colección de ${categoryName.toLowerCase()}`;
-	
-	// Intentar obtener información mejorada desde la API en segundo plano (sin bloquear)
-	if (window.productService) {
-		window.productService.getCategoryBySlug(category).then(result => {
-			if (result.success && result.category) {
-				// Actualizar título si se obtiene de la API
-				document.title = `${result.category.nombre} – El Xolito Mex`;
-				const heroTitle = document.querySelector('#categoryHero h1');
-				if (heroTitle) {
-					heroTitle.textContent = result.category.nombre;
-				}
+
+	submitPayment(form) {
+		const method = this.getSelectedPaymentMethod(form);
+		if (!method) {
+			this.showError('Selecciona un método de pago');
+			return;
+		}
+
+		if (method === 'card') {
+			const card = {
+				name: form.elements.card_name.value.trim(),
+				number: form.elements.card_number.value.replace(/\s+/g, ''),
+				expiry: form.elements.card_expiry.value.trim(),
+				cvc: form.elements.card_cvc.value.trim()
+			};
+			if (!card.name || !card.number || !card.expiry || !card.cvc) {
+				this.showError('Completa los datos de la tarjeta');
+				return;
 			}
-		}).catch(() => {
-			// Ignorar errores, ya tenemos el nombre hardcodeado
-		});
+			if (!window.paymentService.isValidCardNumber(card.number)) {
+				this.showError('El número de tarjeta no es válido');
+				form.elements.card_number.focus();
+				return;
+			}
+			if (!/^\d{2}\/\d{2}$/.test(card.expiry)) {
+				this.showError('La fecha de vencimiento debe tener el formato MM/AA');
+				form.elements.card_expiry.focus();
+				return;
+			}
+			this.state.paymentDetails = card;
+		} else {
+			this.state.paymentDetails = {};
+		}
+
+		this.state.paymentMethod = method;
+		this.goToStep('review');
 	}
-	
-	document.title = `${categoryName} – El Xolito Mex`;
-	
-	// Crear un nuevo hero para la categoría
-	const main = document.querySelector('main');
-	const shopSection = document.querySelector('.shop');
-	
-	if (main && shopSection) {
-		// Eliminar hero de categoría anterior si existe
-		const existingCategoryHero = document.getElementById('categoryHero');
-		if (existingCategoryHero) {
-			existingCategoryHero.remove();
+
+	getPaymentSummary() {
+		if (this.state.paymentMethod === 'oxxo') {
+			return 'Efectivo en OXXO';
 		}
-		
-		// Crear nuevo hero de categoría
-		const categoryHero = document.createElement('section');
-		categoryHero.id = 'categoryHero';
-		categoryHero.className = 'shop-hero';
-		categoryHero.innerHTML = `
-			<div class="container">
-				<h1 class="display">${categoryName}</h1>
-				<p class="lead">${categoryDescription}</p>
+		const number = (this.state.paymentDetails && this.state.paymentDetails.number) || '';
+		return `Tarjeta terminación ${number.slice(-4)}`;
+	}
+
+	renderReview() {
+		const container = document.getElementById('checkoutReview');
+		if (!container) return;
+
+		const { contact, address } = this.state;
+		const method = this.getShippingMethod();
+		const totals = this.getTotals();
+
+		container.innerHTML = html`
+			<div class="checkout-review-section">
+				<h4>Productos</h4>
+				<ul class="checkout-review-items">
+					${this.cart.items.map(item => html`
+						<li>
+							<span>
+								${item.quantity}x ${item.name}
+								${renderVariantOptionsHTML(item, 'checkout-review-options')}
+							</span>
+							<span>${formatCurrency(item.price * item.quantity)}</span>
+						</li>
+					`)}
+				</ul>
+			</div>
+			<div class="checkout-review-section">
+				<h4>Envío a</h4>
+				<p>
+					${contact.nombre}<br>
+					${address.calle} ${address.numero}, ${address.colonia}<br>
+					${address.ciudad}, ${address.estado}, C.P. ${address.codigo_postal}
+					${address.referencias ? html`<br><small>${address.referencias}</small>` : ''}
+				</p>
+				<p class="checkout-muted">${contact.email} · ${contact.telefono}</p>
+			</div>
+			<div class="checkout-review-section">
+				<h4>Pago</h4>
+				<p>${this.getPaymentSummary()}</p>
+			</div>
+			<div class="checkout-review-section checkout-totals">
+				<div><span>Subtotal</span><span>${formatCurrency(totals.subtotal)}</span></div>
+				${totals.discounts.map(discount => html`
+					<div class="checkout-discount"><span>${discount.nombre}</span><span>-${formatCurrency(discount.monto)}</span></div>
+				`)}
+				<div><span>${method ? method.nombre : 'Envío'}</span><span>${totals.shipping === 0 ? 'Gratis' : formatCurrency(totals.shipping)}</span></div>
+				<div class="checkout-grand-total"><span>Total</span><span>${formatCurrency(totals.total)}</span></div>
 			</div>
 		`;
-		main.insertBefore(categoryHero, shopSection);
 	}
-	
-	// Cargar productos de la categoría desde la API en segundo plano (NO bloquea)
-	async function loadCategoryProducts() {
-		// NO esperar a productService - si no está disponible, usar solo cache
-		if (!window.productService) {
-			console.warn('⚠️ productService no disponible, usando solo productos del cache');
+
+	buildOrderPayload() {
+		const totals = this.getTotals();
+		return {
+			items: this.cart.items.map(item => ({
+				producto_id: item.id,
+				variante_id: item.variantId || null,
+				cantidad: item.quantity,
+				precio_unitario: item.price
+			})),
+			cliente: this.state.contact,
+			direccion_envio: this.state.address,
+			metodo_envio: this.state.shippingMethodId,
+			metodo_pago: this.state.paymentMethod,
+			subtotal: totals.subtotal,
+			// El backend recalcula las promociones; se envían para detectar diferencias
+			codigo_cupon: totals.couponCode,
+			descuentos: totals.discounts,
+			descuento: totals.discountTotal,
+			costo_envio: totals.shipping,
+			total: totals.total
+		};
+	}
+
+	async submitOrder() {
+		if (this.submitting) return;
+
+		// Sin datos de pago no se crea el pedido (quedaría sin pagar)
+		if (!this.state.paymentMethod || !this.state.paymentDetails) {
+			this.goToStep('payment');
+			this.showError('Elige un método de pago');
 			return;
 		}
-		
+
+		const submitButton = document.getElementById('checkoutSubmit');
+		const originalText = submitButton ? submitButton.textContent : '';
+		this.submitting = true;
+		this.showError('');
+		if (submitButton) {
+			submitButton.disabled = true;
+			submitButton.textContent = 'Procesando pago...';
+		}
+
 		try {
-			console.log(`🔄 Cargando productos de "${category}" desde API...`);
-			const result = await window.productService.getProductsByCategory(category);
-			
-			if (result.success && result.products && result.products.length > 0) {
-				const filteredProducts = result.products.map(apiProduct => 
-					window.productService.formatProductForFrontend(apiProduct)
-				);
-				console.log(`✅ Cargados ${filteredProducts.length} productos de la categoría "${category}" desde la API`);
-				// Actualizar cache
-				filteredProducts.forEach(p => {
-					const index = PRODUCTS.findIndex(prod => prod.id === p.id);
-					if (index >= 0) {
-						PRODUCTS[index] = p;
-					} else {
-						PRODUCTS.push(p);
-					}
-				});
-				// Actualizar productos en pantalla
-				renderProducts(filteredProducts);
-			} else {
-				console.warn(`⚠️ No se encontraron productos en la API para la categoría "${category}"`);
+			// Si un intento de pago anterior falló, reutilizar el pedido ya creado solo si no cambió
+			// nada (productos, envío, método de pago, cupón ni totales)
+			const payload = this.buildOrderPayload();
+			const orderKey = JSON.stringify(payload);
+			if (this.state.order && this.state.orderKey !== orderKey) {
+				this.state.order = null;
+			}
+			if (!this.state.order) {
+				const result = await window.orderService.createOrder(payload);
+				if (!result.success) {
+					this.showError(result.message || 'No se pudo crear el pedido. Intenta nuevamente.');
+					return;
+				}
+				this.state.order = result.order;
+				this.state.orderKey = orderKey;
 			}
+
+			const payment = await window.paymentService.payOrder({
+				order: this.state.order,
+				amount: this.state.order.total || this.getTotals().total,
+				method: this.state.paymentMethod,
+				paymentDetails: this.state.paymentDetails,
+				customer: this.state.contact
+			});
+			this.handlePaymentResult(payment);
 		} catch (error) {
-			console.error('❌ Error al cargar productos por categoría desde la API:', error);
+			logger.error('Error al procesar el pago:', error);
+			this.goToStep('payment');
+			this.showError(error.message || 'No se pudo procesar el pago. Intenta nuevamente.');
+		} finally {
+			this.submitting = false;
+			if (submitButton) {
+				submitButton.disabled = false;
+				submitButton.textContent = originalText;
+			}
 		}
 	}
-	
-	// Cargar productos desde API en segundo plano (NO esperar - no bloquea la UI)
-	loadCategoryProducts();
-	
-	// Scroll a la sección de productos inmediatamente
-	setTimeout(() => {
-		if (productosSection) {
-			productosSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+	handlePaymentResult(payment) {
+		this.state.payment = payment;
+		const nextAction = payment.nextAction;
+
+		// 3-D Secure u otro redirect: guardar el pedido para retomarlo al volver
+		if (payment.status === 'requires_action' && nextAction && nextAction.type === 'redirect') {
+			sessionStorage.setItem(PENDING_CHECKOUT_KEY, JSON.stringify({
+				order: this.state.order,
+				orderKey: this.state.orderKey,
+				contact: this.state.contact
+			}));
+			window.location.href = nextAction.url;
+			return;
 		}
-	}, 100);
-}
 
-function setupNav() {
-	const btn = document.querySelector('.nav-toggle');
-	const list = document.querySelector('.nav-list');
-	if (!btn || !list) return;
+		if (!this.isPaymentAccepted(payment)) {
+			this.goToStep('payment');
+			this.showError('No se pudo completar el pago. Intenta con otra tarjeta o método de pago.');
+			return;
+		}
 
-	btn.addEventListener('click', () => {
-		const open = list.classList.toggle('is-open');
-		btn.setAttribute('aria-expanded', String(open));
-	});
-	list.querySelectorAll('a').forEach(a => a.addEventListener('click', () => {
-		list.classList.remove('is-open');
-		btn.setAttribute('aria-expanded', 'false');
-	}));
+		this.cart.clear();
+		this.showConfirmation(this.state.order, payment);
+	}
+
+	// Pagado, en proceso o con referencia OXXO pendiente de pago en tienda
+	isPaymentAccepted(payment) {
+		if (payment.status === 'succeeded' || payment.status === 'processing') return true;
+		return payment.status === 'requires_action' && !!payment.nextAction && payment.nextAction.type === 'display_voucher';
+	}
+
+	// Retomar el checkout al regresar de un redirect de pago
+	async resumeFromRedirect() {
+		if (!this.isAvailable() || !window.paymentService.isRedirectReturn()) return;
+
+		let pending = null;
+		try {
+			pending = JSON.parse(sessionStorage.getItem(PENDING_CHECKOUT_KEY) || 'null');
+		} catch {
+			pending = null;
+		}
+
+		this.state = { ...this.createInitialState(), ...(pending || {}) };
+		this.modal.setAttribute('aria-hidden', 'false');
+		document.body.style.overflow = 'hidden';
+
+		try {
+			const payment = await window.paymentService.handleRedirectReturn();
+			if (!this.isPaymentAccepted(payment)) {
+				throw new window.paymentService.PaymentError('processing_error', 'No se pudo completar el pago. Intenta nuevamente.');
+			}
+			sessionStorage.removeItem(PENDING_CHECKOUT_KEY);
+			this.state.payment = payment;
+			this.cart.clear();
+			this.showConfirmation(this.state.order, payment);
+		} catch (error) {
+			logger.error('Error al confirmar el pago después del redirect:', error);
+			this.prefillContact();
+			this.renderShippingMethods();
+			this.setupPaymentMethods();
+			this.goToStep('payment');
+			this.showError(error.message);
+		} finally {
+			window.paymentService.clearRedirectParams();
+		}
+	}
+
+	showConfirmation(order, payment = null) {
+		const orderNumber = document.getElementById('checkoutOrderNumber');
+		const emailNote = document.getElementById('checkoutConfirmationEmail');
+		const voucher = document.getElementById('checkoutVoucher');
+		if (orderNumber) {
+			orderNumber.textContent = `#${window.orderService.getOrderNumber(order)}`;
+		}
+		if (emailNote) {
+			emailNote.textContent = this.state.contact.email
+				? `Te enviamos los detalles a ${this.state.contact.email}`
+				: '';
+		}
+
+		// Pago en efectivo: mostrar la referencia OXXO
+		const nextAction = payment && payment.nextAction;
+		if (voucher) {
+			const hasVoucher = !!(nextAction && nextAction.type === 'display_voucher');
+			voucher.hidden = !hasVoucher;
+			if (hasVoucher) {
+				const { reference, expiresAt, amount } = nextAction.voucher;
+				const expires = new Date(expiresAt).toLocaleDateString('es-MX', { day: 'numeric', month: 'long' });
+				document.getElementById('checkoutVoucherReference').textContent = reference.replace(/(\d{4})(?=\d)/g, '$1 ');
+				document.getElementById('checkoutVoucherDetails').textContent =
+					`Monto: ${formatCurrency(amount / 100)} · Vence el ${expires}`;
+			}
+		}
+		this.goToStep('confirmation');
+	}
 }
 
-function setupCart() {
-	console.log('setupCart called');
-	const cartToggle = document.querySelector('.cart-toggle');
+const checkout = new Checkout(cart);
+
+// Abrir el checkout cerrando el carrito si está abierto.
+// Antes se revisan precios y stock; si algo cambió se muestra el carrito con los avisos.
+async function openCheckout() {
 	const cartModal = document.getElementById('cartModal');
-	const cartClose = document.querySelector('.cart-close');
-	const cartOverlay = document.querySelector('.cart-overlay');
 
-	console.log('Cart elements found - Toggle:', !!cartToggle, 'Modal:', !!cartModal);
-	if (!cartToggle || !cartModal) {
-		console.warn('Cart toggle or modal not found!');
+	// El pedido y el pago necesitan al servidor
+	if (!navigator.onLine) {
+		showAuthMessage('Sin conexión. Podrás finalizar tu compra al recuperar la conexión.', 'error');
+		if (cartModal) {
+			cartModal.setAttribute('aria-hidden', 'false');
+			document.body.style.overflow = 'hidden';
+		}
 		return;
 	}
 
-	cartToggle.addEventListener('click', () => {
-		console.log('Cart toggle clicked');
+	// Reintentar las promociones si no se pudieron cargar al abrir la página
+	if (window.promotionService) {
+		await window.promotionService.loadPromotions();
+	}
+
+	const { ok } = await cart.revalidate();
+
+	if (!ok && cartModal) {
 		cartModal.setAttribute('aria-hidden', 'false');
-		console.log('Cart modal aria-hidden set to false');
 		document.body.style.overflow = 'hidden';
-	});
+		return;
+	}
 
-	const closeCart = () => {
+	if (cartModal) {
 		cartModal.setAttribute('aria-hidden', 'true');
-		document.body.style.overflow = '';
-	};
+	}
+	checkout.open();
+}
 
-	if (cartClose) cartClose.addEventListener('click', closeCart);
-	if (cartOverlay) cartOverlay.addEventListener('click', closeCart);
+function setupCheckout() {
+	if (!checkout.isAvailable()) return;
+
+	const modal = checkout.modal;
+	const contactForm = checkout.getStepElement('contact');
+	const shippingForm = checkout.getStepElement('shipping');
+	const paymentForm = checkout.getStepElement('payment');
+	const submitButton = document.getElementById('checkoutSubmit');
+
+	if (contactForm) {
+		contactForm.addEventListener('submit', (e) => {
+			e.preventDefault();
+			checkout.submitContact(contactForm);
+		});
+	}
+	if (shippingForm) {
+		shippingForm.addEventListener('submit', (e) => {
+			e.preventDefault();
+			checkout.submitShipping(shippingForm);
+		});
+	}
+	if (paymentForm) {
+		paymentForm.addEventListener('submit', (e) => {
+			e.preventDefault();
+			checkout.submitPayment(paymentForm);
+		});
+		paymentForm.addEventListener('change', (e) => {
+			if (e.target.name === 'metodo_pago') {
+				checkout.toggleCardFields(paymentForm);
+			}
+		});
+	}
+	if (submitButton) {
+		submitButton.addEventListener('click', () => checkout.submitOrder());
+	}
+
+	// Delegación para regresar y cerrar
+	modal.addEventListener('click', (e) => {
+		if (e.target.closest('[data-checkout-back]')) {
+			checkout.goBack();
+		} else if (e.target.closest('.checkout-close, .checkout-overlay, [data-checkout-close]')) {
+			checkout.close();
+		}
+	});
 
-	// Close on escape key
 	document.addEventListener('keydown', (e) => {
-		if (e.key === 'Escape' && cartModal.getAttribute('aria-hidden') === 'false') {
-			closeCart();
+		if (e.key === 'Escape' && modal.getAttribute('aria-hidden') === 'false') {
+			checkout.close();
 		}
 	});
+
+	checkout.resumeFromRedirect();
 }
 
 // Auth Modal Functions
 window.openLoginModal = function () {
-	console.log('openLoginModal called');
+	logger.debug('openLoginModal called');
 	const modal = document.getElementById('loginModal');
 	const registerModal = document.getElementById('registerModal');
-	console.log('Login modal found:', !!modal);
+	logger.debug('Login modal found:', !!modal);
 	if (modal) {
 		modal.setAttribute('aria-hidden', 'false');
-		console.log('Login modal aria-hidden set to false');
+		logger.debug('Login modal aria-hidden set to false');
 		if (registerModal) {
 			registerModal.setAttribute('aria-hidden', 'true');
 		}
 		document.body.style.overflow = 'hidden';
 	} else {
-		console.error('Login modal not found!');
+		logger.warn('Login modal not found!');
 	}
 };
 
 // Abrir modal de registro
 window.openRegisterModal = function () {
-	console.log('openRegisterModal called');
+	logger.debug('openRegisterModal called');
 	const loginModal = document.getElementById('loginModal');
 	const registerModal = document.getElementById('registerModal');
-	console.log('Register modal found:', !!registerModal);
+	logger.debug('Register modal found:', !!registerModal);
 	if (registerModal) {
 		registerModal.setAttribute('aria-hidden', 'false');
-		console.log('Register modal aria-hidden set to false');
+		logger.debug('Register modal aria-hidden set to false');
 		if (loginModal) {
 			loginModal.setAttribute('aria-hidden', 'true');
 		}
 		document.body.style.overflow = 'hidden';
 	} else {
-		console.error('Register modal not found!');
+		logger.warn('Register modal not found!');
 	}
 };
 
@@ -1132,6 +3283,11 @@ async function handleLogin(event) {
 			// Reset form
 			event.target.reset();
 
+			// Unir el carrito anónimo con el carrito de la cuenta
+			cart.attachToServer();
+			wishlist.attachToServer();
+			syncRecentlyViewed();
+
 			// Show success message
 			const displayName = result.user.nombre_completo || result.user.name || result.user.email.split('@')[0];
 			showAuthMessage(`¡Bienvenido de vuelta, ${displayName}!`);
@@ -1141,7 +3297,7 @@ async function handleLogin(event) {
 			showAuthMessage(errorMessage, 'error');
 		}
 	} catch (error) {
-		console.error('Error en login:', error);
+		logger.error('Error en login:', error);
 		// Detectar si es error de red
 		if (error.message && error.message.includes('fetch')) {
 			showAuthMessage('Error al conectar con el servidor. Verifica que el backend esté corriendo.', 'error');
@@ -1210,6 +3366,11 @@ async function handleRegister(event) {
 			// Reset form
 			event.target.reset();
 
+			// Guardar el carrito anónimo en la nueva cuenta
+			await cart.attachToServer();
+			wishlist.attachToServer();
+			syncRecentlyViewed();
+
 			// Show success message
 			const displayName = result.user.nombre_completo || result.user.name || result.user.email.split('@')[0];
 			showAuthMessage(`¡Cuenta creada exitosamente! Bienvenido, ${displayName}!`);
@@ -1222,7 +3383,7 @@ async function handleRegister(event) {
 			showAuthMessage(result.message || 'Error al registrar usuario', 'error');
 		}
 	} catch (error) {
-		console.error('Error en registro:', error);
+		logger.error('Error en registro:', error);
 		showAuthMessage('Error al conectar con el servidor. Verifica que el backend esté corriendo.', 'error');
 	} finally {
 		// Reset button
@@ -1232,11 +3393,20 @@ async function handleRegister(event) {
 }
 
 async function handleLogout() {
+	// Enviar cambios pendientes del carrito y volver al carrito local
+	await cart.detachFromServer();
+	// Favoritos y vistos recientemente se quedan con la cuenta
+	wishlist.detachFromServer();
+	if (window.recentlyViewedService) {
+		window.recentlyViewedService.clear();
+		renderRecentlyViewed();
+	}
+
 	try {
 		// Cerrar sesión en el servidor
 		await window.authService.logout();
 	} catch (error) {
-		console.error('Error al cerrar sesión:', error);
+		logger.error('Error al cerrar sesión:', error);
 	}
 
 	// Update UI
@@ -1264,20 +3434,18 @@ function updateAuthUI(isLoggedIn, userData = null) {
 		authButtons.style.display = 'none';
 	}
 	
-	if (isLoggedIn && userData) {
-		// Usuario autenticado: icono de perfil va a mi-cuenta
-		if (profileToggle) {
-			profileToggle.onclick = () => {
+	// El icono de perfil abre el panel de cuenta con los favoritos; desde ahí se va a mi-cuenta
+	// (con sesión) o se abre el modal de login
+	if (profileToggle) {
+		profileToggle.onclick = () => {
+			if (document.getElementById('accountModal')) {
+				openAccountPanel();
+			} else if (isLoggedIn && userData) {
 				window.location.href = 'mi-cuenta.html';
-			};
-		}
-	} else {
-		// Usuario no autenticado: icono de perfil abre modal de login
-		if (profileToggle) {
-			profileToggle.onclick = () => {
+			} else {
 				openLoginModal();
-			};
-		}
+			}
+		};
 	}
 }
 
@@ -1324,13 +3492,16 @@ async function checkAuthStatus() {
 			const user = await window.authService.getCurrentUser();
 			if (user) {
 				updateAuthUI(true, user);
+				cart.attachToServer();
+				wishlist.attachToServer();
+				syncRecentlyViewed();
 			} else {
 				// Token inválido, limpiar
 				await window.authService.logout();
 				updateAuthUI(false);
 			}
 		} catch (e) {
-			console.error('Error al verificar autenticación:', e);
+			logger.error('Error al verificar autenticación:', e);
 			await window.authService.logout();
 			updateAuthUI(false);
 		}
@@ -1341,41 +3512,54 @@ async function checkAuthStatus() {
 
 // Setup Auth Modals
 function setupAuthModals() {
-	console.log('setupAuthModals called');
+	logger.debug('setupAuthModals called');
 	const loginModal = document.getElementById('loginModal');
 	const registerModal = document.getElementById('registerModal');
-	console.log('Modals found - Login:', !!loginModal, 'Register:', !!registerModal);
+	logger.debug('Modals found - Login:', !!loginModal, 'Register:', !!registerModal);
+
+	// Enlaces dentro de los modales: cambiar entre login/registro y recuperar contraseña
+	const authActions = {
+		login: window.switchToLogin,
+		register: window.switchToRegister,
+		forgot: showForgotPassword
+	};
+	[loginModal, registerModal].filter(Boolean).forEach(modal => {
+		modal.addEventListener('click', (e) => {
+			const link = e.target.closest('[data-auth-action]');
+			if (!link || !authActions[link.dataset.authAction]) return;
+			e.preventDefault();
+			authActions[link.dataset.authAction]();
+		});
+	});
 
 	// Usar event delegation en el contenedor de botones de autenticación
 	// Esto funciona incluso si los botones se reemplazan dinámicamente
 	const authButtonsContainer = document.querySelector('.auth-buttons');
-	console.log('Auth buttons container found:', !!authButtonsContainer);
+	logger.debug('Auth buttons container found:', !!authButtonsContainer);
 	if (authButtonsContainer) {
 		authButtonsContainer.addEventListener('click', (e) => {
-			console.log('Auth button clicked:', e.target);
+			logger.debug('Auth button clicked:', e.target);
 			const target = e.target.closest('button');
 			if (!target) {
-				console.log('No button found in click target');
+				logger.debug('No button found in click target');
 				return;
 			}
-			console.log('Button found:', target.id, target.textContent);
+			logger.debug('Button found:', target.id, target.textContent);
 			
 			// Verificar si es el botón de login (por ID, clase, o texto)
 			if (target.id === 'btnLogin' || 
-			    target.textContent.includes('Iniciar Sesión') ||
-			    target.getAttribute('onclick')?.includes('openLoginModal')) {
+			    target.textContent.includes('Iniciar Sesión')) {
 				e.preventDefault();
 				e.stopPropagation();
-				console.log('Opening login modal');
+				logger.debug('Opening login modal');
 				openLoginModal();
 			}
 			// Verificar si es el botón de registro
 			else if (target.id === 'btnRegister' || 
-			         target.textContent.includes('Registrarse') ||
-			         target.getAttribute('onclick')?.includes('openRegisterModal')) {
+			         target.textContent.includes('Registrarse')) {
 				e.preventDefault();
 				e.stopPropagation();
-				console.log('Opening register modal');
+				logger.debug('Opening register modal');
 				openRegisterModal();
 			}
 		});
@@ -1384,13 +3568,13 @@ function setupAuthModals() {
 	// También conectar directamente los botones originales si existen
 	const btnLogin = document.getElementById('btnLogin');
 	const btnRegister = document.getElementById('btnRegister');
-	console.log('Direct buttons found - Login:', !!btnLogin, 'Register:', !!btnRegister);
+	logger.debug('Direct buttons found - Login:', !!btnLogin, 'Register:', !!btnRegister);
 	
 	if (btnLogin) {
 		btnLogin.addEventListener('click', (e) => {
 			e.preventDefault();
 			e.stopPropagation();
-			console.log('Direct login button clicked');
+			logger.debug('Direct login button clicked');
 			openLoginModal();
 		});
 	}
@@ -1399,7 +3583,7 @@ function setupAuthModals() {
 		btnRegister.addEventListener('click', (e) => {
 			e.preventDefault();
 			e.stopPropagation();
-			console.log('Direct register button clicked');
+			logger.debug('Direct register button clicked');
 			openRegisterModal();
 		});
 	}
@@ -1457,6 +3641,64 @@ function setupAuthModals() {
 	checkAuthStatus();
 }
 
+// Imágenes que no cargan: data-fallback usa la imagen genérica y data-fallback="placeholder"
+// el SVG del producto. Reemplaza a los onerror en línea (bloqueados por una CSP estricta)
+function setupImageFallbacks() {
+	document.addEventListener('error', (e) => {
+		const img = e.target;
+		if (!(img instanceof HTMLImageElement) || !img.hasAttribute('data-fallback')) return;
+
+		const mode = img.dataset.fallback;
+		img.removeAttribute('data-fallback');
+		if (mode === 'placeholder') {
+			const owner = img.closest('[data-product-id]');
+			img.outerHTML = createPlaceholderSVG(owner ? owner.dataset.productId : '');
+		} else {
+			img.src = IMAGE_FALLBACK_SRC;
+		}
+	}, true);
+}
+
+// Service worker (sw.js): precarga la página y guarda imágenes y catálogo para usarlos sin conexión
+function registerServiceWorker() {
+	if (!('serviceWorker' in navigator)) return;
+
+	const url = `sw.js?api=${encodeURIComponent(window.appConfig.apiBaseUrl)}`;
+	navigator.serviceWorker.register(url).then(
+		registration => logger.debug('Service worker registrado:', registration.scope),
+		error => logger.warn('No se pudo registrar el service worker:', error.message)
+	);
+}
+
+// Aviso fijo mientras no hay conexión
+function setupOfflineBanner() {
+	const banner = document.createElement('div');
+	banner.className = 'offline-banner';
+	banner.setAttribute('role', 'status');
+	banner.textContent = 'Sin conexión. Mostramos la última información guardada; los cambios de tu carrito se enviarán al reconectar.';
+	banner.hidden = navigator.onLine;
+	document.body.prepend(banner);
+
+	window.addEventListener('offline', () => {
+		banner.hidden = false;
+	});
+	window.addEventListener('online', () => {
+		banner.hidden = true;
+		// Reintentar las promociones si fallaron sin conexión
+		if (window.promotionService) {
+			window.promotionService.loadPromotions().then(() => cart.updateCartUI());
+		}
+		// Reintentar la página del grid que falló por falta de conexión
+		if (productGridPaging.failed) {
+			if (PRODUCTS.length === 0) {
+				resetProductGridPaging();
+			} else {
+				loadNextProductsPage();
+			}
+		}
+	});
+}
+
 function setupYear() {
 	const yearEl = document.getElementById('year');
 	if (yearEl) yearEl.textContent = String(new Date().getFullYear());
@@ -1487,39 +3729,46 @@ function setupHashNavigation() {
 }
 
 async function main() {
-	console.log('main() function called');
+	logger.debug('main() function called');
 	setupNav();
+	setupSmoothScrollLinks();
 	setupCart();
+	setupCheckout();
 	setupAuthModals();
 	setupYear();
+	setupWhatsAppLinks();
 	setupHashNavigation();
-	
-	// Cargar productos desde la API al inicio
-	console.log('🔄 Iniciando carga de productos...');
-	console.log('🔍 Verificando productService antes de cargar...');
-	console.log('   window.productService existe:', typeof window.productService !== 'undefined');
-	
-	const loadedProducts = await loadProductsFromAPI();
-	console.log(`📦 Productos en cache después de carga: ${PRODUCTS.length}`);
-	
-	if (PRODUCTS.length === 0) {
-		console.error('❌ PROBLEMA: No se cargaron productos desde la API');
-		console.error('   Verifica:');
-		console.error('   1. ¿El servidor backend está corriendo? (http://localhost:3000)');
-		console.error('   2. ¿Hay productos en la base de datos?');
-		console.error('   3. ¿La API está respondiendo? Prueba: http://localhost:3000/api/products');
-		console.error('   4. ¿productService.js se cargó? Verifica en Network tab');
-	} else {
-		console.log(`✅ ${PRODUCTS.length} productos cargados exitosamente`);
-		console.log('   Categorías:', [...new Set(PRODUCTS.map(p => p.category))]);
+	setupOfflineBanner();
+	registerServiceWorker();
+	setupImageFallbacks();
+	setupWishlist();
+	setupStockAlerts();
+	setupRecentlyViewed();
+
+	// Reglas de promociones desde la API; el carrito se recalcula al tenerlas
+	if (window.promotionService) {
+		window.promotionService.loadPromotions().then(() => cart.updateCartUI());
+	}
+
+	// Sección de ofertas (solo en la página principal)
+	if (document.getElementById('ofertas')) {
+		loadOffersFromAPI();
 	}
 	
-	// Si hay productos cargados, renderizar el carrusel de destacados
-	if (PRODUCTS.length > 0) {
-		renderFeaturedCarousel();
+	// Fuera de la tienda solo hacen falta los destacados; la tienda carga el catálogo por páginas
+	if (!document.getElementById('productGrid')) {
+		logger.debug('Iniciando carga de productos destacados...');
+		await loadProductsFromAPI({ destacado: '1' });
+		
+		if (PRODUCTS.length === 0) {
+			logger.warn(`No se cargaron productos desde ${window.appConfig.apiBaseUrl}`);
+		} else {
+			logger.info(`${PRODUCTS.length} productos cargados`);
+			renderFeaturedCarousel();
+		}
 	}
 	
-	console.log('main() function completed');
+	logger.debug('main() function completed');
 
 	// Check if we're on the product page
 	if (document.getElementById('productContent')) {
@@ -1529,7 +3778,7 @@ async function main() {
 
 	// Check if we're on the shop page
 	if (document.getElementById('productGrid')) {
-		console.log('🏪 Página de tienda detectada - Cargando productos con diseño nuevo');
+		logger.debug('Página de tienda detectada - Cargando productos con diseño nuevo');
 		
 		// Cargar categorías desde la API primero
 		const categoriesLoaded = await loadCategoriesFromAPI();
@@ -1544,43 +3793,12 @@ async function main() {
 		
 		// Obtener parámetros de la URL primero
 		const urlParams = new URLSearchParams(window.location.search);
-		const categoria = urlParams.get('categoria');
-		const filterParam = urlParams.get('filter');
 		const productId = urlParams.get('id');
 		
-		// NUEVO: Cargar y mostrar productos con diseño simple
-		console.log('🔄 Cargando productos desde la API para mostrar...');
-		let products = await loadProductsSimple();
-		
-		// Filtrar por categoría si está en la URL (antes de renderizar)
-		if (categoria || filterParam) {
-			const activeCategory = categoria || filterParam;
-			console.log(`📂 Categoría detectada en URL: "${activeCategory}"`);
-			if (products.length > 0) {
-				const filteredProducts = products.filter(p => {
-					const productCategory = p.categoria_slug || p.categoria || p.category;
-					return productCategory === activeCategory;
-				});
-				if (filteredProducts.length > 0) {
-					console.log(`✅ ${filteredProducts.length} productos filtrados por categoría "${activeCategory}"`);
-					products = filteredProducts;
-				} else {
-					console.warn(`⚠️ No se encontraron productos para la categoría "${activeCategory}"`);
-				}
-			}
-		}
-		
-		// Renderizar productos (filtrados o todos)
-		if (products.length > 0) {
-			console.log(`✅ ${products.length} productos cargados, renderizando con diseño nuevo...`);
-			renderProductsSimple(products);
-		} else {
-			console.error('❌ No se pudieron cargar productos');
-			const grid = document.getElementById('productGrid');
-			if (grid) {
-				grid.innerHTML = '<p style="text-align: center; padding: 2rem; color: #666;">No se pudieron cargar los productos. Verifica que el servidor backend esté corriendo en http://localhost:3000</p>';
-			}
-		}
+		// Productos por páginas con los filtros de la URL (categoría, facetas y orden)
+		await updateFiltersFromCategories();
+		setupFilters();
+		setupProductGridPaging();
 		
 		// Abrir modal de producto si hay ID en la URL
 		if (productId) {
@@ -1599,12 +3817,12 @@ async function main() {
 
 	// Check if we're on the home page - inicializar carrusel de piezas destacadas
 	const carouselElement = document.querySelector('.piezas-des-carousel');
-	console.log('🔍 Buscando carrusel en la página:', !!carouselElement);
+	logger.debug('Buscando carrusel en la página:', !!carouselElement);
 	if (carouselElement) {
-		console.log('✅ Carrusel encontrado, llamando setupPiezasDestacadasCarousel()');
+		logger.debug('Carrusel encontrado, llamando setupPiezasDestacadasCarousel()');
 		setupPiezasDestacadasCarousel();
 	} else {
-		console.warn('⚠️ Carrusel no encontrado en la página');
+		logger.debug('Carrusel no encontrado en la página');
 	}
   
   // Setup product modal events
@@ -1637,15 +3855,15 @@ function setupProductModal() {
 // Ejecutar main cuando el DOM esté listo Y productService esté disponible
 // Con type="module", el script se ejecuta después de que el DOM esté parseado
 // pero antes de que las imágenes y otros recursos estén cargados
-console.log('📄 Script main.js cargado, readyState:', document.readyState);
-console.log('🔍 productService disponible al cargar main.js:', typeof window.productService !== 'undefined');
+logger.debug('Script main.js cargado, readyState:', document.readyState);
+logger.debug('productService disponible al cargar main.js:', typeof window.productService !== 'undefined');
 
 // Función para ejecutar main de forma segura
 async function executeMain() {
 	try {
 		// Esperar a que productService esté disponible (máximo 2 segundos)
 		if (!window.productService) {
-			console.log('⏳ Esperando a que productService se cargue...');
+			logger.debug('Esperando a que productService se cargue...');
 			
 			// Escuchar el evento personalizado
 			const serviceReady = new Promise((resolve) => {
@@ -1676,36 +3894,35 @@ async function executeMain() {
 			await serviceReady;
 		}
 		
-		console.log('🚀 Ejecutando main()...');
-		console.log('   productService disponible:', typeof window.productService !== 'undefined');
+		logger.debug('Ejecutando main()...');
 		await main();
 	} catch (error) {
-		console.error('❌ Error al ejecutar main():', error);
+		logger.error('Error al ejecutar main():', error);
 	}
 }
 
 if (document.readyState === 'loading') {
 	document.addEventListener('DOMContentLoaded', () => {
-		console.log('✅ DOMContentLoaded fired, calling main()');
+		logger.debug('DOMContentLoaded fired, calling main()');
 		executeMain();
 	});
 } else {
 	// DOM ya está listo, ejecutar inmediatamente
-	console.log('✅ DOM already ready, calling main() immediately');
+	logger.debug('DOM already ready, calling main() immediately');
 	executeMain();
 }
 
 // También intentar ejecutar después de un pequeño delay por si acaso
 setTimeout(() => {
-	console.log('🔄 Timeout ejecutado, verificando carrusel...');
+	logger.debug('Timeout ejecutado, verificando carrusel...');
 	const carousel = document.querySelector('.piezas-des-carousel');
-	console.log('Carrusel en timeout:', !!carousel);
-	console.log('setupPiezasDestacadasCarousel existe:', typeof setupPiezasDestacadasCarousel);
+	logger.debug('Carrusel en timeout:', !!carousel);
+	logger.debug('setupPiezasDestacadasCarousel existe:', typeof setupPiezasDestacadasCarousel);
 	if (carousel && typeof setupPiezasDestacadasCarousel === 'function') {
-		console.log('🔄 Reintentando inicializar carrusel después de delay...');
+		logger.debug('Reintentando inicializar carrusel después de delay...');
 		setupPiezasDestacadasCarousel();
 	} else {
-		console.error('❌ No se puede inicializar carrusel:', {
+		logger.debug('No se puede inicializar carrusel:', {
 			carousel: !!carousel,
 			functionExists: typeof setupPiezasDestacadasCarousel === 'function'
 		});
@@ -1730,11 +3947,11 @@ window.closeBlogModal = function (id) {
 
 // Función para inicializar el carrusel de piezas destacadas
 window.setupPiezasDestacadasCarousel = function setupPiezasDestacadasCarousel() {
-	console.log('🔧 setupPiezasDestacadasCarousel() llamado');
+	logger.debug('setupPiezasDestacadasCarousel() llamado');
 	const carousel = document.querySelector('.piezas-des-carousel');
-	console.log('Carrusel encontrado:', !!carousel);
+	logger.debug('Carrusel encontrado:', !!carousel);
 	if (!carousel) {
-		console.error('❌ Carrusel no encontrado!');
+		logger.debug('Carrusel no encontrado');
 		return; // Si no existe el carrusel, salir
 	}
 	
@@ -1742,14 +3959,14 @@ window.setupPiezasDestacadasCarousel = function setupPiezasDestacadasCarousel()
 	const slides = document.querySelectorAll('.piezas-des-slide');
 	const dotsContainer = document.querySelector('.piezas-des-dots');
 	
-	console.log('Elementos encontrados:', {
+	logger.debug('Elementos encontrados:', {
 		slidesContainer: !!slidesContainer,
 		slides: slides.length,
 		dotsContainer: !!dotsContainer
 	});
 	
 	if (!slidesContainer || !slides.length || !dotsContainer) {
-		console.error('❌ Elementos del carrusel no encontrados:', {
+		logger.warn('Elementos del carrusel no encontrados:', {
 			slidesContainer: !!slidesContainer,
 			slides: slides.length,
 			dotsContainer: !!dotsContainer
@@ -1758,7 +3975,7 @@ window.setupPiezasDestacadasCarousel = function setupPiezasDestacadasCarousel()
 	}
 	
 	const totalSlides = slides.length;
-	console.log('✅ Todos los elementos encontrados, inicializando carrusel con', totalSlides, 'slides...');
+	logger.debug('Todos los elementos encontrados, inicializando carrusel con', totalSlides, 'slides...');
 	
 	let currentSlide = 0;
 	let autoSlideInterval;
@@ -1849,7 +4066,7 @@ window.setupPiezasDestacadasCarousel = function setupPiezasDestacadasCarousel()
 	// Iniciar autoavance al cargar la página
 	startAutoSlide();
 	
-	console.log('✅ Carrusel inicializado correctamente con', totalSlides, 'slides');
+	logger.debug('Carrusel inicializado correctamente con', totalSlides, 'slides');
 }
 
 // Cambiar entre login y registro desde los enlaces (ya definido arriba)
@@ -1858,37 +4075,34 @@ window.setupPiezasDestacadasCarousel = function setupPiezasDestacadasCarousel()
 window.onload = function() {
   const googleLoginButton = document.getElementById("googleLoginModal");
   const googleRegisterButton = document.getElementById("googleRegisterModal");
+  const googleEnabled = window.appConfig.isFeatureEnabled('googleLogin') && window.appConfig.googleClientId;
 
-  if (googleLoginButton) {
-    googleLoginButton.addEventListener("click", () => {
-      if (typeof google !== 'undefined' && google.accounts) {
-        google.accounts.id.initialize({
-          client_id: "TU_CLIENT_ID_DE_GOOGLE.apps.googleusercontent.com",
-          callback: handleCredentialResponse
-        });
-        google.accounts.id.prompt(); // muestra la ventana emergente
-      }
-    });
-  }
-  
-  if (googleRegisterButton) {
-    googleRegisterButton.addEventListener("click", () => {
+  [googleLoginButton, googleRegisterButton].forEach(button => {
+    if (!button) return;
+
+    // Ocultar el botón si Google no está configurado para este entorno
+    if (!googleEnabled) {
+      button.style.display = 'none';
+      return;
+    }
+
+    button.addEventListener("click", () => {
       if (typeof google !== 'undefined' && google.accounts) {
         google.accounts.id.initialize({
-          client_id: "TU_CLIENT_ID_DE_GOOGLE.apps.googleusercontent.com",
+          client_id: window.appConfig.googleClientId,
           callback: handleCredentialResponse
         });
         google.accounts.id.prompt(); // muestra la ventana emergente
       }
     });
-  }
+  });
 };
 
 // Manejar la respuesta de Google
 function handleCredentialResponse(response) {
   // Decodificar el JWT para obtener datos del usuario
   const data = parseJwt(response.credential);
-  console.log("Usuario autenticado con Google:", data);
+  logger.debug("Usuario autenticado con Google:", data);
 
   alert(`¡Hola, ${data.name}! Has iniciado sesión con Google`);
 }
@@ -1909,21 +4123,436 @@ function parseJwt(token) {
 const appleLoginButton = document.getElementById("appleLoginModal");
 const appleRegisterButton = document.getElementById("appleRegisterModal");
 
-if (appleLoginButton) {
-  appleLoginButton.addEventListener("click", () => {
+[appleLoginButton, appleRegisterButton].forEach(button => {
+  if (!button) return;
+
+  if (!window.appConfig.isFeatureEnabled('appleLogin')) {
+    button.style.display = 'none';
+    return;
+  }
+
+  button.addEventListener("click", () => {
     alert("Inicio con Apple disponible próximamente 🍎");
   });
+});
+
+
+// Información del producto para el modal y la página: descripción, ficha técnica, cuidados,
+// y envíos y devoluciones en secciones plegables (<details>, sin JavaScript)
+const DIMENSION_LABELS = { largo: 'Largo', ancho: 'Ancho', alto: 'Alto', diametro: 'Diámetro' };
+
+function capitalize(text) {
+  const value = String(text || '');
+  return value.charAt(0).toUpperCase() + value.slice(1);
 }
 
-if (appleRegisterButton) {
-  appleRegisterButton.addEventListener("click", () => {
-    alert("Inicio con Apple disponible próximamente 🍎");
+// "Largo 20 mm · Ancho 5 mm" a partir de { largo, ancho, ... } o el texto tal cual
+function formatDimensions(dimensions) {
+  if (!dimensions) return '';
+  if (typeof dimensions !== 'object') return String(dimensions);
+  return Object.entries(DIMENSION_LABELS)
+    .filter(([key]) => dimensions[key])
+    .map(([key, label]) => `${label} ${dimensions[key]} mm`)
+    .join(' · ');
+}
+
+// Texto que se usaba antes en la página de producto; solo si la API no trae descripción
+function getGeneratedDescription(product) {
+  const material = product.material ? String(product.material).toLowerCase() : 'materiales seleccionados';
+  const color = product.color ? ` en color ${String(product.color).toLowerCase()}` : '';
+  return `Esta hermosa pieza de joyería mexicana minimalista está hecha a mano con ${material}${color}. Cada pieza es única y refleja la esencia de la artesanía mexicana con un diseño contemporáneo.`;
+}
+
+function getProductSpecs(product) {
+  const stoneOption = (product.options || []).find(option => option.key === 'piedra');
+  const stone = product.piedra || (stoneOption ? stoneOption.values.join(', ') : '');
+  // Material y color ya aparecen en los datos de arriba (product-meta)
+  return [
+    ['Piedra', stone],
+    ['Origen de la piedra', product.origen_piedra],
+    ['Dimensiones', formatDimensions(product.dimensiones)],
+    ['Peso', product.peso !== null && product.peso !== undefined && product.peso !== '' ? `${product.peso} g` : '']
+  ].filter(([, value]) => value);
+}
+
+function renderCareHTML(care) {
+  if (Array.isArray(care)) {
+    return html`<ul>${care.map(tip => html`<li>${tip}</li>`)}</ul>`;
+  }
+  return richText(care);
+}
+
+function renderProductInfoHTML(product) {
+  const hasDescription = !!(product.descripcion_corta || product.descripcion_larga);
+  const specs = getProductSpecs(product);
+  const returnsUrl = safeUrl(window.appConfig.getWhatsAppUrl(`Hola, quiero hacer una devolución de ${product.name}`));
+
+  return html`
+    <div class="product-info">
+      <div class="product-info-description">
+        ${product.descripcion_corta ? html`<p class="product-info-lead">${product.descripcion_corta}</p>` : ''}
+        ${product.descripcion_larga ? richText(product.descripcion_larga) : ''}
+        ${hasDescription ? '' : html`<p>${getGeneratedDescription(product)}</p>`}
+      </div>
+
+      ${specs.length > 0 ? html`
+        <details class="product-info-section" open>
+          <summary>Detalles de la pieza</summary>
+          <dl class="product-info-specs">
+            ${specs.map(([label, value]) => html`<div><dt>${label}</dt><dd>${capitalize(value)}</dd></div>`)}
+          </dl>
+        </details>
+      ` : ''}
+
+      ${product.cuidados ? html`
+        <details class="product-info-section">
+          <summary>Cuidados</summary>
+          <div class="product-info-body">${renderCareHTML(product.cuidados)}</div>
+        </details>
+      ` : ''}
+
+      <details class="product-info-section">
+        <summary>Envíos y devoluciones</summary>
+        <div class="product-info-body">
+          <p>${getFreeShippingText()}. Enviamos a todo México en empaque de regalo y con número de rastreo; el costo y el tiempo de entrega dependen del método que elijas al pagar.</p>
+          <p>Tienes 30 días para devolver tu pieza sin usar y en su empaque original. ${returnsUrl ? html`<a href="${returnsUrl}" target="_blank" rel="noopener">Escríbenos por WhatsApp</a> para iniciarla.` : ''}</p>
+        </div>
+      </details>
+    </div>
+  `;
+}
+
+// Selector de variantes (talla, acabado, piedra) del modal y de la página de producto.
+// Cada selector guarda su estado aquí; el elemento se crea de nuevo con cada producto renderizado.
+const variantPickers = new WeakMap();
+
+// Las opciones con un solo valor (p. ej. un único acabado) quedan elegidas desde el inicio,
+// y en anillos la talla que el cliente eligió antes en la guía de tallas
+function getInitialVariantSelection(product) {
+  const selection = {};
+  product.options.forEach(option => {
+    if (option.values.length === 1) {
+      selection[option.key] = option.values[0];
+    }
+  });
+
+  const sizeOption = product.options.find(option => option.key === 'talla');
+  const preferred = window.ringSizeService && isRingProduct(product) ? window.ringSizeService.getPreferredSize() : null;
+  if (sizeOption && preferred && !selection.talla) {
+    const value = window.ringSizeService.findSizeValue(sizeOption.values, preferred);
+    if (value) {
+      selection.talla = value;
+    }
+  }
+  return selection;
+}
+
+function isVariantInStock(variant) {
+  return variant.stock === undefined || variant.stock === null || Number(variant.stock) > 0;
+}
+
+// Variantes con ese valor que combinan con lo demás ya elegido
+function getCompatibleVariants(product, selection, key, value) {
+  return product.variants.filter(variant =>
+    variant.options[key] === value &&
+    product.options.every(option => option.key === key || !selection[option.key] || variant.options[option.key] === selection[option.key])
+  );
+}
+
+// Elegir un valor; las demás opciones que ya no combinan con él se desmarcan
+function updateVariantSelection(product, selection, key, value) {
+  const next = { ...selection, [key]: value };
+  product.options.forEach(option => {
+    if (option.key === key || !next[option.key]) return;
+    const combines = product.variants.some(variant => variant.options[key] === value && variant.options[option.key] === next[option.key]);
+    if (!combines) {
+      delete next[option.key];
+    }
+  });
+  return next;
+}
+
+function getVariantStatus(state, variant) {
+  if (!variant) {
+    const missing = state.product.options.filter(option => !state.selection[option.key]).map(option => option.label.toLowerCase());
+    return { type: state.showMissing ? 'error' : 'hint', message: `Elige ${missing.join(' y ')}` };
+  }
+  if (!isVariantInStock(variant)) {
+    return { type: 'error', message: 'Agotado en esta combinación' };
+  }
+  if (variant.stock !== undefined && variant.stock !== null && Number(variant.stock) <= 3) {
+    return { type: 'low', message: `¡Últimas ${variant.stock} piezas!` };
+  }
+  return { type: 'ok', message: 'Disponible' };
+}
+
+function renderVariantPickerContent(state, variant) {
+  const { product, selection } = state;
+  const status = getVariantStatus(state, variant);
+  return html`
+    ${product.options.map(option => html`
+      <fieldset class="variant-option">
+        <legend>${option.label}${selection[option.key] ? html`: <strong>${selection[option.key]}</strong>` : ''}</legend>
+        ${option.key === 'talla' && isRingProduct(product) && window.ringSizeService
+          ? html`<button type="button" class="size-guide-link" data-size-guide>¿Cuál es mi talla? Ver guía</button>`
+          : ''}
+        <div class="variant-option-values">
+          ${option.values.map(value => {
+            const compatible = getCompatibleVariants(product, selection, option.key, value);
+            const classes = ['variant-value'];
+            if (compatible.length === 0) classes.push('is-unavailable');
+            else if (!compatible.some(isVariantInStock)) classes.push('is-sold-out');
+            return html`<button type="button" class="${classes.join(' ')}" data-option-key="${option.key}" data-option-value="${value}" aria-pressed="${String(selection[option.key] === value)}">${value}</button>`;
+          })}
+        </div>
+      </fieldset>
+    `)}
+    <p class="variant-status variant-status--${status.type}" role="status">${status.message}</p>
+  `;
+}
+
+// Marcado del selector; lo activa mountVariantPicker una vez insertado
+function renderVariantPickerHTML(product) {
+  return hasVariants(product) ? html`<div class="variant-picker" data-variant-picker></div>` : '';
+}
+
+// Activar el selector dentro de `root`. onChange(variante | null, producto) se llama con cada cambio
+// para actualizar precio, imagen y SKU de la vista.
+function mountVariantPicker(root, product, onChange) {
+  const picker = root.querySelector('[data-variant-picker]');
+  if (!picker) return;
+
+  const state = { product, selection: getInitialVariantSelection(product), showMissing: false, onChange };
+  variantPickers.set(picker, state);
+
+  picker.addEventListener('click', (e) => {
+    const guideButton = e.target.closest('[data-size-guide]');
+    if (guideButton) {
+      openSizeGuide(picker, guideButton);
+      return;
+    }
+
+    const button = e.target.closest('[data-option-key]');
+    if (!button) return;
+    state.selection = updateVariantSelection(state.product, state.selection, button.dataset.optionKey, button.dataset.optionValue);
+    state.showMissing = false;
+    refreshVariantPicker(picker);
+  });
+
+  refreshVariantPicker(picker);
+}
+
+function refreshVariantPicker(picker) {
+  const state = variantPickers.get(picker);
+  const variant = window.productService.findVariant(state.product, state.selection);
+  picker.innerHTML = renderVariantPickerContent(state, variant);
+  state.onChange(variant, state.product);
+}
+
+// Variante elegida en `root` para agregarla al carrito: { ok, variantId }.
+// Si falta elegir alguna opción se indica en el selector y ok es false.
+function readVariantChoice(root) {
+  const picker = root && root.querySelector('[data-variant-picker]');
+  const state = picker && variantPickers.get(picker);
+  if (!state) return { ok: true, variantId: null };
+
+  const variant = window.productService.findVariant(state.product, state.selection);
+  if (!variant) {
+    state.showMissing = true;
+    refreshVariantPicker(picker);
+    return { ok: false, variantId: null };
+  }
+  return { ok: true, variantId: variant.id };
+}
+
+// Precio, etiqueta de rebaja, SKU e imagen de la variante elegida (o del producto si aún no hay)
+function applyVariantToView(root, product, variant, { priceClass }) {
+  const source = variant || product;
+  const priceBlock = root.querySelector('[data-price-block]');
+  if (priceBlock) {
+    priceBlock.innerHTML = html`${renderPriceHTML(source, priceClass)}${renderSaleBadge(source)}`;
+  }
+
+  const sku = root.querySelector('[data-variant-sku]');
+  if (sku) {
+    sku.textContent = (variant && variant.sku) || product.id;
+  }
+
+  // La foto de la variante se muestra en la galería (gallery.js)
+  const gallery = window.productGallery && window.productGallery.get(root);
+  if (gallery && variant && variant.image) {
+    gallery.showSource(variant.image);
+  }
+
+  // Sin stock en la combinación elegida no se puede agregar: se ofrece el aviso
+  updateStockAlertView(root, product, variant);
+}
+
+// Guía de tallas de anillo (services/ringSizeService.js). Se abre desde el selector de talla;
+// la talla elegida se marca en ese selector y se guarda para las próximas compras.
+let sizeGuidePicker = null;
+let sizeGuideTrigger = null;
+
+function isRingProduct(product) {
+  return /anillo/i.test(product.category || '');
+}
+
+// Valores de talla de la pieza abierta en la guía
+function getSizeGuideValues() {
+  const state = sizeGuidePicker && variantPickers.get(sizeGuidePicker);
+  const option = state && state.product.options.find(entry => entry.key === 'talla');
+  return option ? option.values : [];
+}
+
+function renderSizeGuideRows() {
+  const values = getSizeGuideValues();
+  const preferred = window.ringSizeService.getPreferredSize();
+  return window.ringSizeService.getSizeTable().map(row => html`
+    <tr class="${row.mx === preferred ? 'is-current' : ''}">
+      <td>${row.mx}</td>
+      <td>${row.us}</td>
+      <td>${row.eu}</td>
+      <td>${row.diameter} mm</td>
+      <td>${row.circumference} mm</td>
+      <td>
+        ${window.ringSizeService.findSizeValue(values, row.mx)
+          ? html`<button type="button" class="size-guide-choose" data-size-choice="${row.mx}">Elegir</button>`
+          : html`<span class="size-guide-missing">No disponible</span>`}
+      </td>
+    </tr>
+  `);
+}
+
+function renderSizeGuideResult(size) {
+  if (!size) {
+    return html`<span class="size-guide-error">Revisa la medida: no corresponde a ninguna talla entre la 4 y la 13.</span>`;
+  }
+  const available = window.ringSizeService.findSizeValue(getSizeGuideValues(), size.mx);
+  return html`
+    Tu talla es <strong>${size.mx}</strong> (US ${size.us} · EU ${size.eu}).
+    ${available
+      ? html`<button type="button" class="btn btn-primary size-guide-choose" data-size-choice="${size.mx}">Elegir talla ${size.mx}</button>`
+      : html`<span class="size-guide-missing">Esta pieza no viene en talla ${size.mx}.</span>`}
+  `;
+}
+
+function getSizeGuideModal() {
+  let modal = document.getElementById('sizeGuideModal');
+  if (modal) return modal;
+
+  modal = document.createElement('div');
+  modal.id = 'sizeGuideModal';
+  modal.className = 'size-guide-modal';
+  modal.setAttribute('aria-hidden', 'true');
+  modal.innerHTML = html`
+    <div class="size-guide-overlay" data-size-guide-close></div>
+    <div class="size-guide-dialog" role="dialog" aria-modal="true" aria-labelledby="sizeGuideTitle">
+      <button type="button" class="size-guide-close" data-size-guide-close aria-label="Cerrar">×</button>
+      <h2 id="sizeGuideTitle">Guía de tallas de anillo</h2>
+
+      <form class="size-guide-form" novalidate>
+        <h3>Calcula tu talla</h3>
+        <label><input type="radio" name="sizeMethod" value="diameter" checked> Diámetro interior de un anillo que te quede</label>
+        <label><input type="radio" name="sizeMethod" value="circumference"> Circunferencia del dedo medida con un hilo o tira</label>
+        <div class="size-guide-input">
+          <label for="sizeGuideMeasure">Medida (mm)</label>
+          <input type="number" id="sizeGuideMeasure" name="measure" min="10" max="90" step="0.1" inputmode="decimal" required>
+          <button type="submit" class="btn btn-outline">Calcular</button>
+        </div>
+        <p class="size-guide-result" data-size-guide-result role="status"></p>
+      </form>
+
+      <p class="size-guide-tip">
+        Mide al final del día, cuando los dedos están más grandes; si quedas entre dos tallas, elige la mayor.
+        <a href="medidor-anillos.html" target="_blank" rel="noopener">Imprimir medidor de anillos</a>
+      </p>
+
+      <div class="size-guide-table-wrapper">
+        <table class="size-guide-table">
+          <thead>
+            <tr><th>MX</th><th>US</th><th>EU</th><th>Diámetro</th><th>Circunferencia</th><th></th></tr>
+          </thead>
+          <tbody data-size-guide-rows></tbody>
+        </table>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target.closest('[data-size-guide-close]')) {
+      closeSizeGuide();
+      return;
+    }
+    const choice = e.target.closest('[data-size-choice]');
+    if (choice) {
+      chooseRingSize(Number(choice.dataset.sizeChoice));
+    }
   });
+
+  modal.querySelector('.size-guide-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const measure = form.elements.measure.value.replace(',', '.');
+    const size = form.elements.sizeMethod.value === 'circumference'
+      ? window.ringSizeService.sizeFromCircumference(measure)
+      : window.ringSizeService.sizeFromDiameter(measure);
+    modal.querySelector('[data-size-guide-result]').innerHTML = renderSizeGuideResult(size);
+  });
+
+  // En captura para que Escape no cierre también el modal de producto que queda detrás
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.getAttribute('aria-hidden') === 'false') {
+      e.stopPropagation();
+      closeSizeGuide();
+    }
+  }, true);
+
+  return modal;
+}
+
+function openSizeGuide(picker, trigger) {
+  const modal = getSizeGuideModal();
+  sizeGuidePicker = picker;
+  sizeGuideTrigger = trigger;
+  modal.querySelector('[data-size-guide-rows]').innerHTML = renderSizeGuideRows();
+  modal.querySelector('[data-size-guide-result]').innerHTML = '';
+  modal.setAttribute('aria-hidden', 'false');
+  modal.querySelector('.size-guide-close').focus();
+}
+
+function closeSizeGuide() {
+  const modal = document.getElementById('sizeGuideModal');
+  if (!modal) return;
+  modal.setAttribute('aria-hidden', 'true');
+  // Si se eligió una talla el selector se volvió a renderizar y el botón original ya no existe
+  const trigger = sizeGuideTrigger && sizeGuideTrigger.isConnected
+    ? sizeGuideTrigger
+    : sizeGuidePicker && sizeGuidePicker.querySelector('[data-size-guide]');
+  if (trigger) {
+    trigger.focus();
+  }
+  sizeGuidePicker = null;
+  sizeGuideTrigger = null;
 }
 
+// Marcar la talla en el selector que abrió la guía y recordarla (localStorage y perfil)
+function chooseRingSize(mx) {
+  const picker = sizeGuidePicker;
+  const state = picker && variantPickers.get(picker);
+  window.ringSizeService.savePreferredSize(mx);
+
+  const value = state && window.ringSizeService.findSizeValue(getSizeGuideValues(), mx);
+  if (value) {
+    state.selection = updateVariantSelection(state.product, state.selection, 'talla', value);
+    state.showMissing = false;
+    refreshVariantPicker(picker);
+  }
+  closeSizeGuide();
+}
 
 async function openProductDetail(productId) {
-  console.log('Abriendo producto:', productId); // Para debug
+  logger.debug('Abriendo producto:', productId); // Para debug
   let product = PRODUCTS.find(p => p.id === productId);
   
   // Si no está en cache, cargarlo desde la API
@@ -1932,7 +4561,7 @@ async function openProductDetail(productId) {
   }
   
   if (!product) {
-    console.error('Producto no encontrado:', productId);
+    logger.error('Producto no encontrado:', productId);
     return;
   }
 
@@ -1940,18 +4569,21 @@ async function openProductDetail(productId) {
   const detail = document.getElementById('productDetail');
 
   if (!modal || !detail) {
-    console.error('Modal no encontrado en el DOM');
+    logger.error('Modal no encontrado en el DOM');
     return;
   }
 
-  detail.innerHTML = `
-    <div class="product-detail-container">
+  detail.innerHTML = html`
+    <div class="product-detail-container" data-product-id="${product.id}">
       <div class="product-detail-image">
-        <img src="${product.image}" alt="${product.name}" onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjQwMCIgdmlld0JveD0iMCAwIDQwMCA0MDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+PHJlY3Qgd2lkdGg9IjQwMCIgaGVpZ2h0PSI0MDAiIGZpbGw9IiNmNWY1ZjUiLz48dGV4dCB4PSIyMDAiIHk9IjIwMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZG9taW5hbnQtYmFzZWxpbmU9Im1pZGRsZSIgZmlsbD0iIzk5OSIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjE4Ij5JbWFnZW4gbm8gZGlzcG9uaWJsZTwvdGV4dD48L3N2Zz4='">
+        ${window.productGallery.render(product)}
       </div>
       <div class="product-detail-info">
         <h2>${product.name}</h2>
-        <div class="product-price">${formatCurrency(product.price)}</div>
+        <div class="product-price-block" data-price-block>
+          ${renderPriceHTML(product, 'product-price')}
+          ${renderSaleBadge(product)}
+        </div>
         
         <div class="product-meta">
           <div class="meta-item">
@@ -1968,17 +4600,18 @@ async function openProductDetail(productId) {
           </div>
           <div class="meta-item">
             <strong>SKU:</strong>
-            <span>${product.id}</span>
+            <span data-variant-sku>${product.id}</span>
           </div>
         </div>
 
         <div class="product-options">
+          ${renderVariantPickerHTML(product)}
           <div class="quantity-selector">
             <label for="productQuantity">Cantidad:</label>
             <div class="qty-controls">
-              <button type="button" onclick="decreaseQuantity()">-</button>
+              <button type="button" data-detail-action="decrease">-</button>
               <input type="number" id="productQuantity" value="1" min="1" max="10">
-              <button type="button" onclick="increaseQuantity()">+</button>
+              <button type="button" data-detail-action="increase">+</button>
             </div>
           </div>
         </div>
@@ -1986,7 +4619,7 @@ async function openProductDetail(productId) {
         <div class="product-features">
           <div class="feature">
             <span class="feature-icon">🚚</span>
-            <span>Envío gratis en compras mayores a $879</span>
+            <span>${getFreeShippingText()}</span>
           </div>
           <div class="feature">
             <span class="feature-icon">🔒</span>
@@ -1999,19 +4632,31 @@ async function openProductDetail(productId) {
         </div>
 
         <div class="product-actions">
-          <button class="btn btn-primary btn-full" onclick="addToCartFromDetail('${product.id}')">
+          <button type="button" class="btn btn-primary btn-full" data-detail-action="add">
             Añadir al carrito
           </button>
-          <button class="btn btn-outline btn-full" onclick="addToCartAndCheckout('${product.id}')">
+          <button type="button" class="btn btn-outline btn-full" data-detail-action="buy">
             Comprar ahora
           </button>
+          ${renderStockAlertFormHTML(product)}
+        </div>
+
+        <div class="product-detail-description">
+          ${renderProductInfoHTML(product)}
         </div>
       </div>
     </div>
   `;
 
+  window.productGallery.mount(detail, product);
+  updateStockAlertView(detail, product, null);
+  mountVariantPicker(detail, product, (variant, current) => {
+    applyVariantToView(detail, current, variant, { priceClass: 'product-price' });
+  });
+
   modal.setAttribute('aria-hidden', 'false');
   document.body.style.overflow = 'hidden';
+  trackRecentlyViewed(product);
   
   // Guardar el producto actual para usar en las funciones de cantidad
   window.currentProductId = productId;
@@ -2044,37 +4689,38 @@ window.addToCartFromDetail = async function(productId) {
   const quantityInput = document.getElementById('productQuantity');
   if (!quantityInput) return;
   
+  const choice = readVariantChoice(document.getElementById('productDetail'));
+  if (!choice.ok) return;
+
   const quantity = parseInt(quantityInput.value) || 1;
-  cart.addItem(productId, quantity);
+  if (!await cart.addItem(productId, quantity, choice.variantId)) return;
   closeProductModal();
   
   // Mostrar mensaje de confirmación
-  showAddToCartMessage(productId, quantity);
+  showAddToCartMessage(productId, quantity, choice.variantId);
 };
 
 // Función para añadir y proceder al checkout (modal)
-window.addToCartAndCheckout = function(productId) {
+window.addToCartAndCheckout = async function(productId) {
   const quantityInput = document.getElementById('productQuantity');
   if (!quantityInput) return;
   
+  const choice = readVariantChoice(document.getElementById('productDetail'));
+  if (!choice.ok) return;
+
   const quantity = parseInt(quantityInput.value) || 1;
-  cart.addItem(productId, quantity);
+  if (!await cart.addItem(productId, quantity, choice.variantId)) return;
   closeProductModal();
   
-  // Abrir el carrito después de un pequeño delay para que se actualice
-  setTimeout(() => {
-    const cartModal = document.getElementById('cartModal');
-    if (cartModal) {
-      cartModal.setAttribute('aria-hidden', 'false');
-      document.body.style.overflow = 'hidden';
-    }
-  }, 100);
+  // Ir directo al checkout con el producto en el carrito
+  openCheckout();
 };
 
 // Mensaje de confirmación al añadir al carrito
 
-function showAddToCartMessage(productId, quantity) {
-  const product = PRODUCTS.find(p => p.id === productId);
+function showAddToCartMessage(productId, quantity, variantId = null) {
+  const key = getLineKey({ id: productId, variantId });
+  const product = cart.items.find(item => getLineKey(item) === key) || PRODUCTS.find(p => String(p.id) === String(productId));
   if (!product) return;
 
   let messageContainer = document.getElementById('addToCartMessage');
@@ -2100,12 +4746,13 @@ function showAddToCartMessage(productId, quantity) {
     document.body.appendChild(messageContainer);
   }
 
-  messageContainer.innerHTML = `
-    <div style="display: flex; align-items: center; gap: 10px;">
-      <span style="color: #28a745; font-size: 1.2rem;">✓</span>
+  messageContainer.innerHTML = html`
+    <div class="add-to-cart-message-body">
+      <span class="add-to-cart-message-check">✓</span>
       <div>
-        <strong style="display: block; margin-bottom: 4px;">¡Producto añadido!</strong>
+        <strong class="add-to-cart-message-title">¡Producto añadido!</strong>
         ${quantity}x ${product.name} - ${formatCurrency(product.price * quantity)}
+        ${renderVariantOptionsHTML(product, 'add-to-cart-message-options')}
       </div>
     </div>
   `;
@@ -2134,6 +4781,31 @@ if (productOverlay) {
   productOverlay.addEventListener('click', closeProductModal);
 }
 
+// Botones del detalle de producto (el contenido se vuelve a renderizar con cada producto)
+const productDetailContainer = document.getElementById('productDetail');
+if (productDetailContainer) {
+  productDetailContainer.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-detail-action]');
+    if (!button) return;
+
+    const productId = button.closest('[data-product-id]').dataset.productId;
+    switch (button.dataset.detailAction) {
+      case 'decrease':
+        window.decreaseQuantity();
+        break;
+      case 'increase':
+        window.increaseQuantity();
+        break;
+      case 'add':
+        window.addToCartFromDetail(productId);
+        break;
+      case 'buy':
+        window.addToCartAndCheckout(productId);
+        break;
+    }
+  });
+}
+
 function closeProductModal() {
   const modal = document.getElementById('productModal');
   if (modal) {
@@ -2142,7 +4814,356 @@ function closeProductModal() {
   }
 }
 
+// Avisos de disponibilidad (services/stockAlertService.js): con la pieza agotada, "Añadir al carrito"
+// se cambia por un formulario para que avisemos cuando vuelva
+function isSoldOut(product, variant) {
+  if (variant) return !isVariantInStock(variant);
+  if (hasVariants(product)) return product.variants.every(entry => !isVariantInStock(entry));
+  return product.stock !== undefined && product.stock !== null && Number(product.stock) <= 0;
+}
+
+function getSessionUser() {
+  return window.authService && window.authService.isAuthenticated() ? window.authService.getStoredUser() : null;
+}
+
+function renderStockAlertFormHTML(product) {
+  if (!window.stockAlertService) return '';
+  const user = getSessionUser();
+  return html`
+    <form class="stock-alert" data-stock-alert="${product.id}" novalidate hidden>
+      <p class="stock-alert-title">Agotado por ahora</p>
+      <p class="stock-alert-text">
+        ${user && user.email
+          ? html`Cada pieza se hace a mano. Te escribimos a <strong>${user.email}</strong> cuando vuelva.`
+          : 'Cada pieza se hace a mano. Déjanos tu correo y te escribimos cuando vuelva.'}
+      </p>
+      <div class="stock-alert-fields">
+        ${user && user.email ? '' : html`<input type="email" name="email" placeholder="Tu correo" aria-label="Correo electrónico" autocomplete="email" required>`}
+        <button type="submit" class="btn btn-primary">Avísame cuando vuelva</button>
+      </div>
+      <label class="stock-alert-option">
+        <input type="checkbox" name="precio"> Avísame también si baja de precio
+      </label>
+      <p class="stock-alert-message" role="status" hidden></p>
+    </form>
+  `;
+}
+
+function showStockAlertMessage(form, message, isError = false) {
+  const status = form.querySelector('.stock-alert-message');
+  if (!status) return;
+  status.textContent = message;
+  status.hidden = !message;
+  status.classList.toggle('stock-alert-message--error', isError);
+}
+
+// Mostrar el formulario o los botones de compra según el stock de la pieza o de la variante elegida
+function updateStockAlertView(root, product, variant) {
+  const soldOut = isSoldOut(product, variant);
+  const form = root.querySelector('[data-stock-alert]');
+  root.querySelectorAll('[data-detail-action="add"], [data-detail-action="buy"], [data-page-action="add"], [data-page-action="buy"]').forEach(button => {
+    // Sin formulario (servicio no cargado) los botones quedan deshabilitados
+    button.hidden = soldOut && !!form;
+    button.disabled = soldOut;
+  });
+  if (!form) return;
+
+  const variantId = variant ? String(variant.id) : '';
+  if (form.dataset.variantId !== variantId) {
+    showStockAlertMessage(form, '');
+  }
+  form.dataset.variantId = variantId;
+  form.hidden = !soldOut;
+}
+
+async function submitStockAlert(form) {
+  const emailInput = form.elements.email;
+  const email = emailInput ? emailInput.value.trim() : null;
+  if (emailInput && !isValidEmail(email)) {
+    showStockAlertMessage(form, 'Ingresa un correo válido', true);
+    emailInput.focus();
+    return;
+  }
+
+  const button = form.querySelector('button[type="submit"]');
+  button.disabled = true;
+  const result = await window.stockAlertService.subscribe({
+    productId: form.dataset.stockAlert,
+    variantId: form.dataset.variantId || null,
+    email,
+    types: form.elements.precio.checked ? ['stock', 'precio'] : ['stock']
+  });
+  button.disabled = false;
+
+  if (!result.success) {
+    showStockAlertMessage(form, result.message, true);
+    return;
+  }
+
+  const target = result.alert.email || email || 'tu correo';
+  showStockAlertMessage(form, result.alreadySubscribed
+    ? `Ya tenías este aviso. Te escribiremos a ${target}.`
+    : `Listo. Te escribiremos a ${target} cuando vuelva.`);
+  if (emailInput) emailInput.value = '';
+}
+
+// Avisos del usuario en el panel de cuenta
+async function renderStockAlertList() {
+  const section = document.querySelector('[data-account-stock-alerts]');
+  const list = document.getElementById('stockAlertList');
+  if (!section || !list || !window.stockAlertService) return;
+
+  section.hidden = !getSessionUser();
+  if (section.hidden) return;
+
+  list.innerHTML = html`<p class="stock-alert-empty">Cargando avisos…</p>`;
+  const result = await window.stockAlertService.getSubscriptions();
+  if (!result.success) {
+    list.innerHTML = html`<p class="stock-alert-empty">No se pudieron cargar tus avisos.</p>`;
+    return;
+  }
+  if (result.alerts.length === 0) {
+    list.innerHTML = html`<p class="stock-alert-empty">No tienes avisos. Cuando una pieza esté agotada puedes pedir que te avisemos.</p>`;
+    return;
+  }
+
+  const products = await Promise.all(result.alerts.map(alert =>
+    PRODUCTS.find(p => String(p.id) === String(alert.productId)) || getProductById(alert.productId)
+  ));
+  list.innerHTML = html`${result.alerts.map((alert, index) => {
+    const product = products[index];
+    const variant = product && alert.variantId ? findVariantById(product, alert.variantId) : null;
+    const types = alert.types.map(type => type === 'precio' ? 'Si baja de precio' : 'Cuando vuelva').join(' · ');
+    return html`
+      <div class="stock-alert-item">
+        <div class="stock-alert-item-info">
+          <a href="producto.html?id=${encodeURIComponent(alert.productId)}">${product ? product.name : 'Producto no disponible'}</a>
+          ${variant ? renderVariantOptionsHTML({ variantOptions: window.productService.getVariantLabels(variant) }, 'stock-alert-item-variant') : ''}
+          <span class="stock-alert-item-types">${types}</span>
+        </div>
+        <button type="button" class="wishlist-item-remove" data-stock-alert-cancel="${alert.id}">Cancelar</button>
+      </div>
+    `;
+  })}`;
+}
+
+function setupStockAlerts() {
+  if (!window.stockAlertService) return;
+
+  document.addEventListener('submit', (e) => {
+    const form = e.target.closest('[data-stock-alert]');
+    if (!form) return;
+    e.preventDefault();
+    submitStockAlert(form);
+  });
+
+  const list = document.getElementById('stockAlertList');
+  if (list) {
+    list.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-stock-alert-cancel]');
+      if (!button) return;
+      button.disabled = true;
+      const result = await window.stockAlertService.unsubscribe(button.dataset.stockAlertCancel);
+      if (!result.success) {
+        button.disabled = false;
+        showAuthMessage(result.message, 'error');
+        return;
+      }
+      renderStockAlertList();
+    });
+  }
+}
+
+// Vistos recientemente (services/recentlyViewedService.js): tira en la página principal, la tienda
+// y el carrito vacío
+function renderRecentlyViewedCard(item) {
+  const product = item.product;
+  const url = `producto.html?id=${encodeURIComponent(product.id)}`;
+  const image = safeUrl(product.image);
+  return html`
+    <a class="recently-viewed-card" href="${url}">
+      <span class="recently-viewed-media">
+        ${image ? html`<img src="${image}" alt="" loading="lazy" data-fallback="placeholder">` : createPlaceholderSVG(product.id)}
+      </span>
+      <span class="recently-viewed-name">${product.name}</span>
+      ${renderPriceHTML(product, 'recently-viewed-price')}
+    </a>
+  `;
+}
+
+// La tienda no trae contenedor propio: la tira va después del catálogo
+function ensureShopRecentlyViewed() {
+  const grid = document.getElementById('productGrid');
+  if (!grid || document.querySelector('.recently-viewed-section[data-recently-viewed]')) return;
+
+  const section = document.createElement('section');
+  section.className = 'recently-viewed-section';
+  section.dataset.recentlyViewed = '';
+  section.hidden = true;
+  (grid.closest('section') || grid).after(section);
+}
+
+function renderRecentlyViewed(items = window.recentlyViewedService.getItems()) {
+  const visible = items.filter(item => item.product);
+  document.querySelectorAll('[data-recently-viewed]').forEach(container => {
+    container.hidden = visible.length === 0;
+    container.innerHTML = visible.length === 0 ? '' : html`
+      <div class="recently-viewed">
+        <h2 class="recently-viewed-title">Vistos recientemente</h2>
+        <div class="recently-viewed-list">${visible.map(renderRecentlyViewedCard)}</div>
+      </div>
+    `;
+  });
+}
+
+// Pintar lo guardado y luego actualizar precios y quitar productos que ya no existen
+async function setupRecentlyViewed() {
+  if (!window.recentlyViewedService) return;
+  ensureShopRecentlyViewed();
+  if (!document.querySelector('[data-recently-viewed]')) return;
+
+  renderRecentlyViewed();
+  renderRecentlyViewed(await window.recentlyViewedService.refresh());
+}
+
+function trackRecentlyViewed(product) {
+  if (!window.recentlyViewedService) return;
+  window.recentlyViewedService.track(product);
+  renderRecentlyViewed();
+}
+
+// Al iniciar sesión: unir con la lista de la cuenta
+async function syncRecentlyViewed() {
+  if (!window.recentlyViewedService) return;
+  await window.recentlyViewedService.syncWithAccount();
+  renderRecentlyViewed(await window.recentlyViewedService.refresh());
+}
+
+// Recomendaciones (services/recommendationService.js) debajo de la página de producto y en el carrito
+let cartRecommendationsKey = null;
+
+// Las recomendaciones se calculan sobre el catálogo completo guardado por productService, no sobre
+// PRODUCTS (en la portada solo trae los destacados y en la tienda las páginas filtradas ya cargadas)
+async function getRecommendationCatalog() {
+  return (await loadCatalogSnapshot()) || [];
+}
+
+function renderRecommendationCard(product) {
+  const url = `producto.html?id=${encodeURIComponent(product.id)}`;
+  const image = safeUrl(product.image);
+  return html`
+    <article class="recommendation-card">
+      <a class="recommendation-media" href="${url}">
+        ${image ? html`<img src="${image}" alt="${product.name}" loading="lazy" data-fallback="placeholder">` : createPlaceholderSVG(product.id)}
+        ${renderSaleBadge(product)}
+      </a>
+      <a class="recommendation-name" href="${url}">${product.name}</a>
+      ${renderPriceHTML(product, 'recommendation-price')}
+      <button type="button" class="btn btn-outline recommendation-add" data-recommendation-add="${product.id}">
+        ${hasVariants(product) ? 'Elegir opciones' : 'Agregar'}
+      </button>
+    </article>
+  `;
+}
+
+function renderRecommendationsHTML({ related, completeSet }) {
+  const group = (title, products) => products.length === 0 ? '' : html`
+    <div class="recommendation-group">
+      <h3>${title}</h3>
+      <div class="recommendation-list">${products.map(renderRecommendationCard)}</div>
+    </div>
+  `;
+  return html`
+    ${group('También te puede gustar', related)}
+    ${group('Completa el conjunto', completeSet)}
+  `;
+}
+
+// Un clic agrega la pieza; las que tienen variantes llevan a su página para elegir
+function setupRecommendationActions(container) {
+  if (container.dataset.recommendationsBound) return;
+  container.dataset.recommendationsBound = 'true';
+  container.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-recommendation-add]');
+    if (!button) return;
+
+    const productId = button.dataset.recommendationAdd;
+    const product = PRODUCTS.find(p => String(p.id) === String(productId));
+    if (product && hasVariants(product)) {
+      window.location.href = `producto.html?id=${encodeURIComponent(productId)}`;
+      return;
+    }
+
+    button.disabled = true;
+    const added = await cart.addItem(productId, 1);
+    button.disabled = false;
+    if (added) {
+      showAddToCartMessage(productId, 1);
+    }
+  });
+}
+
+async function renderProductRecommendations(product, productContent) {
+  if (!window.recommendationService) return;
+
+  const catalog = await getRecommendationCatalog();
+  const result = await window.recommendationService.getRecommendations(product, catalog);
+  // El cliente pudo haber abierto otro producto mientras tanto
+  if (!productContent.querySelector(`.product-page-container[data-product-id="${CSS.escape(String(product.id))}"]`)) return;
+  if (result.related.length === 0 && result.completeSet.length === 0) return;
+
+  const section = document.createElement('section');
+  section.className = 'product-recommendations';
+  section.setAttribute('aria-label', 'Recomendaciones');
+  section.innerHTML = renderRecommendationsHTML(result);
+  productContent.appendChild(section);
+  setupRecommendationActions(section);
+}
+
+// Se recalculan solo con el carrito abierto y cuando cambian los productos que contiene
+async function refreshCartRecommendations() {
+  const container = document.getElementById('cartRecommendations');
+  const cartModal = document.getElementById('cartModal');
+  if (!container || !window.recommendationService || !cartModal || cartModal.getAttribute('aria-hidden') !== 'false') return;
+
+  const key = [...new Set(cart.items.map(item => String(item.id)))].sort().join(',');
+  if (key === cartRecommendationsKey) return;
+  cartRecommendationsKey = key;
+
+  if (cart.items.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const catalog = await getRecommendationCatalog();
+  const result = await window.recommendationService.getCartRecommendations(cart.items, catalog, { limit: 3 });
+  if (key !== cartRecommendationsKey) return;
+
+  container.innerHTML = renderRecommendationsHTML(result);
+  setupRecommendationActions(container);
+}
+
 // Función para renderizar la página de producto individual
+// El producto se mostró desde la caché y cambió en el servidor: actualizar precio y etiqueta de rebaja
+// (los de la variante elegida, si tiene)
+function refreshProductPagePrice(product) {
+  if (new URLSearchParams(window.location.search).get('id') !== String(product.id)) return;
+
+  const productContent = document.getElementById('productContent');
+  const picker = productContent && productContent.querySelector('[data-variant-picker]');
+  const state = picker && variantPickers.get(picker);
+  if (state) {
+    state.product = product;
+    refreshVariantPicker(picker);
+    return;
+  }
+
+  const priceBlock = productContent && productContent.querySelector('[data-price-block]');
+  if (priceBlock) {
+    priceBlock.innerHTML = html`${renderPriceHTML(product, 'product-page-price')}${renderSaleBadge(product)}`;
+  }
+}
+
 async function renderProductPage() {
   const urlParams = new URLSearchParams(window.location.search);
   const productId = urlParams.get('id');
@@ -2154,10 +5175,11 @@ async function renderProductPage() {
   }
 
   const productContent = document.getElementById('productContent');
+  setupProductPageActions(productContent);
   
   // Mostrar loading mientras se carga el producto
   productContent.innerHTML = `
-    <div style="text-align: center; padding: 4rem 2rem;">
+    <div class="product-page-status">
       <p>Cargando producto...</p>
     </div>
   `;
@@ -2166,16 +5188,16 @@ async function renderProductPage() {
   let product = PRODUCTS.find(p => p.id === productId);
   
   if (!product) {
-    product = await getProductById(productId);
+    product = await getProductById(productId, { onUpdate: refreshProductPagePrice });
   }
   
   if (!product) {
     // Producto no encontrado
     productContent.innerHTML = `
-      <div style="text-align: center; padding: 4rem 2rem;">
+      <div class="product-page-status">
         <h2>Producto no encontrado</h2>
         <p>El producto que buscas no está disponible.</p>
-        <a href="tienda.html" class="btn btn-primary" style="margin-top: 1rem;">Volver a la tienda</a>
+        <a href="tienda.html" class="btn btn-primary">Volver a la tienda</a>
       </div>
     `;
     return;
@@ -2184,33 +5206,21 @@ async function renderProductPage() {
   // Actualizar el título de la página
   document.title = `${product.name} – El Xolito Mex`;
 
-  // Obtener imágenes del producto (desde API o usar la imagen principal)
-  let productImages = [];
-  if (product.imagenes && product.imagenes.length > 0) {
-    productImages = product.imagenes.map(img => img.ruta);
-  } else {
-    // Fallback: usar la imagen principal
-    productImages = [product.image || 'assets/placeholder.jpg'];
-  }
-
   // Renderizar el producto completo
-  productContent.innerHTML = `
-    <div class="product-page-container">
+  productContent.innerHTML = html`
+    <div class="product-page-container" data-product-id="${product.id}">
       <div class="product-page-gallery">
-        <div class="product-page-image-main">
-          <img id="mainProductImage" src="${productImages[0]}" alt="${product.name}" onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjQwMCIgdmlld0JveD0iMCAwIDQwMCA0MDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+PHJlY3Qgd2lkdGg9IjQwMCIgaGVpZ2h0PSI0MDAiIGZpbGw9IiNmNWY1ZjUiLz48dGV4dCB4PSIyMDAiIHk9IjIwMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZG9taW5hbnQtYmFzZWxpbmU9Im1pZGRsZSIgZmlsbD0iIzk5OSIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjE4Ij5JbWFnZW4gbm8gZGlzcG9uaWJsZTwvdGV4dD48L3N2Zz4='">
-        </div>
-        <div class="product-page-thumbnails">
-          ${productImages.map((img, index) => `
-            <div class="product-thumbnail ${index === 0 ? 'active' : ''}" onclick="changeMainImage('${img}', ${index})">
-              <img src="${img}" alt="${product.name} - Vista ${index + 1}" onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjQwMCIgdmlld0JveD0iMCAwIDQwMCA0MDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+PHJlY3Qgd2lkdGg9IjQwMCIgaGVpZ2h0PSI0MDAiIGZpbGw9IiNmNWY1ZjUiLz48dGV4dCB4PSIyMDAiIHk9IjIwMCIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZG9taW5hbnQtYmFzZWxpbmU9Im1pZGRsZSIgZmlsbD0iIzk5OSIgZm9udC1mYW1pbHk9IkFyaWFsIiBmb250LXNpemU9IjE4Ij5JbWFnZW4gbm8gZGlzcG9uaWJsZTwvdGV4dD48L3N2Zz4='">
-            </div>
-          `).join('')}
-        </div>
+        ${window.productGallery.render(product)}
       </div>
       <div class="product-page-info">
-        <h1 class="product-page-title">${product.name}</h1>
-        <div class="product-page-price">${formatCurrency(product.price)}</div>
+        <div class="product-page-title-row">
+          <h1 class="product-page-title">${product.name}</h1>
+          ${renderWishlistButtonHTML(product.id, 'wishlist-toggle--page')}
+        </div>
+        <div class="product-price-block" data-price-block>
+          ${renderPriceHTML(product, 'product-page-price')}
+          ${renderSaleBadge(product)}
+        </div>
         
         <div class="product-page-meta">
           <div class="meta-item">
@@ -2227,17 +5237,18 @@ async function renderProductPage() {
           </div>
           <div class="meta-item">
             <strong>SKU:</strong>
-            <span>${product.id}</span>
+            <span data-variant-sku>${product.id}</span>
           </div>
         </div>
 
         <div class="product-page-options">
+          ${renderVariantPickerHTML(product)}
           <div class="quantity-selector">
             <label for="productPageQuantity">Cantidad:</label>
             <div class="qty-controls">
-              <button type="button" onclick="decreaseProductPageQuantity()">-</button>
+              <button type="button" data-page-action="decrease">-</button>
               <input type="number" id="productPageQuantity" value="1" min="1" max="10">
-              <button type="button" onclick="increaseProductPageQuantity()">+</button>
+              <button type="button" data-page-action="increase">+</button>
             </div>
           </div>
         </div>
@@ -2245,7 +5256,7 @@ async function renderProductPage() {
         <div class="product-page-features">
           <div class="feature">
             <span class="feature-icon">🚚</span>
-            <span>Envío gratis en compras mayores a $879</span>
+            <span>${getFreeShippingText()}</span>
           </div>
           <div class="feature">
             <span class="feature-icon">🔒</span>
@@ -2258,25 +5269,31 @@ async function renderProductPage() {
         </div>
 
         <div class="product-page-actions">
-          <button class="btn btn-primary btn-full" onclick="addToCartFromProductPage('${product.id}')">
+          <button type="button" class="btn btn-primary btn-full" data-page-action="add">
             Añadir al carrito
           </button>
-          <button class="btn btn-outline btn-full" onclick="addToCartAndCheckoutFromPage('${product.id}')">
+          <button type="button" class="btn btn-outline btn-full" data-page-action="buy">
             Comprar ahora
           </button>
+          ${renderStockAlertFormHTML(product)}
         </div>
 
-        <div class="product-page-description" style="margin-top: 2rem; padding-top: 2rem; border-top: 1px solid #e0e0e0;">
-          <h3 style="font-family: 'Playfair Display', serif; margin-bottom: 1rem;">Descripción</h3>
-          <p style="color: var(--gris); line-height: 1.8;">
-            Esta hermosa pieza de joyería mexicana minimalista está hecha a mano con ${product.material.toLowerCase()} 
-            en color ${product.color.toLowerCase()}. Cada pieza es única y refleja la esencia de la artesanía mexicana 
-            con un diseño contemporáneo.
-          </p>
+        <div class="product-page-description">
+          <h3>Descripción</h3>
+          ${renderProductInfoHTML(product)}
         </div>
       </div>
     </div>
   `;
+
+  window.productGallery.mount(productContent, product);
+  updateStockAlertView(productContent, product, null);
+  mountVariantPicker(productContent, product, (variant, current) => {
+    applyVariantToView(productContent, current, variant, { priceClass: 'product-page-price' });
+  });
+
+  trackRecentlyViewed(product);
+  renderProductRecommendations(product, productContent);
 }
 
 // Funciones auxiliares para la página de producto
@@ -2301,48 +5318,83 @@ window.decreaseProductPageQuantity = function() {
   }
 };
 
-function addToCartFromProductPage(productId) {
+async function addToCartFromProductPage(productId) {
   const quantityInput = document.getElementById('productPageQuantity');
   if (!quantityInput) return;
+
+  const choice = readVariantChoice(document.getElementById('productContent'));
+  if (!choice.ok) return;
   
   const quantity = parseInt(quantityInput.value) || 1;
-  cart.addItem(productId, quantity);
-  showAddToCartMessage(productId, quantity);
+  if (await cart.addItem(productId, quantity, choice.variantId)) {
+    showAddToCartMessage(productId, quantity, choice.variantId);
+  }
 }
 
-// Función para agregar desde el carrusel de piezas destacadas
-window.addToCartFromFeatured = function(productId) {
-  cart.addItem(productId, 1);
-  showAddToCartMessage(productId, 1);
+// Función para agregar desde el carrusel de piezas destacadas.
+// Las piezas con talla, acabado o piedra se eligen en su página.
+window.addToCartFromFeatured = async function(productId) {
+  const product = PRODUCTS.find(p => String(p.id) === String(productId));
+  if (product && hasVariants(product)) {
+    window.location.href = `producto.html?id=${encodeURIComponent(productId)}`;
+    return;
+  }
+  if (await cart.addItem(productId, 1)) {
+    showAddToCartMessage(productId, 1);
+  }
 };
 
-function addToCartAndCheckoutFromPage(productId) {
+async function addToCartAndCheckoutFromPage(productId) {
   const quantityInput = document.getElementById('productPageQuantity');
   if (!quantityInput) return;
+
+  const choice = readVariantChoice(document.getElementById('productContent'));
+  if (!choice.ok) return;
   
   const quantity = parseInt(quantityInput.value) || 1;
-  cart.addItem(productId, quantity);
+  if (!await cart.addItem(productId, quantity, choice.variantId)) return;
   
-  // Abrir el carrito después de un pequeño delay para que se actualice
-  setTimeout(() => {
-    const cartModal = document.getElementById('cartModal');
-    if (cartModal) {
-      cartModal.setAttribute('aria-hidden', 'false');
-      document.body.style.overflow = 'hidden';
+  // Ir directo al checkout con el producto en el carrito
+  openCheckout();
+}
+
+// main.js es un módulo: exponer los handlers para el HTML de producto.html
+window.addToCartFromProductPage = addToCartFromProductPage;
+window.addToCartAndCheckoutFromPage = addToCartAndCheckoutFromPage;
+
+// Botones de la página de producto (delegados: el contenido se renderiza después).
+// La galería maneja sus propias miniaturas (gallery.js)
+function setupProductPageActions(productContent) {
+  productContent.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-page-action]');
+    if (!button) return;
+
+    const productId = button.closest('[data-product-id]').dataset.productId;
+    switch (button.dataset.pageAction) {
+      case 'decrease':
+        window.decreaseProductPageQuantity();
+        break;
+      case 'increase':
+        window.increaseProductPageQuantity();
+        break;
+      case 'add':
+        addToCartFromProductPage(productId);
+        break;
+      case 'buy':
+        addToCartAndCheckoutFromPage(productId);
+        break;
     }
-  }, 100);
+  });
 }
 
-// Función para cambiar la imagen principal al hacer clic en una miniatura
+// Cambiar la imagen de la galería de la página de producto (se conserva para producto.html)
 window.changeMainImage = function(imageSrc, index) {
-  const mainImage = document.getElementById('mainProductImage');
-  if (mainImage) {
-    mainImage.src = imageSrc;
-    // Actualizar la clase activa en las miniaturas
-    const thumbnails = document.querySelectorAll('.product-thumbnail');
-    thumbnails.forEach((thumb, i) => {
-      thumb.classList.toggle('active', i === index);
-    });
+  const gallery = window.productGallery.get(document.getElementById('productContent'));
+  if (!gallery) return;
+  if (Number.isInteger(index)) {
+    gallery.show(index);
+  } else {
+    gallery.showSource(imageSrc);
   }
 };
 
@@ -2359,7 +5411,7 @@ function initReelVideos() {
         if (entry.isIntersecting) {
           video.play().catch(err => {
             // Silenciar errores de autoplay (algunos navegadores bloquean autoplay)
-            console.log('Autoplay bloqueado:', err);
+            logger.debug('Autoplay bloqueado:', err);
           });
         } else {
           video.pause();
@@ -2373,7 +5425,7 @@ function initReelVideos() {
     
     // Reproducir al hacer hover
     container.addEventListener('mouseenter', () => {
-      video.play().catch(err => console.log('Error al reproducir:', err));
+      video.play().catch(err => logger.debug('Error al reproducir:', err));
     });
     
     // Pausar al salir del hover (opcional)
@@ -2383,7 +5435,7 @@ function initReelVideos() {
     
     // Manejar errores de carga
     video.addEventListener('error', (e) => {
-      console.warn('Error al cargar video:', video.src);
+      logger.warn('Error al cargar video:', video.src);
       // Ocultar el contenedor si el video no se puede cargar
       container.style.display = 'none';
     });
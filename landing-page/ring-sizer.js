@@ -0,0 +1,76 @@
+// Medidor de anillos imprimible (medidor-anillos.html)
+// Los círculos y la tira se dibujan en milímetros reales a partir de services/ringSizeService.js,
+// así que coinciden con la guía de tallas de la tienda.
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Círculos por fila y tamaño de cada celda en mm
+const CIRCLES_PER_ROW = 5;
+const CELL_SIZE = 34;
+// La circunferencia más grande de la tabla mide unos 70 mm
+const STRIP_LENGTH = 80;
+const STRIP_HEIGHT = 14;
+
+function createSvg(width, height) {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('width', `${width}mm`);
+  svg.setAttribute('height', `${height}mm`);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  return svg;
+}
+
+function createNode(name, attributes, text = null) {
+  const node = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+  if (text !== null) node.textContent = text;
+  return node;
+}
+
+function renderCalibration(container) {
+  const svg = createSvg(54, 8);
+  svg.appendChild(createNode('line', { x1: 2, y1: 4, x2: 52, y2: 4, class: 'ring-sizer-line' }));
+  [2, 52].forEach(x => svg.appendChild(createNode('line', { x1: x, y1: 1, x2: x, y2: 7, class: 'ring-sizer-line' })));
+  container.appendChild(svg);
+}
+
+function renderCircles(container) {
+  const table = window.ringSizeService.getSizeTable();
+  const rows = Math.ceil(table.length / CIRCLES_PER_ROW);
+  const svg = createSvg(CIRCLES_PER_ROW * CELL_SIZE, rows * CELL_SIZE);
+
+  table.forEach((row, index) => {
+    const cx = (index % CIRCLES_PER_ROW) * CELL_SIZE + CELL_SIZE / 2;
+    const cy = Math.floor(index / CIRCLES_PER_ROW) * CELL_SIZE + CELL_SIZE / 2 - 3;
+    svg.appendChild(createNode('circle', { cx, cy, r: row.diameter / 2, class: 'ring-sizer-circle' }));
+    svg.appendChild(createNode('text', { x: cx, y: cy + 1.2, class: 'ring-sizer-size' }, String(row.mx)));
+    svg.appendChild(createNode('text', { x: cx, y: cy + row.diameter / 2 + 4, class: 'ring-sizer-label' }, `EU ${row.eu} · ${row.diameter} mm`));
+  });
+
+  container.appendChild(svg);
+}
+
+function renderStrip(container) {
+  // La ranura marca el cero: la medida que queda en ella al cerrar la tira es la circunferencia
+  const offset = 12;
+  const svg = createSvg(STRIP_LENGTH + offset + 4, STRIP_HEIGHT + 2);
+  svg.appendChild(createNode('rect', { x: 1, y: 1, width: STRIP_LENGTH + offset + 2, height: STRIP_HEIGHT, class: 'ring-sizer-strip-outline' }));
+  svg.appendChild(createNode('line', { x1: offset, y1: 4, x2: offset, y2: STRIP_HEIGHT - 2, class: 'ring-sizer-slot' }));
+
+  for (let mm = 0; mm <= STRIP_LENGTH; mm++) {
+    const x = offset + mm;
+    const length = mm % 10 === 0 ? 6 : (mm % 5 === 0 ? 4 : 2.5);
+    svg.appendChild(createNode('line', { x1: x, y1: 1, x2: x, y2: 1 + length, class: 'ring-sizer-line' }));
+    if (mm % 10 === 0 && mm > 0) {
+      svg.appendChild(createNode('text', { x, y: STRIP_HEIGHT - 2, class: 'ring-sizer-label' }, String(mm)));
+    }
+  }
+
+  container.appendChild(svg);
+}
+
+document.querySelectorAll('[data-strip]').forEach(renderStrip);
+document.querySelectorAll('[data-calibration]').forEach(renderCalibration);
+document.querySelectorAll('[data-circles]').forEach(renderCircles);
+
+document.querySelectorAll('[data-print]').forEach(button => {
+  button.addEventListener('click', () => window.print());
+});
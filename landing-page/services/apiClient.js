@@ -0,0 +1,179 @@
+// Cliente HTTP compartido - Usado por authService y productService
+(function() {
+  'use strict';
+
+  const DEFAULT_BASE_URL = 'http://localhost:3000/api';
+  const DEFAULT_TIMEOUT = 15000;
+
+  // Error tipado con el status HTTP y el mensaje del servidor
+  class ApiError extends Error {
+    constructor(message, status = 0, data = null, code = null) {
+      super(message);
+      this.name = 'ApiError';
+      this.status = status;
+      this.data = data;
+      this.code = code || (status ? 'HTTP_ERROR' : 'NETWORK_ERROR');
+    }
+
+    get isNetworkError() {
+      return this.code === 'NETWORK_ERROR' || this.code === 'TIMEOUT';
+    }
+  }
+
+  // La URL base y el timeout vienen de window.appConfig (services/config.js)
+  function resolveBaseUrl() {
+    return (window.appConfig && window.appConfig.apiBaseUrl) || DEFAULT_BASE_URL;
+  }
+
+  function resolveTimeout() {
+    return (window.appConfig && window.appConfig.apiTimeout) || DEFAULT_TIMEOUT;
+  }
+
+  let baseUrl = resolveBaseUrl().replace(/\/$/, '');
+  let refreshPromise = null;
+
+  function getBaseUrl() {
+    return baseUrl;
+  }
+
+  function setBaseUrl(url) {
+    baseUrl = String(url || DEFAULT_BASE_URL).replace(/\/$/, '');
+  }
+
+  // Leer el cuerpo de la respuesta tolerando respuestas que no son JSON
+  async function parseBody(response) {
+    const text = await response.text().catch(() => '');
+    if (!text) return {};
+    try {
+      return JSON.parse(text);
+    } catch {
+      return { message: text };
+    }
+  }
+
+  // fetch con timeout mediante AbortController
+  async function fetchWithTimeout(url, config, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    // Respetar una señal externa si la petición ya trae una
+    const externalSignal = config.signal;
+    const onExternalAbort = () => controller.abort();
+    if (externalSignal) {
+      if (externalSignal.aborted) controller.abort();
+      externalSignal.addEventListener('abort', onExternalAbort);
+    }
+
+    try {
+      return await fetch(url, { ...config, signal: controller.signal });
+    } catch (error) {
+      // Cancelada por quien hizo la petición: no es un timeout ni un fallo de red
+      if (externalSignal && externalSignal.aborted) {
+        throw new ApiError(`La petición a ${url} fue cancelada`, 0, null, 'ABORTED');
+      }
+      if (error.name === 'AbortError') {
+        throw new ApiError(`La petición a ${url} excedió el tiempo de espera`, 0, null, 'TIMEOUT');
+      }
+      throw new ApiError(`No se pudo conectar con el servidor (${baseUrl})`, 0, null, 'NETWORK_ERROR');
+    } finally {
+      clearTimeout(timer);
+      if (externalSignal) {
+        externalSignal.removeEventListener('abort', onExternalAbort);
+      }
+    }
+  }
+
+  function buildConfig(options, token) {
+    const { headers = {}, timeout, skipAuthRefresh, includeMeta, ...rest } = options;
+    return {
+      ...rest,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { 'Authorization': `Bearer ${token}` }),
+        ...headers
+      }
+    };
+  }
+
+  // Renovar el token de acceso (una sola petición aunque fallen varias a la vez)
+  function refreshAccessToken() {
+    if (refreshPromise) return refreshPromise;
+
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+
+      try {
+        const response = await fetchWithTimeout(`${baseUrl}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        }, resolveTimeout());
+        const data = await parseBody(response);
+
+        if (response.ok && data.success) {
+          localStorage.setItem('accessToken', data.data.accessToken);
+          if (data.data.refreshToken) {
+            localStorage.setItem('refreshToken', data.data.refreshToken);
+          }
+          return true;
+        }
+        return false;
+      } catch (error) {
+        window.logger.error('Error al renovar token:', error);
+        return false;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+
+    return refreshPromise;
+  }
+
+  // Hacer una petición a la API: 401 → refresh → reintento una sola vez (salvo con skipAuthRefresh: true,
+  // p. ej. en login y registro, donde un 401 son credenciales inválidas).
+  // Con includeMeta: true devuelve { body, status, etag, notModified } (para peticiones condicionales
+  // con If-None-Match; un 304 no se considera error).
+  async function request(endpoint, options = {}) {
+    const timeout = options.timeout || resolveTimeout();
+    const url = `${baseUrl}${endpoint}`;
+    const token = localStorage.getItem('accessToken');
+
+    let response = await fetchWithTimeout(url, buildConfig(options, token), timeout);
+
+    if (response.status === 401 && token && !options.skipAuthRefresh) {
+      const refreshed = await refreshAccessToken();
+      if (refreshed) {
+        response = await fetchWithTimeout(url, buildConfig(options, localStorage.getItem('accessToken')), timeout);
+      }
+    }
+
+    if (options.includeMeta && response.status === 304) {
+      return { body: null, status: 304, etag: response.headers.get('ETag'), notModified: true };
+    }
+
+    const data = await parseBody(response);
+
+    if (!response.ok) {
+      throw new ApiError(
+        data.message || `Error ${response.status}: ${response.statusText}`,
+        response.status,
+        data
+      );
+    }
+
+    if (options.includeMeta) {
+      return { body: data, status: response.status, etag: response.headers.get('ETag'), notModified: false };
+    }
+
+    return data;
+  }
+
+  window.apiClient = {
+    request,
+    refreshAccessToken,
+    getBaseUrl,
+    setBaseUrl,
+    ApiError
+  };
+})();
@@ -1,49 +1,13 @@
 // Servicio de autenticación - Conecta con la API del backend
-const API_BASE_URL = 'http://localhost:3000/api';
-
-// Función para hacer requests a la API
-async function apiRequest(endpoint, options = {}) {
-  const token = localStorage.getItem('accessToken');
-  
-  const config = {
-    headers: {
-      'Content-Type': 'application/json',
-      ...(token && { 'Authorization': `Bearer ${token}` })
-    },
-    ...options
-  };
-
-  try {
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
-    const data = await response.json();
-
-    if (!response.ok) {
-      // Si el token expiró, intentar renovarlo
-      if (response.status === 401 && token) {
-        const refreshed = await refreshToken();
-        if (refreshed) {
-          // Reintentar la petición con el nuevo token
-          config.headers['Authorization'] = `Bearer ${localStorage.getItem('accessToken')}`;
-          const retryResponse = await fetch(`${API_BASE_URL}${endpoint}`, config);
-          const retryData = await retryResponse.json();
-          return retryData;
-        }
-      }
-      throw new Error(data.message || 'Error en la petición');
-    }
-
-    return data;
-  } catch (error) {
-    console.error('Error en API request:', error);
-    throw error;
-  }
-}
+// Las peticiones pasan por window.apiClient (services/apiClient.js)
 
 // Registrar nuevo usuario
 async function register(email, password, nombre_completo, telefono = null) {
   try {
-    const response = await apiRequest('/auth/register', {
+    // Un 401 aquí son datos inválidos, no una sesión vencida: no intentar renovar el token guardado
+    const response = await window.apiClient.request('/auth/register', {
       method: 'POST',
+      skipAuthRefresh: true,
       body: JSON.stringify({
         email,
         password,
@@ -76,8 +40,10 @@ async function register(email, password, nombre_completo, telefono = null) {
 // Iniciar sesión
 async function login(email, password) {
   try {
-    const response = await apiRequest('/auth/login', {
+    // Un 401 aquí es correo o contraseña incorrectos, no una sesión vencida
+    const response = await window.apiClient.request('/auth/login', {
       method: 'POST',
+      skipAuthRefresh: true,
       body: JSON.stringify({ email, password })
     });
 
@@ -106,11 +72,11 @@ async function login(email, password) {
 async function logout() {
   try {
     // Intentar cerrar sesión en el servidor
-    await apiRequest('/auth/logout', {
+    await window.apiClient.request('/auth/logout', {
       method: 'POST'
     });
   } catch (error) {
-    console.error('Error al cerrar sesión en servidor:', error);
+    window.logger.error('Error al cerrar sesión en servidor:', error);
   } finally {
     // Siempre limpiar tokens locales
     localStorage.removeItem('accessToken');
@@ -122,7 +88,7 @@ async function logout() {
 // Obtener información del usuario actual
 async function getCurrentUser() {
   try {
-    const response = await apiRequest('/auth/me');
+    const response = await window.apiClient.request('/auth/me');
     
     if (response.success) {
       localStorage.setItem('currentUser', JSON.stringify(response.data.user));
@@ -131,43 +97,49 @@ async function getCurrentUser() {
     
     return null;
   } catch (error) {
-    console.error('Error al obtener usuario:', error);
+    // Sin conexión no se puede verificar el token: mantener la sesión guardada
+    if (error.isNetworkError) {
+      window.logger.warn('Sin conexión, se usa el usuario guardado');
+      return getStoredUser();
+    }
+    window.logger.error('Error al obtener usuario:', error);
     // Si hay error, limpiar tokens
     logout();
     return null;
   }
 }
 
-// Renovar token de acceso
-async function refreshToken() {
+// Actualizar datos del perfil (p. ej. { talla_anillo }) y guardar el usuario que devuelve el servidor
+async function updateProfile(changes) {
   try {
-    const refreshToken = localStorage.getItem('refreshToken');
-    if (!refreshToken) {
-      return false;
-    }
-
-    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ refreshToken })
+    const response = await window.apiClient.request('/auth/me', {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
     });
 
-    const data = await response.json();
-
-    if (data.success) {
-      localStorage.setItem('accessToken', data.data.accessToken);
-      return true;
+    if (response.success) {
+      localStorage.setItem('currentUser', JSON.stringify(response.data.user));
+      return {
+        success: true,
+        user: response.data.user
+      };
     }
 
-    return false;
+    throw new Error(response.message || 'Error al actualizar el perfil');
   } catch (error) {
-    console.error('Error al renovar token:', error);
-    return false;
+    window.logger.error('Error al actualizar perfil:', error);
+    return {
+      success: false,
+      message: error.message || 'Error al actualizar el perfil'
+    };
   }
 }
 
+// Renovar token de acceso (delegado al cliente compartido)
+async function refreshToken() {
+  return window.apiClient.refreshAccessToken();
+}
+
 // Verificar si el usuario está autenticado
 function isAuthenticated() {
   const token = localStorage.getItem('accessToken');
@@ -194,6 +166,7 @@ window.authService = {
   login,
   logout,
   getCurrentUser,
+  updateProfile,
   refreshToken,
   isAuthenticated,
   getStoredUser
@@ -0,0 +1,199 @@
+// Servicio de carrito - Sincroniza el carrito de usuarios autenticados con /api/cart
+// Las peticiones pasan por window.apiClient (services/apiClient.js)
+
+// Clave de una línea del carrito: el mismo producto en otra talla, acabado o piedra es otra línea
+function getLineKey(item) {
+  return item.variantId ? `${item.id}:${item.variantId}` : String(item.id);
+}
+
+// Convertir la respuesta del backend a { items: [{ id, variantId, quantity }], version }
+function normalizeServerCart(cart) {
+  const items = (cart && cart.items) || [];
+  return {
+    items: items.map(item => ({
+      id: item.producto_id || item.id,
+      variantId: item.variante_id || item.variantId || null,
+      quantity: item.cantidad || item.quantity || 1,
+      product: item.producto || null
+    })),
+    version: cart ? cart.version : null
+  };
+}
+
+// Obtener el carrito del usuario autenticado
+async function getServerCart() {
+  try {
+    const response = await window.apiClient.request('/cart');
+
+    if (response.success) {
+      return {
+        success: true,
+        cart: normalizeServerCart(response.data.cart)
+      };
+    }
+
+    throw new Error(response.message || 'Error al obtener el carrito');
+  } catch (error) {
+    window.logger.error('Error al obtener carrito del servidor:', error);
+    return {
+      success: false,
+      status: error.status || 0,
+      message: error.message || 'Error al obtener el carrito',
+      cart: null
+    };
+  }
+}
+
+// Reemplazar el carrito del servidor. La versión permite detectar conflictos (409)
+async function saveServerCart(items, version = null) {
+  try {
+    const response = await window.apiClient.request('/cart', {
+      method: 'PUT',
+      body: JSON.stringify({
+        items: items.map(item => ({
+          producto_id: item.id,
+          variante_id: item.variantId || null,
+          cantidad: item.quantity
+        })),
+        version
+      })
+    });
+
+    if (response.success) {
+      return {
+        success: true,
+        cart: normalizeServerCart(response.data.cart)
+      };
+    }
+
+    throw new Error(response.message || 'Error al guardar el carrito');
+  } catch (error) {
+    // Un 409 es un conflicto esperado, lo resuelve quien llama
+    if (error.status !== 409) {
+      window.logger.error('Error al guardar carrito en el servidor:', error);
+    }
+    return {
+      success: false,
+      status: error.status || 0,
+      conflict: error.status === 409,
+      networkError: !!error.isNetworkError,
+      message: error.message || 'Error al guardar el carrito',
+      cart: null
+    };
+  }
+}
+
+// Unir el carrito anónimo con el del servidor (sin duplicar cantidades ya sincronizadas)
+function mergeCartItems(localItems, serverItems) {
+  const merged = new Map();
+  serverItems.forEach(item => merged.set(getLineKey(item), { ...item }));
+  localItems.forEach(item => {
+    const existing = merged.get(getLineKey(item));
+    if (existing) {
+      existing.quantity = Math.max(existing.quantity, item.quantity);
+    } else {
+      merged.set(getLineKey(item), { ...item });
+    }
+  });
+  return Array.from(merged.values());
+}
+
+// Resolver un conflicto: lo que cambió localmente desde la última sincronización
+// gana; lo demás se toma del servidor
+function reconcileCartItems(localItems, baseItems, serverItems) {
+  const base = new Map(baseItems.map(item => [getLineKey(item), item.quantity]));
+  const local = new Map(localItems.map(item => [getLineKey(item), item]));
+  const result = new Map(serverItems.map(item => [getLineKey(item), { ...item }]));
+
+  // Cambios locales: agregados o cantidades modificadas
+  local.forEach((item, key) => {
+    if (base.get(key) !== item.quantity) {
+      result.set(key, { ...(result.get(key) || {}), ...item });
+    }
+  });
+
+  // Eliminaciones locales
+  base.forEach((quantity, key) => {
+    if (!local.has(key)) {
+      result.delete(key);
+    }
+  });
+
+  return Array.from(result.values());
+}
+
+// Revisar los items del carrito contra el catálogo actual (las líneas con variante, contra su variante).
+// Devuelve por item (identificado por `key`, ver getLineKey): status ('ok' | 'price_changed' | 'quantity_reduced' | 'out_of_stock' | 'unavailable'),
+// el precio y stock vigentes, y la cantidad que se puede surtir.
+// Si un producto no se pudo consultar (sin conexión) se reporta como 'unknown' y no se modifica.
+async function validateCartItems(items) {
+  const checks = await Promise.all(items.map(async item => {
+    // Siempre contra el servidor: la caché de productos puede tener precios viejos
+    const result = await window.productService.getProductById(item.id, { fresh: true });
+    const key = getLineKey(item);
+
+    if (!result.success) {
+      const missing = result.status === 404;
+      return { id: item.id, key, status: missing ? 'unavailable' : 'unknown' };
+    }
+
+    const product = result.product;
+    const active = product.activo === undefined || product.activo === true || product.activo === 1;
+    if (!active) {
+      return { id: item.id, key, status: 'unavailable' };
+    }
+
+    // Precio y stock de la variante elegida; si ya no existe o se desactivó, la línea no está disponible
+    let source = { price: product.precio, precio_anterior: product.precio_anterior, stock: product.stock };
+    if (item.variantId) {
+      const { variants } = window.productService.formatProductForFrontend(product);
+      const variant = variants.find(entry => String(entry.id) === String(item.variantId));
+      if (!variant) {
+        return { id: item.id, key, status: 'unavailable' };
+      }
+      source = variant;
+    }
+
+    const price = Number(source.price);
+    const stock = source.stock === undefined || source.stock === null ? null : Number(source.stock);
+    const check = {
+      id: item.id,
+      key,
+      status: 'ok',
+      product,
+      price,
+      precio_anterior: source.precio_anterior,
+      previousPrice: item.price,
+      stock,
+      quantity: item.quantity
+    };
+
+    if (stock !== null && stock <= 0) {
+      check.status = 'out_of_stock';
+      check.quantity = 0;
+    } else if (stock !== null && item.quantity > stock) {
+      check.status = 'quantity_reduced';
+      check.quantity = stock;
+    } else if (price !== Number(item.price)) {
+      check.status = 'price_changed';
+    }
+
+    // Un precio distinto se reporta aunque también cambie la cantidad
+    check.priceChanged = price !== Number(item.price);
+    return check;
+  }));
+
+  return {
+    success: true,
+    checks
+  };
+}
+
+window.cartService = {
+  getLineKey,
+  getServerCart,
+  saveServerCart,
+  mergeCartItems,
+  reconcileCartItems,
+  validateCartItems
+};
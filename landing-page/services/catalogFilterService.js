@@ -0,0 +1,193 @@
+// Servicio de filtros del catálogo - Búsqueda por facetas de la tienda
+//
+// Trabaja con productos formateados (productService.formatProductForFrontend). El estado
+// se guarda en la URL para poder compartir y guardar una vista filtrada:
+//   ?categoria=anillos&q=luna&material=plata,oro&color=verde&min=300&max=1200&disponible=1&rebajas=1&orden=precio_asc
+(function() {
+  'use strict';
+
+  const SORT_OPTIONS = [
+    { id: 'relevancia', label: 'Relevancia' },
+    { id: 'precio_asc', label: 'Precio: menor a mayor' },
+    { id: 'precio_desc', label: 'Precio: mayor a menor' },
+    { id: 'recientes', label: 'Más recientes' },
+    { id: 'destacados', label: 'Destacados' }
+  ];
+
+  // Facetas de selección múltiple: clave de estado → campo del producto
+  const LIST_FACETS = {
+    material: 'material',
+    color: 'color'
+  };
+
+  function createEmptyState() {
+    return {
+      categoria: '',
+      q: '',
+      material: [],
+      color: [],
+      min: null,
+      max: null,
+      disponible: false,
+      rebajas: false,
+      orden: 'relevancia'
+    };
+  }
+
+  function normalizeValue(value) {
+    return String(value || '').trim().toLowerCase();
+  }
+
+  function parseList(value) {
+    return value ? value.split(',').map(normalizeValue).filter(Boolean) : [];
+  }
+
+  function parseNumber(value) {
+    if (value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+  }
+
+  // Leer el estado desde location.search (?filter= se acepta como alias de ?categoria=)
+  function parseState(search) {
+    const params = new URLSearchParams(search);
+    const state = createEmptyState();
+    state.categoria = normalizeValue(params.get('categoria') || params.get('filter'));
+    state.q = (params.get('q') || '').trim();
+    state.material = parseList(params.get('material'));
+    state.color = parseList(params.get('color'));
+    state.min = parseNumber(params.get('min'));
+    state.max = parseNumber(params.get('max'));
+    state.disponible = params.get('disponible') === '1';
+    state.rebajas = params.get('rebajas') === '1';
+    const orden = params.get('orden');
+    state.orden = SORT_OPTIONS.some(option => option.id === orden) ? orden : 'relevancia';
+    return state;
+  }
+
+  // Escribir el estado sobre los parámetros existentes (conserva ?id= y otros ajenos a los filtros)
+  function serializeState(state, search = '') {
+    const params = new URLSearchParams(search);
+    ['categoria', 'filter', 'q', 'material', 'color', 'min', 'max', 'disponible', 'rebajas', 'orden'].forEach(key => params.delete(key));
+
+    if (state.categoria) params.set('categoria', state.categoria);
+    if (state.q) params.set('q', state.q);
+    if (state.material.length) params.set('material', state.material.join(','));
+    if (state.color.length) params.set('color', state.color.join(','));
+    if (state.min !== null) params.set('min', state.min);
+    if (state.max !== null) params.set('max', state.max);
+    if (state.disponible) params.set('disponible', '1');
+    if (state.rebajas) params.set('rebajas', '1');
+    if (state.orden !== 'relevancia') params.set('orden', state.orden);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  }
+
+  function isOnSale(product) {
+    return Number(product.precio_anterior) > Number(product.price);
+  }
+
+  function isInStock(product) {
+    return product.stock === undefined || product.stock === null || Number(product.stock) > 0;
+  }
+
+  let scoreCache = { products: null, length: 0, q: '', scores: null };
+
+  // Relevancia de la búsqueda por id de producto (services/searchService.js); null si no hay búsqueda
+  function getSearchScores(products, q) {
+    if (!q) return null;
+    if (scoreCache.products !== products || scoreCache.length !== products.length || scoreCache.q !== q) {
+      scoreCache = { products, length: products.length, q, scores: window.searchService.getScores(products, q) };
+    }
+    return scoreCache.scores;
+  }
+
+  // ¿El producto pasa todos los filtros? `except` omite una faceta (para calcular sus conteos)
+  function matches(product, state, except = null, scores = null) {
+    if (except !== 'categoria' && state.categoria && normalizeValue(product.category) !== state.categoria) return false;
+    if (except !== 'q' && scores && !scores.has(product.id)) return false;
+    for (const [key, field] of Object.entries(LIST_FACETS)) {
+      if (except !== key && state[key].length && !state[key].includes(normalizeValue(product[field]))) return false;
+    }
+    if (except !== 'precio') {
+      const price = Number(product.price);
+      if (state.min !== null && price < state.min) return false;
+      if (state.max !== null && price > state.max) return false;
+    }
+    if (except !== 'disponible' && state.disponible && !isInStock(product)) return false;
+    if (except !== 'rebajas' && state.rebajas && !isOnSale(product)) return false;
+    return true;
+  }
+
+  function getCreatedTime(product) {
+    const time = new Date(product.createdAt || 0).getTime();
+    return Number.isFinite(time) ? time : 0;
+  }
+
+  function sortProducts(products, orden, scores = null) {
+    const sorted = products.slice();
+    switch (orden) {
+      case 'precio_asc':
+        return sorted.sort((a, b) => a.price - b.price);
+      case 'precio_desc':
+        return sorted.sort((a, b) => b.price - a.price);
+      case 'recientes':
+        return sorted.sort((a, b) => getCreatedTime(b) - getCreatedTime(a));
+      case 'destacados':
+        return sorted.sort((a, b) => Number(!!b.featured) - Number(!!a.featured));
+      default:
+        // Relevancia: con búsqueda, primero los que mejor coinciden
+        return scores ? sorted.sort((a, b) => scores.get(b.id) - scores.get(a.id)) : sorted;
+    }
+  }
+
+  function filterProducts(products, state) {
+    const scores = getSearchScores(products, state.q);
+    return sortProducts(products.filter(product => matches(product, state, null, scores)), state.orden, scores);
+  }
+
+  // Opciones de cada faceta con su conteo, considerando el resto de filtros activos
+  function getFacets(products, state) {
+    const facets = {};
+    const scores = getSearchScores(products, state.q);
+
+    Object.entries(LIST_FACETS).forEach(([key, field]) => {
+      const counts = new Map();
+      products.forEach(product => {
+        const value = normalizeValue(product[field]);
+        if (!value) return;
+        const entry = counts.get(value) || { value, label: product[field], count: 0 };
+        if (matches(product, state, key, scores)) entry.count++;
+        counts.set(value, entry);
+      });
+      facets[key] = Array.from(counts.values()).sort((a, b) => a.label.localeCompare(b.label, 'es'));
+    });
+
+    const prices = products.map(product => Number(product.price)).filter(Number.isFinite);
+    facets.precio = {
+      min: prices.length ? Math.floor(Math.min(...prices)) : 0,
+      max: prices.length ? Math.ceil(Math.max(...prices)) : 0
+    };
+    facets.disponible = products.filter(product => isInStock(product) && matches(product, state, 'disponible', scores)).length;
+    facets.rebajas = products.filter(product => isOnSale(product) && matches(product, state, 'rebajas', scores)).length;
+
+    return facets;
+  }
+
+  function hasActiveFilters(state) {
+    return !!(state.q || state.material.length || state.color.length || state.min !== null ||
+      state.max !== null || state.disponible || state.rebajas);
+  }
+
+  window.catalogFilterService = {
+    SORT_OPTIONS,
+    createEmptyState,
+    parseState,
+    serializeState,
+    filterProducts,
+    sortProducts,
+    getFacets,
+    hasActiveFilters
+  };
+})();
@@ -0,0 +1,122 @@
+// Configuración en tiempo de ejecución - Se lee una sola vez al arrancar la página
+// Orden de prioridad: valores por defecto < window.XOLITO_ENV (env.js) < <meta name="xolito:*">
+(function() {
+  'use strict';
+
+  const DEFAULTS = {
+    env: 'development',
+    apiBaseUrl: 'http://localhost:3000/api',
+    apiTimeout: 15000,
+    logLevel: '',
+    googleClientId: '',
+    appleClientId: '',
+    freeShippingThreshold: 879,
+    whatsappNumber: '5214445428475',
+    // Métodos de envío del checkout (costo en MXN; freeOverThreshold aplica el envío gratis)
+    shippingMethods: [
+      { id: 'estandar', nombre: 'Envío estándar', descripcion: '5 a 7 días hábiles', costo: 99, freeOverThreshold: true },
+      { id: 'express', nombre: 'Envío express', descripcion: '1 a 2 días hábiles', costo: 199, freeOverThreshold: false }
+    ],
+    // Proveedor de pago por método ('sandbox' simula los cobros sin backend, solo para desarrollo)
+    paymentProviders: {
+      card: 'card',
+      oxxo: 'oxxo'
+    },
+    // Avisos de disponibilidad: 'api' o 'local' (simula el endpoint en localStorage, solo para desarrollo)
+    stockAlertBackend: 'api',
+    features: {
+      googleLogin: true,
+      appleLogin: true
+    }
+  };
+
+  // Convertir el contenido de un <meta> al tipo del valor por defecto. Objetos y listas
+  // (paymentProviders, shippingMethods, features) van en JSON; si no se pueden leer se ignoran (undefined)
+  function coerce(value, defaultValue) {
+    if (defaultValue !== null && typeof defaultValue === 'object') {
+      try {
+        const parsed = JSON.parse(value);
+        const sameShape = Array.isArray(defaultValue)
+          ? Array.isArray(parsed)
+          : parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed);
+        if (sameShape) return parsed;
+      } catch {
+        // JSON inválido: se reporta abajo
+      }
+      console.warn(`Configuración: el valor de <meta> para un objeto o lista debe ser JSON válido: ${value}`);
+      return undefined;
+    }
+    if (typeof defaultValue === 'number') {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : defaultValue;
+    }
+    if (typeof defaultValue === 'boolean') {
+      return value === 'true' || value === '1';
+    }
+    return value;
+  }
+
+  function readMetaOverrides() {
+    const overrides = {};
+    document.querySelectorAll('meta[name^="xolito:"]').forEach(meta => {
+      const key = meta.name.slice('xolito:'.length);
+      if (key.startsWith('feature.')) {
+        overrides.features = overrides.features || {};
+        overrides.features[key.slice('feature.'.length)] = coerce(meta.content, true);
+      } else if (key in DEFAULTS) {
+        const value = coerce(meta.content, DEFAULTS[key]);
+        if (value === undefined) return;
+        // features en JSON se combina con los switches feature.* de otros <meta>
+        overrides[key] = key === 'features' ? { ...value, ...(overrides.features || {}) } : value;
+      }
+    });
+
+    // Compatibilidad con <meta name="api-base-url">
+    const legacyMeta = document.querySelector('meta[name="api-base-url"]');
+    if (legacyMeta && legacyMeta.content && !overrides.apiBaseUrl) {
+      overrides.apiBaseUrl = legacyMeta.content;
+    }
+    return overrides;
+  }
+
+  function buildConfig() {
+    const env = (typeof window.XOLITO_ENV === 'object' && window.XOLITO_ENV) || {};
+    const meta = readMetaOverrides();
+    const config = {
+      ...DEFAULTS,
+      ...env,
+      ...meta,
+      features: {
+        ...DEFAULTS.features,
+        ...(env.features || {}),
+        ...(meta.features || {})
+      }
+    };
+    config.apiBaseUrl = String(config.apiBaseUrl).replace(/\/$/, '');
+    return config;
+  }
+
+  const config = buildConfig();
+
+  function get(key) {
+    return config[key];
+  }
+
+  function isFeatureEnabled(name) {
+    return config.features[name] === true;
+  }
+
+  // Enlace de WhatsApp con mensaje opcional
+  function getWhatsAppUrl(message = '') {
+    const text = message ? `?text=${encodeURIComponent(message)}` : '';
+    return `https://wa.me/${config.whatsappNumber}${text}`;
+  }
+
+  window.appConfig = Object.freeze({
+    ...config,
+    features: Object.freeze({ ...config.features }),
+    get,
+    isFeatureEnabled,
+    getWhatsAppUrl
+  });
+})();
@@ -0,0 +1,43 @@
+// Content-Security-Policy de la página - Se arma con el origen de appConfig.apiBaseUrl
+// Va en el <head> justo después de env.js y services/config.js: la política aplica a todo lo que se
+// cargue después, y el mismo bundle sirve en cualquier entorno sin editar index.html.
+(function() {
+  'use strict';
+
+  // Origen de la API (fetch, imágenes y videos de productos); vacío si es el mismo que la página
+  function getApiOrigin() {
+    try {
+      const origin = new URL(window.appConfig.apiBaseUrl, window.location.href).origin;
+      return origin === window.location.origin ? '' : origin;
+    } catch {
+      return '';
+    }
+  }
+
+  function buildPolicy(apiOrigin) {
+    const directives = {
+      'default-src': ["'self'"],
+      'script-src': ["'self'", 'https://accounts.google.com/gsi/client', 'https://www.instagram.com'],
+      'style-src': ["'self'", 'https://fonts.googleapis.com', 'https://accounts.google.com/gsi/style'],
+      'font-src': ['https://fonts.gstatic.com'],
+      'img-src': ["'self'", 'data:', 'https:', apiOrigin],
+      'media-src': ["'self'", apiOrigin],
+      'connect-src': ["'self'", apiOrigin, 'https://accounts.google.com/gsi/'],
+      'frame-src': ['https://accounts.google.com/gsi/', 'https://www.instagram.com'],
+      'worker-src': ["'self'"],
+      'manifest-src': ["'self'"],
+      'object-src': ["'none'"],
+      'base-uri': ["'self'"],
+      'form-action': ["'self'"]
+    };
+
+    return Object.entries(directives)
+      .map(([name, sources]) => [name, ...sources.filter(Boolean)].join(' '))
+      .join('; ');
+  }
+
+  const meta = document.createElement('meta');
+  meta.httpEquiv = 'Content-Security-Policy';
+  meta.content = buildPolicy(getApiOrigin());
+  document.head.appendChild(meta);
+})();
@@ -0,0 +1,142 @@
+// Logger con niveles - Reemplaza las llamadas directas a console
+// El nivel se puede cambiar con ?logLevel=debug en la URL (se guarda en localStorage)
+// o con localStorage.setItem('logLevel', 'debug'). En producción solo se muestran errores.
+(function() {
+  'use strict';
+
+  const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 50
+  };
+  const STORAGE_KEY = 'logLevel';
+
+  let errorSinks = [];
+
+  function isValidLevel(level) {
+    return Object.prototype.hasOwnProperty.call(LEVELS, level);
+  }
+
+  function readStoredLevel() {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  // Prioridad: parámetro de URL > localStorage > appConfig.logLevel > entorno
+  function resolveLevel() {
+    const urlLevel = new URLSearchParams(window.location.search).get('logLevel');
+    if (urlLevel && isValidLevel(urlLevel)) {
+      try {
+        localStorage.setItem(STORAGE_KEY, urlLevel);
+      } catch {
+        // Sin localStorage el nivel solo dura esta página
+      }
+      return urlLevel;
+    }
+
+    const storedLevel = readStoredLevel();
+    if (storedLevel && isValidLevel(storedLevel)) {
+      return storedLevel;
+    }
+
+    const config = window.appConfig || {};
+    if (config.logLevel && isValidLevel(config.logLevel)) {
+      return config.logLevel;
+    }
+    return config.env === 'production' ? 'error' : 'info';
+  }
+
+  let currentLevel = resolveLevel();
+
+  function getLevel() {
+    return currentLevel;
+  }
+
+  function setLevel(level, { persist = false } = {}) {
+    if (!isValidLevel(level)) return;
+    currentLevel = level;
+    if (persist) {
+      try {
+        localStorage.setItem(STORAGE_KEY, level);
+      } catch {
+        // Ignorar: el nivel queda solo en memoria
+      }
+    }
+  }
+
+  // Registrar un destino para los errores (p. ej. un servicio de monitoreo)
+  // Devuelve una función para quitarlo
+  function addErrorSink(sink) {
+    if (typeof sink !== 'function') return () => {};
+    errorSinks.push(sink);
+    return () => {
+      errorSinks = errorSinks.filter(s => s !== sink);
+    };
+  }
+
+  function notifySinks(scope, args) {
+    if (errorSinks.length === 0) return;
+    const error = args.find(arg => arg instanceof Error) || null;
+    const message = args
+      .filter(arg => !(arg instanceof Error))
+      .map(arg => (typeof arg === 'string' ? arg : safeStringify(arg)))
+      .join(' ');
+    const entry = {
+      level: 'error',
+      scope,
+      message,
+      error,
+      url: window.location.href,
+      timestamp: new Date().toISOString()
+    };
+    errorSinks.forEach(sink => {
+      try {
+        sink(entry);
+      } catch {
+        // Un sink con errores no debe romper la página
+      }
+    });
+  }
+
+  function safeStringify(value) {
+    try {
+      return JSON.stringify(value);
+    } catch {
+      return String(value);
+    }
+  }
+
+  function log(level, scope, args) {
+    if (level === 'error') {
+      notifySinks(scope, args);
+    }
+    if (LEVELS[level] < LEVELS[currentLevel]) return;
+
+    const method = level === 'debug' ? 'log' : level;
+    const prefix = scope ? [`[${scope}]`] : [];
+    console[method](...prefix, ...args);
+  }
+
+  function createLogger(scope = '') {
+    return {
+      debug: (...args) => log('debug', scope, args),
+      info: (...args) => log('info', scope, args),
+      warn: (...args) => log('warn', scope, args),
+      error: (...args) => log('error', scope, args),
+      scope: (name) => createLogger(scope ? `${scope}:${name}` : name)
+    };
+  }
+
+  window.logger = {
+    ...createLogger(),
+    getLevel,
+    setLevel,
+    addErrorSink,
+    LEVELS
+  };
+})();
@@ -0,0 +1,64 @@
+// Servicio de pedidos - Conecta con la API del backend
+// Las peticiones pasan por window.apiClient (services/apiClient.js)
+
+// Crear un pedido (funciona para invitados y usuarios autenticados)
+async function createOrder(orderData) {
+  try {
+    const response = await window.apiClient.request('/orders', {
+      method: 'POST',
+      body: JSON.stringify(orderData)
+    });
+
+    if (response.success) {
+      return {
+        success: true,
+        order: response.data.order
+      };
+    }
+
+    throw new Error(response.message || 'Error al crear el pedido');
+  } catch (error) {
+    window.logger.error('Error al crear pedido:', error);
+    return {
+      success: false,
+      status: error.status || 0,
+      message: error.message || 'Error al crear el pedido',
+      order: null
+    };
+  }
+}
+
+// Obtener un pedido por ID
+async function getOrderById(id) {
+  try {
+    const response = await window.apiClient.request(`/orders/${encodeURIComponent(id)}`);
+
+    if (response.success) {
+      return {
+        success: true,
+        order: response.data.order
+      };
+    }
+
+    throw new Error(response.message || 'Pedido no encontrado');
+  } catch (error) {
+    window.logger.error('Error al obtener pedido:', error);
+    return {
+      success: false,
+      message: error.message || 'Error al obtener el pedido',
+      order: null
+    };
+  }
+}
+
+// Número visible del pedido (el backend puede devolver numero_orden o solo id)
+function getOrderNumber(order) {
+  if (!order) return '';
+  return order.numero_orden || order.numero || order.id;
+}
+
+window.orderService = {
+  createOrder,
+  getOrderById,
+  getOrderNumber
+};
@@ -0,0 +1,417 @@
+// Servicio de pagos - Abstracción de proveedores de pago
+//
+// Cada proveedor implementa la misma interfaz:
+//   id, label, methods                               → identificador y métodos que soporta ('card', 'oxxo')
+//   available                                        → false si le falta algo para cobrar (se oculta en el checkout)
+//   createIntent({ amount, currency, orderId, method, customer }) → intent
+//   confirmIntent(intent, paymentDetails)            → intent con status actualizado
+//   handleRedirectReturn(params)                     → intent después de 3-D Secure / redirect
+//   mapError(error)                                  → PaymentError con mensaje para el cliente
+//
+// Status de un intent: 'requires_confirmation' | 'requires_payment_method' | 'requires_action' | 'processing' |
+// 'succeeded' | 'failed'. confirmIntent y handleRedirectReturn lanzan PaymentError si el pago fue rechazado.
+// nextAction: { type: 'redirect', url } | { type: 'display_voucher', voucher: { reference, expiresAt, amount } }
+// Los montos siempre van en centavos (MXN).
+(function() {
+  'use strict';
+
+  const RETURN_PARAM = 'payment_return';
+
+  // Error de pago con código estable y mensaje listo para mostrar
+  class PaymentError extends Error {
+    constructor(code, message, cause = null) {
+      super(message);
+      this.name = 'PaymentError';
+      this.code = code;
+      this.cause = cause;
+    }
+  }
+
+  const ERROR_MESSAGES = {
+    card_declined: 'Tu tarjeta fue rechazada. Intenta con otra tarjeta o método de pago.',
+    insufficient_funds: 'La tarjeta no tiene fondos suficientes.',
+    expired_card: 'La tarjeta está vencida.',
+    incorrect_cvc: 'El código de seguridad (CVC) es incorrecto.',
+    invalid_card: 'Revisa los datos de la tarjeta.',
+    authentication_failed: 'No se pudo verificar la tarjeta con tu banco (3-D Secure).',
+    provider_unavailable: 'El método de pago no está disponible en este momento.',
+    network_error: 'No se pudo conectar con el procesador de pagos. Revisa tu conexión.',
+    processing_error: 'Ocurrió un error al procesar el pago. Intenta nuevamente.'
+  };
+
+  function createPaymentError(code, cause = null) {
+    return new PaymentError(code, ERROR_MESSAGES[code] || ERROR_MESSAGES.processing_error, cause);
+  }
+
+  // Mapeo común de errores de la API (ApiError) a PaymentError
+  function mapApiError(error) {
+    if (error instanceof PaymentError) return error;
+    if (error && error.isNetworkError) return createPaymentError('network_error', error);
+    const code = error && error.data && error.data.code;
+    if (code && ERROR_MESSAGES[code]) return createPaymentError(code, error);
+    return createPaymentError('processing_error', error);
+  }
+
+  // Algoritmo de Luhn para validar números de tarjeta
+  function isValidCardNumber(number) {
+    const digits = String(number || '').replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    let double = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+      let digit = Number(digits[i]);
+      if (double) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+      double = !double;
+    }
+    return sum % 10 === 0;
+  }
+
+  // Validar fecha de expiración en formato MM/AA
+  function isExpired(expiry, now = new Date()) {
+    const match = String(expiry || '').match(/^(\d{2})\s*\/\s*(\d{2})$/);
+    if (!match) return true;
+    const month = Number(match[1]);
+    const year = 2000 + Number(match[2]);
+    if (month < 1 || month > 12) return true;
+    return new Date(year, month, 1) <= now;
+  }
+
+  function buildReturnUrl(providerId, intentId, extraParams = {}) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(RETURN_PARAM, providerId);
+    url.searchParams.set('payment_intent', intentId);
+    Object.entries(extraParams).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  /* ============================================
+     PROVEEDOR SANDBOX (local y determinista)
+     ============================================ */
+
+  // Tarjetas de prueba del sandbox
+  const SANDBOX_CARDS = {
+    '4242424242424242': 'succeeded',
+    '4000000000003220': 'requires_3ds',
+    '4000000000000002': 'card_declined',
+    '4000000000009995': 'insufficient_funds',
+    '4000000000000069': 'expired_card',
+    '4000000000000127': 'incorrect_cvc'
+  };
+  const SANDBOX_STORAGE_KEY = 'sandboxPaymentIntents';
+  const OXXO_VOUCHER_DAYS = 3;
+
+  function createSandboxProvider() {
+    function loadIntents() {
+      try {
+        return JSON.parse(sessionStorage.getItem(SANDBOX_STORAGE_KEY) || '{}');
+      } catch {
+        return {};
+      }
+    }
+
+    // Los intents se guardan en sessionStorage para sobrevivir al redirect de 3-D Secure
+    function saveIntent(intent) {
+      const intents = loadIntents();
+      intents[intent.id] = intent;
+      sessionStorage.setItem(SANDBOX_STORAGE_KEY, JSON.stringify(intents));
+      return intent;
+    }
+
+    // Referencia OXXO de 14 dígitos derivada del pedido (misma entrada → misma referencia)
+    function buildOxxoReference(orderId, amount) {
+      const seed = `${orderId}:${amount}`;
+      let hash = 7;
+      for (let i = 0; i < seed.length; i++) {
+        hash = (hash * 31 + seed.charCodeAt(i)) % 1000000000000;
+      }
+      return `93${String(hash).padStart(12, '0')}`;
+    }
+
+    return {
+      id: 'sandbox',
+      label: 'Sandbox local',
+      methods: ['card', 'oxxo'],
+
+      async createIntent({ amount, currency = 'MXN', orderId, method = 'card' }) {
+        if (!Number.isInteger(amount) || amount <= 0) {
+          throw createPaymentError('processing_error');
+        }
+        return saveIntent({
+          id: `pi_sandbox_${orderId}_${method}`,
+          provider: 'sandbox',
+          orderId,
+          amount,
+          currency,
+          method,
+          status: 'requires_confirmation',
+          nextAction: null
+        });
+      },
+
+      async confirmIntent(intent, paymentDetails = {}) {
+        if (intent.method === 'oxxo') {
+          const expiresAt = new Date(Date.now() + OXXO_VOUCHER_DAYS * 24 * 60 * 60 * 1000);
+          expiresAt.setHours(23, 59, 59, 0);
+          return saveIntent({
+            ...intent,
+            status: 'requires_action',
+            nextAction: {
+              type: 'display_voucher',
+              voucher: {
+                reference: buildOxxoReference(intent.orderId, intent.amount),
+                expiresAt: expiresAt.toISOString(),
+                amount: intent.amount
+              }
+            }
+          });
+        }
+
+        const number = String(paymentDetails.number || '').replace(/\D/g, '');
+        if (!isValidCardNumber(number)) throw createPaymentError('invalid_card');
+        if (isExpired(paymentDetails.expiry)) throw createPaymentError('expired_card');
+        if (!/^\d{3,4}$/.test(String(paymentDetails.cvc || ''))) throw createPaymentError('incorrect_cvc');
+
+        const outcome = SANDBOX_CARDS[number] || 'succeeded';
+        if (outcome === 'requires_3ds') {
+          return saveIntent({
+            ...intent,
+            status: 'requires_action',
+            nextAction: {
+              type: 'redirect',
+              url: buildReturnUrl('sandbox', intent.id, { redirect_status: 'succeeded' })
+            }
+          });
+        }
+        if (outcome !== 'succeeded') {
+          saveIntent({ ...intent, status: 'failed', lastError: outcome });
+          throw createPaymentError(outcome);
+        }
+        return saveIntent({ ...intent, status: 'succeeded', nextAction: null });
+      },
+
+      async handleRedirectReturn(params) {
+        const intent = loadIntents()[params.get('payment_intent')];
+        if (!intent) throw createPaymentError('processing_error');
+
+        if (params.get('redirect_status') !== 'succeeded') {
+          saveIntent({ ...intent, status: 'failed', lastError: 'authentication_failed' });
+          throw createPaymentError('authentication_failed');
+        }
+        return saveIntent({ ...intent, status: 'succeeded', nextAction: null });
+      },
+
+      mapError: mapApiError
+    };
+  }
+
+  /* ============================================
+     ADAPTADORES DEL BACKEND (tarjeta y OXXO)
+     ============================================ */
+
+  // Normalizar el intent que devuelve el backend al formato común
+  function normalizeServerIntent(providerId, data) {
+    const intent = data.intent || data;
+    return {
+      id: intent.id,
+      provider: providerId,
+      orderId: intent.order_id || intent.orderId,
+      amount: intent.amount,
+      currency: intent.currency || 'MXN',
+      method: intent.method,
+      status: intent.status,
+      nextAction: intent.next_action || intent.nextAction || null,
+      lastError: (intent.last_error && intent.last_error.code) || intent.last_error || null
+    };
+  }
+
+  // Un intent rechazado ('failed' o de vuelta en 'requires_payment_method') se convierte en PaymentError
+  function assertIntentNotRejected(intent, fallbackCode) {
+    if (intent.status !== 'failed' && intent.status !== 'requires_payment_method') return intent;
+    const code = typeof intent.lastError === 'string' && ERROR_MESSAGES[intent.lastError] ? intent.lastError : fallbackCode;
+    throw createPaymentError(code);
+  }
+
+  // Base para proveedores que procesan el pago a través de /api/payments
+  function createServerProvider({ id, label, method, preparePaymentDetails, available = true }) {
+    return {
+      id,
+      label,
+      methods: [method],
+      available,
+
+      async createIntent({ amount, currency = 'MXN', orderId, customer = null }) {
+        try {
+          const response = await window.apiClient.request('/payments/intents', {
+            method: 'POST',
+            body: JSON.stringify({ order_id: orderId, amount, currency, method, customer })
+          });
+          return normalizeServerIntent(id, response.data);
+        } catch (error) {
+          throw mapApiError(error);
+        }
+      },
+
+      async confirmIntent(intent, paymentDetails = {}) {
+        try {
+          const details = await preparePaymentDetails(paymentDetails);
+          const response = await window.apiClient.request(`/payments/intents/${encodeURIComponent(intent.id)}/confirm`, {
+            method: 'POST',
+            body: JSON.stringify({
+              ...details,
+              return_url: buildReturnUrl(id, intent.id)
+            })
+          });
+          return assertIntentNotRejected(normalizeServerIntent(id, response.data), 'card_declined');
+        } catch (error) {
+          throw mapApiError(error);
+        }
+      },
+
+      async handleRedirectReturn(params) {
+        try {
+          const response = await window.apiClient.request(`/payments/intents/${encodeURIComponent(params.get('payment_intent'))}`);
+          return assertIntentNotRejected(normalizeServerIntent(id, response.data), 'authentication_failed');
+        } catch (error) {
+          throw mapApiError(error);
+        }
+      },
+
+      mapError: mapApiError
+    };
+  }
+
+  // Tarjeta: los datos se tokenizan con el SDK del procesador antes de llegar al backend
+  function createCardProvider({ tokenize } = {}) {
+    return createServerProvider({
+      id: 'card',
+      label: 'Tarjeta de crédito o débito',
+      method: 'card',
+      available: typeof tokenize === 'function',
+      async preparePaymentDetails(card) {
+        if (typeof tokenize !== 'function') {
+          throw createPaymentError('provider_unavailable');
+        }
+        const token = await tokenize(card);
+        return { payment_method: { type: 'card', token } };
+      }
+    });
+  }
+
+  // OXXO: el backend devuelve una referencia de pago en efectivo (next_action.display_voucher)
+  function createOxxoProvider() {
+    return createServerProvider({
+      id: 'oxxo',
+      label: 'Pago en efectivo en OXXO',
+      method: 'oxxo',
+      async preparePaymentDetails() {
+        return { payment_method: { type: 'oxxo' } };
+      }
+    });
+  }
+
+  /* ============================================
+     REGISTRO DE PROVEEDORES
+     ============================================ */
+
+  const providers = new Map();
+
+  function registerProvider(provider) {
+    const required = ['createIntent', 'confirmIntent', 'handleRedirectReturn', 'mapError'];
+    const missing = required.filter(name => typeof provider[name] !== 'function');
+    if (!provider.id || missing.length > 0) {
+      throw new Error(`Proveedor de pago inválido (${provider.id || 'sin id'}): faltan ${missing.join(', ')}`);
+    }
+    providers.set(provider.id, provider);
+  }
+
+  function isProviderAvailable(provider, method) {
+    return !!provider && provider.available !== false && provider.methods.includes(method);
+  }
+
+  function getProvider(id) {
+    return providers.get(id) || null;
+  }
+
+  // El proveedor de cada método se define en appConfig.paymentProviders
+  function getProviderForMethod(method) {
+    const configured = (window.appConfig.paymentProviders || {})[method];
+    const provider = getProvider(configured);
+    if (!isProviderAvailable(provider, method)) {
+      throw createPaymentError('provider_unavailable');
+    }
+    return provider;
+  }
+
+  function getAvailableMethods() {
+    const configured = window.appConfig.paymentProviders || {};
+    return Object.keys(configured).filter(method => isProviderAvailable(getProvider(configured[method]), method));
+  }
+
+  function toCents(amount) {
+    return Math.round(Number(amount) * 100);
+  }
+
+  // Crear y confirmar el pago de un pedido
+  async function payOrder({ order, amount, method, paymentDetails, customer }) {
+    const provider = getProviderForMethod(method);
+    try {
+      const intent = await provider.createIntent({
+        amount: toCents(amount),
+        currency: 'MXN',
+        orderId: order.id,
+        method,
+        customer
+      });
+      return await provider.confirmIntent(intent, paymentDetails);
+    } catch (error) {
+      throw provider.mapError(error);
+    }
+  }
+
+  // Detectar si la página se cargó al regresar de un redirect de pago
+  function isRedirectReturn(params = new URLSearchParams(window.location.search)) {
+    return params.has(RETURN_PARAM) && params.has('payment_intent');
+  }
+
+  async function handleRedirectReturn(params = new URLSearchParams(window.location.search)) {
+    const provider = getProvider(params.get(RETURN_PARAM));
+    if (!provider) throw createPaymentError('provider_unavailable');
+    try {
+      return await provider.handleRedirectReturn(params);
+    } catch (error) {
+      throw provider.mapError(error);
+    }
+  }
+
+  // Quitar los parámetros del redirect de la URL sin recargar
+  function clearRedirectParams() {
+    const url = new URL(window.location.href);
+    [RETURN_PARAM, 'payment_intent', 'redirect_status'].forEach(param => url.searchParams.delete(param));
+    window.history.replaceState(null, '', url.toString());
+  }
+
+  registerProvider(createSandboxProvider());
+  // Sin tokenizador la tarjeta queda como no disponible; la integración con el procesador
+  // vuelve a registrar el proveedor: paymentService.registerProvider(createCardProvider({ tokenize }))
+  registerProvider(createCardProvider());
+  registerProvider(createOxxoProvider());
+
+  window.paymentService = {
+    registerProvider,
+    getProvider,
+    getAvailableMethods,
+    payOrder,
+    isRedirectReturn,
+    handleRedirectReturn,
+    clearRedirectParams,
+    isValidCardNumber,
+    createCardProvider,
+    createOxxoProvider,
+    createSandboxProvider,
+    PaymentError
+  };
+})();
@@ -1,81 +1,226 @@
 // Servicio de productos - Conecta con la API del backend
-const API_BASE_URL = 'http://localhost:3000/api';
+// Las peticiones pasan por window.apiClient (services/apiClient.js)
 
-// Función para hacer requests a la API
-async function apiRequest(endpoint, options = {}) {
-  const token = localStorage.getItem('accessToken');
-  
-  const config = {
-    headers: {
-      'Content-Type': 'application/json',
-      ...(token && { 'Authorization': `Bearer ${token}` })
-    },
-    ...options
-  };
+// Tiempo que una respuesta se considera vigente antes de revalidarla
+const PRODUCT_CACHE_TTL = {
+  products: 5 * 60 * 1000,
+  product: 10 * 60 * 1000,
+  categories: 60 * 60 * 1000
+};
 
-  try {
-    console.log(`🌐 Haciendo petición a: ${API_BASE_URL}${endpoint}`);
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
-    
-    if (!response.ok) {
-      console.error(`❌ Error HTTP: ${response.status} ${response.statusText}`);
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `Error ${response.status}: ${response.statusText}`);
+// Caché de respuestas del catálogo (memoria + localStorage, compartida entre páginas):
+// - Dentro del TTL se responde desde la caché sin tocar la red.
+// - Con el TTL vencido se responde con lo guardado y se revalida en segundo plano con
+//   If-None-Match; si el servidor manda datos distintos se llama a onUpdate.
+// - Sin caché, o con fresh: true, se espera a la red. Si no hay conexión se usa lo guardado.
+const productCache = (function() {
+  const STORAGE_PREFIX = 'productCache:';
+  const MAX_ENTRIES = 80;
+  // Pasado un día lo guardado ya no se muestra sin revalidar primero
+  const MAX_STALE = 24 * 60 * 60 * 1000;
+  const memory = new Map();
+  const inflight = new Map();
+
+  function storedKeys() {
+    return Object.keys(localStorage).filter(key => key.startsWith(STORAGE_PREFIX));
+  }
+
+  function read(endpoint) {
+    if (memory.has(endpoint)) return memory.get(endpoint);
+    try {
+      const entry = JSON.parse(localStorage.getItem(STORAGE_PREFIX + endpoint));
+      if (entry) memory.set(endpoint, entry);
+      return entry;
+    } catch {
+      return null;
     }
-    
-    const data = await response.json();
-    console.log(`✅ Respuesta recibida de ${endpoint}:`, {
-      success: data.success,
-      hasData: !!data.data,
-      productsCount: data.data?.products?.length || data.data?.count || 0
+  }
+
+  function remove(endpoint) {
+    memory.delete(endpoint);
+    localStorage.removeItem(STORAGE_PREFIX + endpoint);
+  }
+
+  // Borrar las entradas guardadas hace más tiempo
+  function evictOldest(count) {
+    storedKeys()
+      .map(key => {
+        try {
+          return { key, storedAt: JSON.parse(localStorage.getItem(key)).storedAt || 0 };
+        } catch {
+          return { key, storedAt: 0 };
+        }
+      })
+      .sort((a, b) => a.storedAt - b.storedAt)
+      .slice(0, count)
+      .forEach(({ key }) => remove(key.slice(STORAGE_PREFIX.length)));
+  }
+
+  function write(endpoint, entry) {
+    memory.set(endpoint, entry);
+    const raw = JSON.stringify(entry);
+    try {
+      localStorage.setItem(STORAGE_PREFIX + endpoint, raw);
+    } catch {
+      // Cuota llena: liberar espacio y reintentar una vez; si no cabe queda solo en memoria
+      evictOldest(Math.ceil(MAX_ENTRIES / 4));
+      try {
+        localStorage.setItem(STORAGE_PREFIX + endpoint, raw);
+      } catch {
+        window.logger.debug('Caché de productos sin espacio en localStorage');
+      }
+    }
+
+    const extra = storedKeys().length - MAX_ENTRIES;
+    if (extra > 0) evictOldest(extra);
+  }
+
+  // Una sola petición por endpoint aunque se pida varias veces a la vez
+  function fetchAndStore(endpoint, entry) {
+    if (inflight.has(endpoint)) return inflight.get(endpoint);
+
+    const promise = (async () => {
+      try {
+        const headers = entry && entry.etag ? { 'If-None-Match': entry.etag } : {};
+        const result = await window.apiClient.request(endpoint, { headers, includeMeta: true });
+
+        if (result.notModified && entry) {
+          const touched = { ...entry, storedAt: Date.now() };
+          write(endpoint, touched);
+          return { entry: touched, changed: false };
+        }
+
+        const fetched = { body: result.body, etag: result.etag, storedAt: Date.now() };
+        if (result.body && result.body.success) {
+          write(endpoint, fetched);
+        }
+        return { entry: fetched, changed: !entry || JSON.stringify(entry.body) !== JSON.stringify(result.body) };
+      } catch (error) {
+        // El recurso ya no existe: no seguir mostrándolo desde la caché
+        if (error.status === 404) remove(endpoint);
+        throw error;
+      }
+    })().finally(() => {
+      inflight.delete(endpoint);
     });
-    
-    return data;
-  } catch (error) {
-    console.error(`❌ Error en API request a ${endpoint}:`, error);
-    console.error('   Verifica que el servidor backend esté corriendo en http://localhost:3000');
-    throw error;
+
+    inflight.set(endpoint, promise);
+    return promise;
+  }
+
+  async function request(endpoint, { ttl, fresh = false, onUpdate = null } = {}) {
+    const entry = read(endpoint);
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+    if (entry && !fresh && age < ttl) {
+      return entry.body;
+    }
+
+    if (entry && !fresh && age < MAX_STALE) {
+      fetchAndStore(endpoint, entry)
+        .then(({ changed }) => {
+          if (changed && onUpdate) onUpdate();
+        })
+        .catch(error => window.logger.debug(`No se pudo revalidar ${endpoint}:`, error.message));
+      return entry.body;
+    }
+
+    try {
+      const { entry: fetched } = await fetchAndStore(endpoint, entry);
+      return fetched.body;
+    } catch (error) {
+      if (entry && !fresh && error.isNetworkError) {
+        window.logger.warn(`Sin conexión, usando la copia guardada de ${endpoint}`);
+        return entry.body;
+      }
+      throw error;
+    }
+  }
+
+  function clear() {
+    memory.clear();
+    storedKeys().forEach(key => localStorage.removeItem(key));
   }
-}
 
-// Obtener todos los productos (con filtros opcionales)
-async function getAllProducts(filters = {}) {
+  return { request, clear };
+})();
+
+// Opciones comunes de las funciones de lectura:
+//   onUpdate(result) → se llama con el resultado nuevo si la revalidación en segundo plano trae cambios
+//   fresh: true      → ignorar la caché vigente y consultar al servidor (p. ej. validar precios del carrito)
+
+// Obtener productos (con filtros y paginación opcionales)
+// filters: categoria, destacado, activo, q (búsqueda), sort ('precio', '-precio', '-fecha_creacion', '-destacado'),
+// page y limit. Sin page/limit el backend devuelve todos los productos.
+async function getAllProducts(filters = {}, options = {}) {
   try {
     const queryParams = new URLSearchParams();
     
     if (filters.categoria) queryParams.append('categoria', filters.categoria);
     if (filters.destacado !== undefined) queryParams.append('destacado', filters.destacado);
     if (filters.activo !== undefined) queryParams.append('activo', filters.activo);
+    if (filters.q) queryParams.append('q', filters.q);
+    if (filters.sort) queryParams.append('sort', filters.sort);
+    if (filters.page) queryParams.append('page', filters.page);
+    if (filters.limit) queryParams.append('limit', filters.limit);
     
     const queryString = queryParams.toString();
     const endpoint = `/products${queryString ? '?' + queryString : ''}`;
     
-    const response = await apiRequest(endpoint);
+    const response = await productCache.request(endpoint, {
+      ttl: PRODUCT_CACHE_TTL.products,
+      fresh: options.fresh,
+      onUpdate: options.onUpdate && (() => getAllProducts(filters).then(options.onUpdate))
+    });
     
     if (response.success) {
       return {
         success: true,
         products: response.data.products,
-        count: response.data.count
+        count: response.data.count,
+        pagination: normalizePagination(response.data, filters)
       };
     }
     
     throw new Error(response.message || 'Error al obtener productos');
   } catch (error) {
-    console.error('Error al obtener productos:', error);
+    window.logger.error('Error al obtener productos:', error);
     return {
       success: false,
+      status: error.status || 0,
       message: error.message || 'Error al obtener productos',
       products: [],
-      count: 0
+      count: 0,
+      pagination: null
     };
   }
 }
 
+// Datos de paginación: { page, limit, total, totalPages, hasMore }.
+// Si el backend no manda "pagination" se deduce de la cantidad de productos recibidos.
+function normalizePagination(data, filters) {
+  const page = Number(filters.page) || 1;
+  const limit = Number(filters.limit) || data.products.length;
+  const pagination = data.pagination || {};
+  const total = pagination.total ?? data.total ?? null;
+  const totalPages = pagination.totalPages ?? pagination.total_pages ?? (total !== null && limit ? Math.ceil(total / limit) : null);
+  return {
+    page: pagination.page ?? page,
+    limit: pagination.limit ?? limit,
+    total,
+    totalPages,
+    hasMore: totalPages !== null ? page < totalPages : data.products.length >= limit && limit > 0
+  };
+}
+
 // Obtener un producto por ID
-async function getProductById(id) {
+async function getProductById(id, options = {}) {
   try {
-    const response = await apiRequest(`/products/${id}`);
+    const response = await productCache.request(`/products/${id}`, {
+      ttl: PRODUCT_CACHE_TTL.product,
+      fresh: options.fresh,
+      onUpdate: options.onUpdate && (() => getProductById(id).then(options.onUpdate))
+    });
     
     if (response.success) {
       return {
@@ -86,9 +231,10 @@ async function getProductById(id) {
     
     throw new Error(response.message || 'Producto no encontrado');
   } catch (error) {
-    console.error('Error al obtener producto:', error);
+    window.logger.error('Error al obtener producto:', error);
     return {
       success: false,
+      status: error.status || 0,
       message: error.message || 'Error al obtener producto',
       product: null
     };
@@ -96,9 +242,13 @@ async function getProductById(id) {
 }
 
 // Obtener productos por categoría (slug)
-async function getProductsByCategory(slug) {
+async function getProductsByCategory(slug, options = {}) {
   try {
-    const response = await apiRequest(`/products/category/${slug}`);
+    const response = await productCache.request(`/products/category/${slug}`, {
+      ttl: PRODUCT_CACHE_TTL.products,
+      fresh: options.fresh,
+      onUpdate: options.onUpdate && (() => getProductsByCategory(slug).then(options.onUpdate))
+    });
     
     if (response.success) {
       return {
@@ -110,7 +260,7 @@ async function getProductsByCategory(slug) {
     
     throw new Error(response.message || 'Error al obtener productos por categoría');
   } catch (error) {
-    console.error('Error al obtener productos por categoría:', error);
+    window.logger.error('Error al obtener productos por categoría:', error);
     return {
       success: false,
       message: error.message || 'Error al obtener productos por categoría',
@@ -121,9 +271,13 @@ async function getProductsByCategory(slug) {
 }
 
 // Obtener todas las categorías
-async function getAllCategories() {
+async function getAllCategories(options = {}) {
   try {
-    const response = await apiRequest('/categories');
+    const response = await productCache.request('/categories', {
+      ttl: PRODUCT_CACHE_TTL.categories,
+      fresh: options.fresh,
+      onUpdate: options.onUpdate && (() => getAllCategories().then(options.onUpdate))
+    });
     
     if (response.success) {
       return {
@@ -135,7 +289,7 @@ async function getAllCategories() {
     
     throw new Error(response.message || 'Error al obtener categorías');
   } catch (error) {
-    console.error('Error al obtener categorías:', error);
+    window.logger.error('Error al obtener categorías:', error);
     return {
       success: false,
       message: error.message || 'Error al obtener categorías',
@@ -146,9 +300,13 @@ async function getAllCategories() {
 }
 
 // Obtener una categoría por slug
-async function getCategoryBySlug(slug) {
+async function getCategoryBySlug(slug, options = {}) {
   try {
-    const response = await apiRequest(`/categories/${slug}`);
+    const response = await productCache.request(`/categories/${slug}`, {
+      ttl: PRODUCT_CACHE_TTL.categories,
+      fresh: options.fresh,
+      onUpdate: options.onUpdate && (() => getCategoryBySlug(slug).then(options.onUpdate))
+    });
     
     if (response.success) {
       return {
@@ -159,7 +317,7 @@ async function getCategoryBySlug(slug) {
     
     throw new Error(response.message || 'Categoría no encontrada');
   } catch (error) {
-    console.error('Error al obtener categoría:', error);
+    window.logger.error('Error al obtener categoría:', error);
     return {
       success: false,
       message: error.message || 'Error al obtener categoría',
@@ -178,8 +336,83 @@ function getMainImage(product) {
   return mainImage ? mainImage.ruta : product.imagenes[0].ruta;
 }
 
+// Opciones de variante que maneja la tienda, en el orden en que se muestran
+const VARIANT_OPTIONS = [
+  { key: 'talla', label: 'Talla' },
+  { key: 'acabado', label: 'Acabado' },
+  { key: 'piedra', label: 'Piedra' }
+];
+
+function isActiveVariant(variant) {
+  return variant.activo === undefined || variant.activo === true || variant.activo === 1;
+}
+
+// Variante desde la API: { id, sku, talla, acabado, piedra, precio, precio_anterior, stock, imagen, activo }
+// (las opciones también pueden llegar agrupadas en `opciones`). Sin precio propio usa el del producto.
+function formatVariant(apiVariant, apiProduct) {
+  const options = {};
+  VARIANT_OPTIONS.forEach(({ key }) => {
+    const value = apiVariant[key] ?? apiVariant.opciones?.[key];
+    if (value !== undefined && value !== null && value !== '') {
+      options[key] = String(value);
+    }
+  });
+
+  const hasOwnPrice = apiVariant.precio !== undefined && apiVariant.precio !== null;
+  return {
+    id: apiVariant.id,
+    sku: apiVariant.sku || null,
+    options,
+    price: hasOwnPrice ? apiVariant.precio : apiProduct.precio,
+    precio_anterior: hasOwnPrice ? apiVariant.precio_anterior : apiProduct.precio_anterior,
+    stock: apiVariant.stock,
+    image: apiVariant.imagen || null
+  };
+}
+
+// Valores disponibles de cada opción: [{ key, label, values }]. Las tallas numéricas se ordenan de menor a mayor
+function getVariantOptions(variants) {
+  return VARIANT_OPTIONS
+    .map(({ key, label }) => {
+      const values = [...new Set(variants.map(variant => variant.options[key]).filter(Boolean))];
+      if (values.every(value => Number.isFinite(Number(value)))) {
+        values.sort((a, b) => Number(a) - Number(b));
+      }
+      return { key, label, values };
+    })
+    .filter(option => option.values.length > 0);
+}
+
+// Variante que coincide con la selección { talla, acabado, piedra }; null si falta elegir alguna opción
+function findVariant(product, selection) {
+  if (!product || !product.variants) return null;
+  return product.variants.find(variant =>
+    product.options.every(({ key }) => selection[key] && variant.options[key] === selection[key])
+  ) || null;
+}
+
+// Opciones de una variante para mostrar: [{ label: 'Talla', value: '7' }, ...]
+function getVariantLabels(variant) {
+  return VARIANT_OPTIONS
+    .filter(({ key }) => variant.options[key])
+    .map(({ key, label }) => ({ label, value: variant.options[key] }));
+}
+
+// Stock del producto: el suyo o, si no lo trae, la suma del de sus variantes
+function getTotalStock(apiProduct, variants) {
+  if (apiProduct.stock !== undefined && apiProduct.stock !== null) return apiProduct.stock;
+  if (variants.length === 0 || variants.some(variant => variant.stock === undefined || variant.stock === null)) {
+    return apiProduct.stock;
+  }
+  return variants.reduce((total, variant) => total + Number(variant.stock), 0);
+}
+
 // Función helper para formatear producto desde API a formato del frontend
 function formatProductForFrontend(apiProduct) {
+  const variants = (apiProduct.variantes || [])
+    .filter(isActiveVariant)
+    .map(variant => formatVariant(variant, apiProduct));
+
   return {
     id: apiProduct.id,
     name: apiProduct.nombre,
@@ -191,10 +424,21 @@ function formatProductForFrontend(apiProduct) {
     featured: apiProduct.destacado,
     image: getMainImage(apiProduct),
     imagenes: apiProduct.imagenes || [],
-    stock: apiProduct.stock,
+    videos: apiProduct.videos || [],
+    stock: getTotalStock(apiProduct, variants),
+    variants,
+    options: getVariantOptions(variants),
     descripcion_corta: apiProduct.descripcion_corta,
     descripcion_larga: apiProduct.descripcion_larga,
-    slug: apiProduct.slug
+    // Ficha técnica: dimensiones (texto o { largo, ancho, alto, diametro } en mm), peso en gramos,
+    // piedra y su origen, y cuidados (texto o lista)
+    dimensiones: apiProduct.dimensiones || null,
+    peso: apiProduct.peso ?? null,
+    piedra: apiProduct.piedra || null,
+    origen_piedra: apiProduct.origen_piedra || null,
+    cuidados: apiProduct.cuidados || null,
+    slug: apiProduct.slug,
+    createdAt: apiProduct.fecha_creacion || apiProduct.created_at || null
   };
 }
 
@@ -202,8 +446,6 @@ function formatProductForFrontend(apiProduct) {
 // Asegurarse de que window.productService esté disponible
 (function() {
   'use strict';
-  console.log('📦 productService.js cargándose...');
-  
   if (typeof window !== 'undefined') {
     window.productService = {
       getAllProducts,
@@ -212,18 +454,19 @@ function formatProductForFrontend(apiProduct) {
       getAllCategories,
       getCategoryBySlug,
       getMainImage,
-      formatProductForFrontend
+      formatProductForFrontend,
+      findVariant,
+      getVariantLabels,
+      clearCache: productCache.clear
     };
-    console.log('✅ productService exportado a window.productService');
-    console.log('   Funciones disponibles:', Object.keys(window.productService));
     
     // Disparar evento personalizado para notificar que está listo
     if (typeof document !== 'undefined') {
       const event = new CustomEvent('productServiceReady');
       document.dispatchEvent(event);
-      console.log('📢 Evento productServiceReady disparado');
+      window.logger.debug('Evento productServiceReady disparado');
     }
   } else {
-    console.error('❌ window no está disponible, productService no se puede exportar');
+    window.logger.error('window no está disponible, productService no se puede exportar');
   }
 })();
@@ -0,0 +1,209 @@
+// Servicio de promociones - Reglas de descuento evaluadas contra el contenido del carrito
+//
+// Las reglas se cargan de GET /promotions. Mientras no lleguen (o si la API no responde) no se aplica
+// ningún descuento: el backend recalcula las promociones y el carrito no debe prometer uno que no
+// se va a cobrar. Una carga fallida se vuelve a intentar en la siguiente llamada. Tipos de regla:
+//   porcentaje   → { porcentaje, categoria?, material? }   descuento sobre los productos que coinciden
+//   paquete      → { porcentaje, cantidad_minima, categoria? } al llevar N piezas o más
+//   monto_fijo   → { monto }                               descuento fijo sobre el total (normalmente cupón)
+//   envio_gratis → { minimo_compra }                       envío gratis al alcanzar el monto
+// Campos comunes: id, nombre, codigo (si existe, la regla solo aplica con ese cupón),
+// minimo_compra, fecha_inicio, fecha_fin, activo.
+//
+// Los descuentos por porcentaje no se acumulan: cada producto recibe el mayor que le aplique.
+// Los productos en rebaja (precio_anterior mayor al precio) ya tienen su descuento: no reciben
+// porcentajes ni paquetes y no cuentan para cantidad_minima. Los montos fijos (cupones) se restan
+// después sobre todo el carrito, y el envío gratis se evalúa sobre el total con descuento.
+(function() {
+  'use strict';
+
+  let rules = [];
+  let loadPromise = null;
+
+  function normalizeText(value) {
+    return String(value || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  // La regla de envío gratis por defecto sale de appConfig.freeShippingThreshold
+  function getFreeShippingRule() {
+    return {
+      id: 'envio-gratis',
+      tipo: 'envio_gratis',
+      nombre: 'Envío gratis',
+      minimo_compra: window.appConfig.freeShippingThreshold
+    };
+  }
+
+  function isActive(rule, now) {
+    if (rule.activo === false || rule.activo === 0) return false;
+    if (rule.fecha_inicio && new Date(rule.fecha_inicio) > now) return false;
+    if (rule.fecha_fin && new Date(rule.fecha_fin) < now) return false;
+    return true;
+  }
+
+  function isOnSale(item) {
+    return !!item.precio_anterior && Number(item.precio_anterior) > Number(item.price);
+  }
+
+  // Porcentajes y paquetes: solo productos sin rebaja que cumplan categoría y material
+  function matchesItem(rule, item) {
+    if (isOnSale(item)) return false;
+    if (rule.categoria && normalizeText(item.category) !== normalizeText(rule.categoria)) return false;
+    if (rule.material && !normalizeText(item.material).includes(normalizeText(rule.material))) return false;
+    return true;
+  }
+
+  function formatMoney(amount) {
+    return new Intl.NumberFormat('es-MX', { style: 'currency', currency: 'MXN' }).format(amount);
+  }
+
+  function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  // Cargar reglas desde la API (una sola petición aunque se llame varias veces; si falla se reintenta)
+  function loadPromotions() {
+    if (loadPromise) return loadPromise;
+
+    loadPromise = (async () => {
+      try {
+        const response = await window.apiClient.request('/promotions');
+        if (response.success && Array.isArray(response.data.promotions)) {
+          rules = response.data.promotions;
+          return { success: true, promotions: rules };
+        }
+        throw new Error(response.message || 'Error al obtener promociones');
+      } catch (error) {
+        window.logger.warn('No se pudieron cargar las promociones, el carrito queda sin descuentos:', error.message);
+        loadPromise = null;
+        return { success: false, message: error.message, promotions: [] };
+      }
+    })();
+
+    return loadPromise;
+  }
+
+  // Ofertas para la sección #ofertas (titulo, descripcion, imagen, precio, precio_anterior,
+  // categoria_slug o enlace, fecha_inicio, fecha_fin)
+  async function getOffers() {
+    try {
+      const response = await window.apiClient.request('/offers');
+
+      if (response.success) {
+        return {
+          success: true,
+          offers: response.data.offers,
+          count: response.data.count
+        };
+      }
+
+      throw new Error(response.message || 'Error al obtener ofertas');
+    } catch (error) {
+      window.logger.error('Error al obtener ofertas:', error);
+      return {
+        success: false,
+        message: error.message || 'Error al obtener ofertas',
+        offers: [],
+        count: 0
+      };
+    }
+  }
+
+  function getPromotions() {
+    const hasFreeShipping = rules.some(rule => rule.tipo === 'envio_gratis' && !rule.codigo);
+    return hasFreeShipping ? rules.slice() : [...rules, getFreeShippingRule()];
+  }
+
+  function findCoupon(code) {
+    const normalized = normalizeCode(code);
+    if (!normalized) return null;
+    return getPromotions().find(rule => rule.codigo && normalizeCode(rule.codigo) === normalized) || null;
+  }
+
+  // Evaluar las promociones para los items del carrito ({ id, price, precio_anterior, quantity, category, material })
+  function evaluate(items, { couponCode = '', now = new Date() } = {}) {
+    const subtotal = roundMoney(items.reduce((total, item) => total + item.price * item.quantity, 0));
+    const pieces = items.reduce((total, item) => total + item.quantity, 0);
+    const code = normalizeCode(couponCode);
+    const applicable = getPromotions().filter(rule =>
+      isActive(rule, now) &&
+      (!rule.codigo || normalizeCode(rule.codigo) === code) &&
+      (!rule.minimo_compra || rule.tipo === 'envio_gratis' || subtotal >= rule.minimo_compra)
+    );
+
+    const discountsByRule = new Map();
+    const addDiscount = (rule, amount) => {
+      if (amount <= 0) return;
+      const entry = discountsByRule.get(rule.id) || { id: rule.id, nombre: rule.nombre, codigo: rule.codigo || null, monto: 0 };
+      entry.monto = roundMoney(entry.monto + amount);
+      discountsByRule.set(rule.id, entry);
+    };
+
+    // Porcentajes por producto: gana el mayor
+    items.forEach(item => {
+      let best = null;
+      applicable.forEach(rule => {
+        if (rule.tipo !== 'porcentaje' && rule.tipo !== 'paquete') return;
+        if (!matchesItem(rule, item)) return;
+        if (rule.tipo === 'paquete') {
+          const eligible = items.filter(entry => matchesItem(rule, entry)).reduce((total, entry) => total + entry.quantity, 0);
+          if (eligible < rule.cantidad_minima) return;
+        }
+        if (!best || rule.porcentaje > best.porcentaje) {
+          best = rule;
+        }
+      });
+      if (best) {
+        addDiscount(best, item.price * item.quantity * best.porcentaje / 100);
+      }
+    });
+
+    // Montos fijos, sin dejar el total en negativo
+    let remaining = subtotal - Array.from(discountsByRule.values()).reduce((total, d) => total + d.monto, 0);
+    applicable.filter(rule => rule.tipo === 'monto_fijo').forEach(rule => {
+      const amount = Math.min(rule.monto, remaining);
+      addDiscount(rule, amount);
+      remaining -= amount;
+    });
+
+    const discounts = Array.from(discountsByRule.values());
+    const discountTotal = roundMoney(discounts.reduce((total, d) => total + d.monto, 0));
+    const total = roundMoney(subtotal - discountTotal);
+    const freeShipping = applicable.some(rule => rule.tipo === 'envio_gratis' && total >= (rule.minimo_compra || 0));
+
+    // Estado del cupón para mostrarlo en el carrito
+    let coupon = null;
+    if (code) {
+      const rule = findCoupon(code);
+      if (!rule || !isActive(rule, now)) {
+        coupon = { code, valid: false, message: 'El cupón no existe o ya expiró' };
+      } else if (rule.minimo_compra && subtotal < rule.minimo_compra && rule.tipo !== 'envio_gratis') {
+        coupon = { code, valid: false, message: `El cupón aplica en compras desde ${formatMoney(rule.minimo_compra)}` };
+      } else {
+        coupon = { code, valid: true, message: rule.nombre };
+      }
+    }
+
+    return {
+      subtotal,
+      pieces,
+      discounts,
+      discountTotal,
+      total,
+      freeShipping,
+      coupon
+    };
+  }
+
+  window.promotionService = {
+    loadPromotions,
+    getPromotions,
+    getOffers,
+    findCoupon,
+    evaluate
+  };
+})();
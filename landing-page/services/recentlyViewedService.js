@@ -0,0 +1,169 @@
+// Servicio de vistos recientemente - Últimos productos que abrió el cliente (modal o página de producto)
+//
+// Se guardan en localStorage con una copia de lo que muestra la tira (nombre, precio, imagen), así que
+// se pintan sin pedir nada. Con sesión la lista también vive en el perfil (vistos_recientes:
+// [{ producto_id, fecha }], PATCH /api/auth/me) y al iniciar sesión se une con la de este navegador.
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'recentlyViewed';
+  const MAX_ITEMS = 12;
+  // Pasado este tiempo la copia se vuelve a pedir con productService.getProductById
+  const STALE_AFTER = 60 * 60 * 1000;
+  const SYNC_DELAY = 1000;
+
+  let syncTimer = null;
+
+  function isAuthenticated() {
+    return !!window.authService && window.authService.isAuthenticated();
+  }
+
+  // Entradas { id, viewedAt, updatedAt, product } de la más reciente a la más antigua
+  function load() {
+    try {
+      const items = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(items) ? items : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function save(items) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+  }
+
+  // Solo lo necesario para la tira; el producto completo se pide al abrirlo
+  function createSnapshot(product) {
+    return {
+      id: product.id,
+      name: product.name,
+      price: product.price,
+      precio_anterior: product.precio_anterior,
+      image: product.image,
+      stock: product.stock
+    };
+  }
+
+  // Una entrada por producto (la vista más reciente) y como máximo MAX_ITEMS
+  function normalize(items) {
+    const seen = new Set();
+    return items
+      .slice()
+      .sort((a, b) => b.viewedAt - a.viewedAt)
+      .filter(item => {
+        const key = String(item.id);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, MAX_ITEMS);
+  }
+
+  function getItems() {
+    return load();
+  }
+
+  function toAccountList(items) {
+    return items.map(item => ({ producto_id: item.id, fecha: new Date(item.viewedAt).toISOString() }));
+  }
+
+  async function pushToAccount() {
+    if (!isAuthenticated()) return { success: false, message: 'Sin sesión' };
+
+    const result = await window.authService.updateProfile({ vistos_recientes: toAccountList(load()) });
+    if (!result.success) {
+      // Queda en este navegador; se vuelve a enviar con la siguiente vista
+      window.logger.warn('No se pudieron guardar los vistos recientemente en la cuenta:', result.message);
+    }
+    return result;
+  }
+
+  function schedulePush() {
+    if (!isAuthenticated()) return;
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(pushToAccount, SYNC_DELAY);
+  }
+
+  // Registrar una vista de un producto ya formateado (formatProductForFrontend)
+  function track(product) {
+    if (!product || product.id === undefined || product.id === null) return;
+
+    const now = Date.now();
+    save(normalize([{ id: product.id, viewedAt: now, updatedAt: now, product: createSnapshot(product) }, ...load()]));
+    schedulePush();
+  }
+
+  function remove(productId) {
+    save(load().filter(item => String(item.id) !== String(productId)));
+    schedulePush();
+  }
+
+  // Al cerrar sesión la lista se queda con la cuenta
+  function clear() {
+    clearTimeout(syncTimer);
+    localStorage.removeItem(STORAGE_KEY);
+  }
+
+  // Al iniciar sesión: unir la lista de la cuenta (usuario guardado por authService) con la local
+  async function syncWithAccount() {
+    if (!isAuthenticated()) return { success: false, message: 'Sin sesión' };
+
+    const user = window.authService.getStoredUser();
+    const accountItems = ((user && user.vistos_recientes) || [])
+      .map(entry => ({ id: entry.producto_id, viewedAt: Date.parse(entry.fecha) || 0, updatedAt: 0, product: null }))
+      .filter(entry => entry.id !== undefined && entry.id !== null);
+
+    const local = load();
+    // Si un producto está en las dos listas se conserva la copia local
+    const merged = normalize([...local, ...accountItems].map(item => {
+      const copy = local.find(entry => String(entry.id) === String(item.id));
+      return copy && !item.product ? { ...item, product: copy.product, updatedAt: copy.updatedAt } : item;
+    }));
+    save(merged);
+
+    const changed = JSON.stringify(toAccountList(merged)) !== JSON.stringify(toAccountList(normalize(accountItems)));
+    return changed ? pushToAccount() : { success: true };
+  }
+
+  // Volver a pedir las copias viejas (o que llegaron de la cuenta sin copia) y quitar productos que ya
+  // no existen o se desactivaron. Devuelve las entradas con copia.
+  async function refresh() {
+    const now = Date.now();
+    const items = load();
+    const stale = items.filter(item => !item.product || now - (item.updatedAt || 0) > STALE_AFTER);
+    if (stale.length === 0) return items.filter(item => item.product);
+
+    const results = await Promise.all(stale.map(item => window.productService.getProductById(item.id)));
+    const removed = new Set();
+    const updated = new Map();
+    results.forEach((result, index) => {
+      const id = String(stale[index].id);
+      const activo = result.product && result.product.activo;
+      if ((!result.success && result.status === 404) || activo === false || activo === 0) {
+        removed.add(id);
+      } else if (result.success && result.product) {
+        updated.set(id, createSnapshot(window.productService.formatProductForFrontend(result.product)));
+      }
+      // Sin conexión u otro error: se conserva la copia que haya
+    });
+
+    // Releer por si hubo vistas mientras se esperaba al servidor
+    const next = load()
+      .filter(item => !removed.has(String(item.id)))
+      .map(item => updated.has(String(item.id)) ? { ...item, product: updated.get(String(item.id)), updatedAt: now } : item);
+    save(next);
+    if (removed.size > 0) schedulePush();
+
+    return next.filter(item => item.product);
+  }
+
+  window.recentlyViewedService = {
+    MAX_ITEMS,
+    getItems,
+    track,
+    remove,
+    clear,
+    refresh,
+    syncWithAccount
+  };
+})();
@@ -0,0 +1,145 @@
+// Servicio de recomendaciones - "También te puede gustar" y "Completa el conjunto"
+//
+// Se calculan en el navegador sobre el catálogo ya cargado (productos formateados):
+//   relacionados → misma categoría (+3), material (+2) y color (+1); desempate por destacados y rebajas
+//   conjunto     → piezas de otra categoría que comparten piedra (turquesa, amatista…), y material si coincide
+//
+// Si el backend define recomendaciones para un producto o un carrito, esas mandan:
+//   GET /products/:id/recommendations    GET /recommendations?productos=1,2,3
+// Ambos responden { relacionados: [...], conjunto: [...] } con productos de la API. Un 404 o una
+// lista vacía dejan el cálculo local.
+(function() {
+  'use strict';
+
+  const STONES = ['turquesa', 'amatista', 'labradorita', 'ojo de tigre', 'cuarzo', 'jade', 'obsidiana', 'onix', 'ambar', 'opalo'];
+  const DEFAULT_LIMIT = 4;
+
+  function normalizeText(value) {
+    return String(value || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[_-]+/g, ' ');
+  }
+
+  function isInStock(product) {
+    return product.stock === undefined || product.stock === null || Number(product.stock) > 0;
+  }
+
+  // Piedras de una pieza: campo `piedra`, opciones de variante (o la elegida, en una línea del carrito)
+  // y, si no hay, su nombre o slug (p. ej. "conjunto_turquesa")
+  function getStones(product) {
+    const stoneOption = (product.options || []).find(option => option.key === 'piedra');
+    const chosenStone = (product.variantOptions || []).find(option => option.label === 'Piedra');
+    const declared = [product.piedra, ...(stoneOption ? stoneOption.values : []), chosenStone && chosenStone.value]
+      .map(normalizeText)
+      .filter(Boolean);
+    const text = declared.length > 0 ? declared.join(' ') : normalizeText(`${product.name} ${product.slug}`);
+    return STONES.filter(stone => text.includes(stone));
+  }
+
+  function sameValue(a, b) {
+    return !!a && normalizeText(a) === normalizeText(b);
+  }
+
+  function getCandidates(catalog, excludeIds) {
+    const excluded = new Set(excludeIds.map(String));
+    return catalog.filter(candidate => !excluded.has(String(candidate.id)) && isInStock(candidate));
+  }
+
+  function byScore(a, b) {
+    return b.score - a.score;
+  }
+
+  function scoreRelated(product, candidate) {
+    let score = 0;
+    if (sameValue(candidate.category, product.category)) score += 3;
+    if (sameValue(candidate.material, product.material)) score += 2;
+    if (sameValue(candidate.color, product.color)) score += 1;
+    if (score === 0) return 0;
+    if (candidate.featured) score += 0.5;
+    if (Number(candidate.precio_anterior) > Number(candidate.price)) score += 0.25;
+    return score;
+  }
+
+  function scoreSetPiece(product, candidate, stones) {
+    if (sameValue(candidate.category, product.category)) return 0;
+    const shared = getStones(candidate).filter(stone => stones.includes(stone)).length;
+    if (shared === 0) return 0;
+    return shared * 3 + (sameValue(candidate.material, product.material) ? 1 : 0);
+  }
+
+  // Mejores `limit` candidatos según la suma de puntajes contra cada producto de referencia
+  function rank(products, candidates, scorer, limit) {
+    return candidates
+      .map(candidate => ({
+        product: candidate,
+        score: products.reduce((total, product) => total + scorer(product, candidate), 0)
+      }))
+      .filter(entry => entry.score > 0)
+      .sort(byScore)
+      .slice(0, limit)
+      .map(entry => entry.product);
+  }
+
+  // Cálculo local para uno o varios productos de referencia (página de producto o carrito)
+  function computeRecommendations(products, catalog, { limit = DEFAULT_LIMIT } = {}) {
+    const excludeIds = products.map(product => product.id);
+    const completeSet = rank(products, getCandidates(catalog, excludeIds), (product, candidate) =>
+      scoreSetPiece(product, candidate, getStones(product)), limit);
+
+    // Lo que ya aparece en el conjunto no se repite en relacionados
+    const related = rank(products, getCandidates(catalog, [...excludeIds, ...completeSet.map(item => item.id)]), scoreRelated, limit);
+    return { related, completeSet };
+  }
+
+  // Recomendaciones del servidor ya formateadas; null si no hay (404, sin conexión o listas vacías)
+  async function fetchServerRecommendations(endpoint) {
+    try {
+      const response = await window.apiClient.request(endpoint);
+      if (!response.success || !response.data) return null;
+
+      const format = list => (list || []).map(item => window.productService.formatProductForFrontend(item));
+      const related = format(response.data.relacionados);
+      const completeSet = format(response.data.conjunto);
+      return related.length > 0 || completeSet.length > 0 ? { related, completeSet } : null;
+    } catch (error) {
+      if (error.status !== 404) {
+        window.logger.warn('Recomendaciones del servidor no disponibles, se calculan localmente:', error.message);
+      }
+      return null;
+    }
+  }
+
+  async function getRecommendations(product, catalog, options = {}) {
+    const server = await fetchServerRecommendations(`/products/${encodeURIComponent(product.id)}/recommendations`);
+    if (server) {
+      return { success: true, source: 'server', ...server };
+    }
+    return { success: true, source: 'local', ...computeRecommendations([product], catalog, options) };
+  }
+
+  // Para el carrito: piezas que combinan con lo que ya lleva
+  async function getCartRecommendations(items, catalog, options = {}) {
+    if (items.length === 0) {
+      return { success: true, source: 'local', related: [], completeSet: [] };
+    }
+
+    const ids = [...new Set(items.map(item => item.id))];
+    const server = await fetchServerRecommendations(`/recommendations?productos=${ids.map(encodeURIComponent).join(',')}`);
+    if (server) {
+      // El servidor no conoce el carrito local al momento: quitar lo que ya está en él
+      const inCart = new Set(ids.map(String));
+      const notInCart = list => list.filter(product => !inCart.has(String(product.id)));
+      return { success: true, source: 'server', related: notInCart(server.related), completeSet: notInCart(server.completeSet) };
+    }
+
+    // El carrito tiene líneas por variante: una referencia por producto
+    const products = ids.map(id => items.find(item => item.id === id));
+    return { success: true, source: 'local', ...computeRecommendations(products, catalog, options) };
+  }
+
+  window.recommendationService = {
+    STONES,
+    getStones,
+    computeRecommendations,
+    getRecommendations,
+    getCartRecommendations
+  };
+})();
@@ -0,0 +1,96 @@
+// Servicio de tallas de anillo - Tabla de equivalencias y cálculo de talla a partir de una medida
+//
+// En México se usa la misma numeración que en EE. UU.; la talla europea es la circunferencia
+// interior en milímetros (ISO 8653). Diámetro interior de una talla US: 11.63 + 0.8128 × talla.
+//
+// La talla elegida se recuerda en localStorage y, con sesión, en el perfil (talla_anillo).
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'ringSize';
+  const SIZES = [4, 4.5, 5, 5.5, 6, 6.5, 7, 7.5, 8, 8.5, 9, 9.5, 10, 10.5, 11, 11.5, 12, 12.5, 13];
+  // Una medida a más de medio milímetro de la talla más cercana queda fuera de la tabla
+  const MAX_DIAMETER_ERROR = 0.5;
+
+  const TABLE = SIZES.map(size => {
+    const diameter = 11.63 + 0.8128 * size;
+    const circumference = Math.PI * diameter;
+    return {
+      mx: size,
+      us: size,
+      eu: Math.round(circumference),
+      diameter: Math.round(diameter * 10) / 10,
+      circumference: Math.round(circumference * 10) / 10
+    };
+  });
+
+  // Filas { mx, us, eu, diameter, circumference } de menor a mayor
+  function getSizeTable() {
+    return TABLE.map(row => ({ ...row }));
+  }
+
+  function getSize(mx) {
+    return TABLE.find(row => row.mx === Number(mx)) || null;
+  }
+
+  // Talla más cercana a un diámetro interior en mm; null si la medida no es válida o queda fuera de la tabla
+  function sizeFromDiameter(diameter) {
+    const value = Number(diameter);
+    if (!Number.isFinite(value) || value <= 0) return null;
+
+    const closest = TABLE.reduce((best, row) =>
+      Math.abs(row.diameter - value) < Math.abs(best.diameter - value) ? row : best
+    );
+    return Math.abs(closest.diameter - value) <= MAX_DIAMETER_ERROR ? { ...closest } : null;
+  }
+
+  // Circunferencia medida con un hilo o tira de papel alrededor del dedo, en mm
+  function sizeFromCircumference(circumference) {
+    const value = Number(circumference);
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return sizeFromDiameter(value / Math.PI);
+  }
+
+  // Valor de talla de una variante ('7', '7.5', 'Talla 7'…) que corresponde a la talla MX; null si no hay
+  function findSizeValue(values, mx) {
+    return values.find(value => {
+      const match = String(value).replace(',', '.').match(/\d+(\.\d+)?/);
+      return match && Number(match[0]) === Number(mx);
+    }) || null;
+  }
+
+  // Talla guardada: la del perfil con sesión, si no la de este navegador
+  function getPreferredSize() {
+    const user = window.authService && window.authService.isAuthenticated() ? window.authService.getStoredUser() : null;
+    const value = (user && user.talla_anillo) || localStorage.getItem(STORAGE_KEY);
+    return getSize(value) ? Number(value) : null;
+  }
+
+  async function savePreferredSize(mx) {
+    if (!getSize(mx)) {
+      return { success: false, message: 'Talla no válida' };
+    }
+
+    localStorage.setItem(STORAGE_KEY, String(mx));
+    if (!window.authService || !window.authService.isAuthenticated()) {
+      return { success: true };
+    }
+
+    const result = await window.authService.updateProfile({ talla_anillo: Number(mx) });
+    if (!result.success) {
+      // Queda guardada en este navegador; se vuelve a intentar la próxima vez que se elija
+      window.logger.warn('No se pudo guardar la talla en el perfil:', result.message);
+    }
+    return { success: true, synced: result.success };
+  }
+
+  window.ringSizeService = {
+    getSizeTable,
+    getSize,
+    sizeFromDiameter,
+    sizeFromCircumference,
+    findSizeValue,
+    getPreferredSize,
+    savePreferredSize
+  };
+})();
@@ -0,0 +1,154 @@
+// Servicio de búsqueda - Índice en el cliente construido a partir de PRODUCTS
+//
+// Ignora acentos y mayúsculas ("ópalo" = "opalo"), tolera errores de dedo pequeños
+// ("plat" o "palta" encuentran "plata") y ordena por relevancia según el campo donde
+// coincide cada palabra. Todas las palabras de la búsqueda deben coincidir en algún campo.
+(function() {
+  'use strict';
+
+  // Peso de cada campo del producto formateado
+  const FIELDS = [
+    { key: 'name', weight: 5 },
+    { key: 'category', weight: 3 },
+    { key: 'material', weight: 3 },
+    { key: 'color', weight: 2 },
+    { key: 'descripcion_corta', weight: 1.5 },
+    { key: 'descripcion_larga', weight: 1 }
+  ];
+
+  let cache = { products: null, length: 0, index: null };
+
+  function normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  function tokenize(text) {
+    const normalized = normalize(text);
+    return normalized ? normalized.split(' ') : [];
+  }
+
+  // Distancia de edición con transposiciones; se corta en cuanto supera `max`
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, prevPrev[j - 2] + 1);
+        }
+        current[j] = value;
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = current;
+    }
+    return prev[b.length];
+  }
+
+  // Errores permitidos según el largo de la palabra buscada
+  function allowedTypos(term) {
+    if (term.length >= 7) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+  }
+
+  // Qué tan bien coincide una palabra de la búsqueda con una palabra del índice (0 a 1)
+  function scoreToken(term, token) {
+    if (token === term) return 1;
+    if (token.startsWith(term)) return 0.8;
+    if (term.length >= 3 && token.includes(term)) return 0.6;
+    const typos = allowedTypos(term);
+    if (typos === 0) return 0;
+    // Comparar también contra el prefijo para tolerar errores mientras se escribe
+    const distance = Math.min(
+      editDistance(term, token, typos),
+      token.length > term.length ? editDistance(term, token.slice(0, term.length), typos) : typos + 1
+    );
+    return distance <= typos ? 0.5 - (distance - 1) * 0.1 : 0;
+  }
+
+  function buildIndex(products) {
+    return products.map(product => ({
+      product,
+      fields: FIELDS.map(field => ({ weight: field.weight, tokens: tokenize(product[field.key]) }))
+    }));
+  }
+
+  // Índice reutilizable mientras no cambie el arreglo de productos
+  function getIndex(products) {
+    if (cache.products !== products || cache.length !== products.length) {
+      cache = { products, length: products.length, index: buildIndex(products) };
+    }
+    return cache.index;
+  }
+
+  function scoreEntry(entry, terms) {
+    let total = 0;
+    for (const term of terms) {
+      let best = 0;
+      for (const field of entry.fields) {
+        for (const token of field.tokens) {
+          const score = scoreToken(term, token) * field.weight;
+          if (score > best) best = score;
+        }
+      }
+      if (best === 0) return 0;
+      total += best;
+    }
+    return total;
+  }
+
+  // Productos que coinciden con la búsqueda, de mayor a menor relevancia
+  function search(products, query, { limit = Infinity } = {}) {
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    return getIndex(products)
+      .map(entry => ({ product: entry.product, score: scoreEntry(entry, terms) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Puntuación por id de producto (para filtrar y ordenar en el catálogo). Una búsqueda sin palabras
+  // ("!!", "-") cuenta como vacía: null, sin filtrar
+  function getScores(products, query) {
+    if (tokenize(query).length === 0) return null;
+    return new Map(search(products, query).map(result => [result.product.id, result.score]));
+  }
+
+  // Sugerencias para el autocompletado: productos y categorías que coinciden
+  function suggest(products, query, { limit = 5 } = {}) {
+    const results = search(products, query);
+    const categories = new Map();
+    results.forEach(({ product }) => {
+      if (!product.category) return;
+      const entry = categories.get(product.category) || { slug: product.category, count: 0 };
+      entry.count++;
+      categories.set(product.category, entry);
+    });
+
+    return {
+      products: results.slice(0, limit).map(result => result.product),
+      categories: Array.from(categories.values()).sort((a, b) => b.count - a.count).slice(0, 3)
+    };
+  }
+
+  window.searchService = {
+    normalize,
+    search,
+    getScores,
+    suggest
+  };
+})();
@@ -0,0 +1,224 @@
+// Servicio de avisos de disponibilidad - "Avísame cuando vuelva" y, opcionalmente, si baja de precio
+//
+// Endpoints (mismo formato en el backend real y en el simulado):
+//   POST   /stock-alerts       { producto_id, variante_id, email, tipos: ['stock', 'precio'] } → { alerta }
+//   GET    /stock-alerts       avisos del usuario con sesión → { alertas }
+//   DELETE /stock-alerts/:id
+// Con sesión el backend toma el correo del usuario y `email` puede omitirse.
+//
+// appConfig.stockAlertBackend elige a dónde van las peticiones: 'api' (window.apiClient, por defecto) o
+// 'local', un backend simulado en localStorage para probar el flujo sin servidor (solo en el env.js de desarrollo).
+(function() {
+  'use strict';
+
+  const ALERT_TYPES = ['stock', 'precio'];
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  /* ============================================
+     BACKEND SIMULADO (localStorage)
+     ============================================ */
+
+  const MOCK_STORAGE_KEY = 'stockAlertsMock';
+
+  function createLocalBackend() {
+    function load() {
+      try {
+        const alerts = JSON.parse(localStorage.getItem(MOCK_STORAGE_KEY) || '[]');
+        return Array.isArray(alerts) ? alerts : [];
+      } catch {
+        return [];
+      }
+    }
+
+    function save(alerts) {
+      localStorage.setItem(MOCK_STORAGE_KEY, JSON.stringify(alerts));
+    }
+
+    // Mismos errores que devolvería window.apiClient.request
+    function fail(status, message) {
+      throw new window.apiClient.ApiError(message, status, { success: false, message });
+    }
+
+    function getSessionEmail() {
+      const user = window.authService && window.authService.isAuthenticated() ? window.authService.getStoredUser() : null;
+      return user && user.email ? String(user.email).toLowerCase() : null;
+    }
+
+    function create(body) {
+      const email = String(body.email || getSessionEmail() || '').trim().toLowerCase();
+      if (!body.producto_id) fail(400, 'Falta el producto');
+      if (!EMAIL_PATTERN.test(email)) fail(422, 'Ingresa un correo válido');
+
+      const tipos = (body.tipos || ['stock']).filter(type => ALERT_TYPES.includes(type));
+      const alerts = load();
+      const existing = alerts.find(alert =>
+        String(alert.producto_id) === String(body.producto_id) &&
+        String(alert.variante_id || '') === String(body.variante_id || '') &&
+        alert.email === email
+      );
+
+      // Suscribirse otra vez solo agrega los tipos nuevos
+      if (existing) {
+        existing.tipos = [...new Set([...existing.tipos, ...tipos])];
+        save(alerts);
+        return { success: true, data: { alerta: existing, existente: true } };
+      }
+
+      const alerta = {
+        id: `sa_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        producto_id: body.producto_id,
+        variante_id: body.variante_id || null,
+        email,
+        tipos: tipos.length > 0 ? tipos : ['stock'],
+        fecha: new Date().toISOString()
+      };
+      save([...alerts, alerta]);
+      return { success: true, data: { alerta } };
+    }
+
+    return async function request(endpoint, options = {}) {
+      const method = (options.method || 'GET').toUpperCase();
+      const path = endpoint.split('?')[0];
+
+      if (path === '/stock-alerts' && method === 'POST') {
+        return create(options.body ? JSON.parse(options.body) : {});
+      }
+
+      if (path === '/stock-alerts' && method === 'GET') {
+        const email = getSessionEmail();
+        if (!email) fail(401, 'Inicia sesión para ver tus avisos');
+        return { success: true, data: { alertas: load().filter(alert => alert.email === email) } };
+      }
+
+      const match = path.match(/^\/stock-alerts\/([^/]+)$/);
+      if (match && method === 'DELETE') {
+        const alerts = load();
+        const id = decodeURIComponent(match[1]);
+        const alert = alerts.find(entry => entry.id === id);
+        if (!alert) fail(404, 'Aviso no encontrado');
+        if (alert.email !== getSessionEmail()) fail(403, 'Este aviso no es tuyo');
+        save(alerts.filter(entry => entry.id !== id));
+        return { success: true, data: {} };
+      }
+
+      fail(404, 'Ruta no encontrada');
+    };
+  }
+
+  /* ============================================
+     API PÚBLICA
+     ============================================ */
+
+  const localRequest = createLocalBackend();
+
+  function getBackend() {
+    return window.appConfig.stockAlertBackend === 'local' ? 'local' : 'api';
+  }
+
+  function request(endpoint, options) {
+    return getBackend() === 'api' ? window.apiClient.request(endpoint, options) : localRequest(endpoint, options);
+  }
+
+  // Aviso de la API → { id, productId, variantId, email, types, createdAt }
+  function normalizeAlert(alerta) {
+    return {
+      id: alerta.id,
+      productId: alerta.producto_id,
+      variantId: alerta.variante_id || null,
+      email: alerta.email || null,
+      types: alerta.tipos || ['stock'],
+      createdAt: alerta.fecha || null
+    };
+  }
+
+  // email solo hace falta sin sesión; types: 'stock' (cuando vuelva) y 'precio' (si baja de precio)
+  async function subscribe({ productId, variantId = null, email = null, types = ['stock'] }) {
+    try {
+      const response = await request('/stock-alerts', {
+        method: 'POST',
+        body: JSON.stringify({
+          producto_id: productId,
+          variante_id: variantId,
+          email: email || undefined,
+          tipos: types
+        })
+      });
+
+      if (response.success) {
+        return {
+          success: true,
+          alert: normalizeAlert(response.data.alerta),
+          alreadySubscribed: !!response.data.existente
+        };
+      }
+
+      throw new Error(response.message || 'Error al crear el aviso');
+    } catch (error) {
+      window.logger.error('Error al suscribirse al aviso de disponibilidad:', error);
+      return {
+        success: false,
+        status: error.status || 0,
+        message: error.isNetworkError
+          ? 'Sin conexión. Intenta de nuevo en un momento.'
+          : (error.message || 'Error al crear el aviso')
+      };
+    }
+  }
+
+  // Avisos del usuario con sesión
+  async function getSubscriptions() {
+    try {
+      const response = await request('/stock-alerts');
+
+      if (response.success) {
+        return {
+          success: true,
+          alerts: (response.data.alertas || []).map(normalizeAlert)
+        };
+      }
+
+      throw new Error(response.message || 'Error al obtener los avisos');
+    } catch (error) {
+      window.logger.error('Error al obtener avisos de disponibilidad:', error);
+      return {
+        success: false,
+        status: error.status || 0,
+        message: error.message || 'Error al obtener los avisos',
+        alerts: []
+      };
+    }
+  }
+
+  async function unsubscribe(alertId) {
+    try {
+      const response = await request(`/stock-alerts/${encodeURIComponent(alertId)}`, {
+        method: 'DELETE'
+      });
+
+      if (response.success) {
+        return { success: true };
+      }
+
+      throw new Error(response.message || 'Error al cancelar el aviso');
+    } catch (error) {
+      // Ya no existía: el resultado es el mismo
+      if (error.status === 404) {
+        return { success: true };
+      }
+      window.logger.error('Error al cancelar aviso de disponibilidad:', error);
+      return {
+        success: false,
+        status: error.status || 0,
+        message: error.message || 'Error al cancelar el aviso'
+      };
+    }
+  }
+
+  window.stockAlertService = {
+    ALERT_TYPES,
+    getBackend,
+    subscribe,
+    getSubscriptions,
+    unsubscribe
+  };
+})();
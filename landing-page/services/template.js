@@ -0,0 +1,124 @@
+// Plantillas HTML con escape automático - Para todo lo que se inserta con innerHTML
+//
+//   el.innerHTML = html`<h3>${product.name}</h3><img src="${safeUrl(product.image)}">`;
+//
+// Cada valor interpolado se escapa (también dentro de atributos entre comillas). Otro html``
+// o un arreglo de ellos se inserta tal cual, así que las plantillas se pueden anidar:
+//
+//   html`<ul>${items.map(item => html`<li>${item.name}</li>`)}</ul>`
+//
+// raw() marca como seguro HTML que no viene de la API (p. ej. un SVG armado en el código).
+// richText() acepta el HTML de las descripciones de la API quitando todo lo que no sea formato básico.
+(function() {
+  'use strict';
+
+  const ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+  };
+
+  // HTML ya escapado o de confianza
+  class SafeHTML {
+    constructor(value) {
+      this.value = value;
+    }
+
+    toString() {
+      return this.value;
+    }
+  }
+
+  function escapeHTML(value) {
+    return String(value).replace(/[&<>"'`]/g, char => ENTITIES[char]);
+  }
+
+  function renderValue(value) {
+    if (value instanceof SafeHTML) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHTML(value);
+  }
+
+  function html(strings, ...values) {
+    let out = strings[0];
+    values.forEach((value, index) => {
+      out += renderValue(value) + strings[index + 1];
+    });
+    return new SafeHTML(out);
+  }
+
+  function raw(value) {
+    return new SafeHTML(String(value));
+  }
+
+  // URLs para src/href: solo http(s), rutas relativas e imágenes data:. Cualquier otra
+  // (javascript:, vbscript:, data:text/html…) se reemplaza por `fallback`
+  function safeUrl(url, fallback = '') {
+    const value = String(url || '').trim();
+    if (!value) return fallback;
+    if (/^data:image\/(png|jpe?g|gif|webp|svg\+xml)[;,]/i.test(value)) return value;
+
+    // Los navegadores ignoran tabs y saltos de línea dentro del esquema ("java\tscript:")
+    const scheme = value.replace(/[\u0000-\u0020]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !['http', 'https'].includes(scheme[1].toLowerCase())) {
+      return fallback;
+    }
+    return value;
+  }
+
+  // Etiquetas que se conservan en textos enriquecidos; las demás se quitan dejando su texto
+  const RICH_TEXT_TAGS = ['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li', 'h3', 'h4', 'blockquote', 'a'];
+  // Estas se quitan con todo su contenido
+  const RICH_TEXT_DROP = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript'];
+
+  function sanitizeChildren(node) {
+    return Array.from(node.childNodes).map(sanitizeNode).join('');
+  }
+
+  // Sin atributos, salvo href (revisado con safeUrl) en los enlaces
+  function sanitizeNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) return escapeHTML(node.textContent);
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const tag = node.tagName.toLowerCase();
+    if (RICH_TEXT_DROP.includes(tag)) return '';
+    if (tag === 'br') return '<br>';
+
+    const content = sanitizeChildren(node);
+    if (!RICH_TEXT_TAGS.includes(tag)) return content;
+    if (tag === 'a') {
+      const href = safeUrl(node.getAttribute('href'));
+      return href ? `<a href="${escapeHTML(href)}" target="_blank" rel="noopener">${content}</a>` : content;
+    }
+    return `<${tag}>${content}</${tag}>`;
+  }
+
+  // Texto enriquecido de la API. Si es texto plano, una línea en blanco separa párrafos.
+  // DOMParser crea un documento inerte: no ejecuta scripts ni carga imágenes al analizar.
+  function richText(value) {
+    const source = String(value || '').trim();
+    if (!source) return new SafeHTML('');
+
+    if (!/<[a-z][\s\S]*>/i.test(source)) {
+      return new SafeHTML(source
+        .split(/\n\s*\n/)
+        .map(paragraph => `<p>${escapeHTML(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+        .join(''));
+    }
+
+    const doc = new DOMParser().parseFromString(source, 'text/html');
+    return new SafeHTML(sanitizeChildren(doc.body));
+  }
+
+  window.template = {
+    html,
+    raw,
+    richText,
+    escapeHTML,
+    safeUrl
+  };
+})();
@@ -0,0 +1,198 @@
+// Servicio de favoritos - Sincroniza los favoritos de usuarios autenticados con /api/wishlist
+// Las peticiones pasan por window.apiClient (services/apiClient.js)
+//
+// Sin sesión los favoritos viven en localStorage (ver Wishlist en main.js). Cada favorito guarda una copia
+// de precio y stock del momento en que se revisó por última vez, para avisar si baja de precio o vuelve.
+
+// Copia de lo que muestra la lista de favoritos y de lo que se compara al revisar cambios
+function createWishlistSnapshot(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    price: Number(product.price),
+    precio_anterior: product.precio_anterior || null,
+    image: product.image,
+    stock: product.stock === undefined ? null : product.stock
+  };
+}
+
+// Convertir la respuesta del backend a [{ id, addedAt, product }]
+function normalizeServerWishlist(wishlist) {
+  const items = (wishlist && wishlist.items) || [];
+  return items.map(item => ({
+    id: item.producto_id || item.id,
+    addedAt: Date.parse(item.fecha) || Date.now(),
+    product: item.producto
+      ? createWishlistSnapshot(window.productService.formatProductForFrontend(item.producto))
+      : null
+  }));
+}
+
+// Obtener los favoritos del usuario autenticado
+async function getServerWishlist() {
+  try {
+    const response = await window.apiClient.request('/wishlist');
+
+    if (response.success) {
+      return {
+        success: true,
+        items: normalizeServerWishlist(response.data.wishlist)
+      };
+    }
+
+    throw new Error(response.message || 'Error al obtener los favoritos');
+  } catch (error) {
+    window.logger.error('Error al obtener favoritos del servidor:', error);
+    return {
+      success: false,
+      status: error.status || 0,
+      message: error.message || 'Error al obtener los favoritos',
+      items: []
+    };
+  }
+}
+
+// Reemplazar los favoritos del servidor (al unir los de invitado con los de la cuenta)
+async function saveServerWishlist(items) {
+  try {
+    const response = await window.apiClient.request('/wishlist', {
+      method: 'PUT',
+      body: JSON.stringify({
+        items: items.map(item => ({
+          producto_id: item.id,
+          fecha: new Date(item.addedAt).toISOString()
+        }))
+      })
+    });
+
+    if (response.success) {
+      return {
+        success: true,
+        items: normalizeServerWishlist(response.data.wishlist)
+      };
+    }
+
+    throw new Error(response.message || 'Error al guardar los favoritos');
+  } catch (error) {
+    window.logger.error('Error al guardar favoritos en el servidor:', error);
+    return {
+      success: false,
+      status: error.status || 0,
+      message: error.message || 'Error al guardar los favoritos',
+      items: []
+    };
+  }
+}
+
+async function addServerWishlistItem(productId) {
+  try {
+    const response = await window.apiClient.request('/wishlist', {
+      method: 'POST',
+      body: JSON.stringify({ producto_id: productId })
+    });
+
+    if (response.success) {
+      return { success: true };
+    }
+
+    throw new Error(response.message || 'Error al agregar a favoritos');
+  } catch (error) {
+    window.logger.error('Error al agregar favorito en el servidor:', error);
+    return {
+      success: false,
+      status: error.status || 0,
+      message: error.message || 'Error al agregar a favoritos'
+    };
+  }
+}
+
+async function removeServerWishlistItem(productId) {
+  try {
+    const response = await window.apiClient.request(`/wishlist/${encodeURIComponent(productId)}`, {
+      method: 'DELETE'
+    });
+
+    if (response.success) {
+      return { success: true };
+    }
+
+    throw new Error(response.message || 'Error al quitar de favoritos');
+  } catch (error) {
+    // Ya no estaba en el servidor: el resultado es el mismo
+    if (error.status === 404) {
+      return { success: true };
+    }
+    window.logger.error('Error al quitar favorito en el servidor:', error);
+    return {
+      success: false,
+      status: error.status || 0,
+      message: error.message || 'Error al quitar de favoritos'
+    };
+  }
+}
+
+// Unir los favoritos de invitado con los de la cuenta; si está en ambos se conserva la fecha más antigua
+function mergeWishlistItems(localItems, serverItems) {
+  const merged = new Map();
+  [...serverItems, ...localItems].forEach(item => {
+    const key = String(item.id);
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...item });
+    } else {
+      existing.addedAt = Math.min(existing.addedAt, item.addedAt);
+      existing.product = existing.product || item.product;
+    }
+  });
+  return Array.from(merged.values()).sort((a, b) => b.addedAt - a.addedAt);
+}
+
+// Revisar los favoritos contra el catálogo actual. Devuelve los favoritos con su copia actualizada
+// (los que ya no existen se quitan) y los avisos { id, type: 'on_sale' | 'back_in_stock', product }
+async function checkWishlistItems(items) {
+  const results = await Promise.all(items.map(item => window.productService.getProductById(item.id)));
+  const notices = [];
+  const removed = [];
+
+  const checked = items.map((item, index) => {
+    const result = results[index];
+    const activo = result.product && result.product.activo;
+    if ((!result.success && result.status === 404) || activo === false || activo === 0) {
+      removed.push(item.id);
+      return null;
+    }
+    // Sin conexión u otro error: se conserva la copia que haya
+    if (!result.success || !result.product) return item;
+
+    const product = createWishlistSnapshot(window.productService.formatProductForFrontend(result.product));
+    const previous = item.product;
+    if (previous) {
+      const onSale = product.precio_anterior && Number(product.precio_anterior) > product.price;
+      if (onSale && product.price < Number(previous.price)) {
+        notices.push({ id: item.id, type: 'on_sale', product, previousPrice: Number(previous.price) });
+      }
+      const wasOutOfStock = previous.stock !== null && Number(previous.stock) <= 0;
+      if (wasOutOfStock && (product.stock === null || Number(product.stock) > 0)) {
+        notices.push({ id: item.id, type: 'back_in_stock', product });
+      }
+    }
+    return { ...item, product };
+  }).filter(Boolean);
+
+  return {
+    success: true,
+    items: checked,
+    removed,
+    notices
+  };
+}
+
+window.wishlistService = {
+  createWishlistSnapshot,
+  getServerWishlist,
+  saveServerWishlist,
+  addServerWishlistItem,
+  removeServerWishlistItem,
+  mergeWishlistItems,
+  checkWishlistItems
+};
@@ -0,0 +1,179 @@
+// Service worker - Tienda disponible sin conexión e instalable
+//
+// Estrategias:
+//   páginas (navegación)       → red primero; sin conexión la última copia o index.html
+//   env.js                      → red primero (la configuración del despliegue no debe quedar vieja)
+//   archivos propios (css, js)  → respuesta guardada al instante y actualización en segundo plano
+//   imágenes                    → caché primero (guarda hasta MAX_IMAGES)
+//   catálogo de la API (GET)    → red primero; sin conexión la última respuesta guardada
+// El resto de la API (carrito, pedidos, sesión) nunca se guarda.
+//
+// La URL base de la API llega como parámetro al registrar: sw.js?api=http://localhost:3000/api
+'use strict';
+
+// Cambiar la versión al modificar SHELL_FILES para descartar las cachés anteriores
+const CACHE_VERSION = 'v11';
+const SHELL_CACHE = `xolito-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `xolito-runtime-${CACHE_VERSION}`;
+const IMAGE_CACHE = `xolito-images-${CACHE_VERSION}`;
+const API_CACHE = `xolito-api-${CACHE_VERSION}`;
+const MAX_IMAGES = 150;
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'style.css',
+  'main.js',
+  'carousels.js',
+  'gallery.js',
+  'medidor-anillos.html',
+  'ring-sizer.js',
+  'manifest.webmanifest',
+  'services/config.js',
+  'services/csp.js',
+  'services/logger.js',
+  'services/template.js',
+  'services/apiClient.js',
+  'services/authService.js',
+  'services/ringSizeService.js',
+  'services/productService.js',
+  'services/cartService.js',
+  'services/wishlistService.js',
+  'services/stockAlertService.js',
+  'services/promotionService.js',
+  'services/searchService.js',
+  'services/catalogFilterService.js',
+  'services/orderService.js',
+  'services/paymentService.js',
+  'services/recommendationService.js',
+  'services/recentlyViewedService.js',
+  'assets/logo.svg',
+  'assets/Logos/logo3.jpeg',
+  'assets/Logos/logo3.png',
+  'assets/icons/icon-192.png',
+  'assets/icons/icon-512.png'
+];
+
+// Endpoints públicos del catálogo que se pueden servir sin conexión
+const CACHEABLE_API_PATHS = [/^\/products(\/|$)/, /^\/categories(\/|$)/, /^\/promotions$/, /^\/offers$/];
+
+const API_BASE_URL = new URL(self.location).searchParams.get('api') || '';
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const current = [SHELL_CACHE, RUNTIME_CACHE, IMAGE_CACHE, API_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith('xolito-') && !current.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function getApiPath(url) {
+  if (!API_BASE_URL || !url.startsWith(API_BASE_URL)) return null;
+  return new URL(url).pathname.slice(new URL(API_BASE_URL).pathname.replace(/\/$/, '').length) || '/';
+}
+
+// Borrar las imágenes más antiguas al pasar el límite
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  if (keys.length > maxEntries) {
+    await Promise.all(keys.slice(0, keys.length - maxEntries).map(key => cache.delete(key)));
+  }
+}
+
+async function networkFirst(request, cacheName, fallbackUrl = null) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    // Ignorar encabezados como If-None-Match al buscar la copia guardada
+    const cached = await caches.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    if (fallbackUrl) {
+      const fallback = await caches.match(fallbackUrl);
+      if (fallback) return fallback;
+    }
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  // La copia más reciente está en esta caché; la del precache solo sirve hasta la primera actualización
+  const cached = await cache.match(event.request) || await caches.match(event.request);
+  const network = fetch(event.request)
+    .then(response => {
+      if (response.ok) {
+        cache.put(event.request, response.clone());
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Las imágenes de otro origen llegan como respuestas opacas (status 0); también se guardan
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+    trimCache(cacheName, maxEntries);
+  }
+  return response;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, RUNTIME_CACHE, 'index.html'));
+    return;
+  }
+
+  const apiPath = getApiPath(request.url);
+  if (apiPath !== null) {
+    if (CACHEABLE_API_PATHS.some(pattern => pattern.test(apiPath))) {
+      event.respondWith(networkFirst(request, API_CACHE));
+    }
+    return;
+  }
+
+  // env.js no va en el precache: al cambiar de entorno o de API la copia guardada apuntaría al servidor anterior
+  if (url.origin === self.location.origin && url.pathname.endsWith('/env.js')) {
+    event.respondWith(networkFirst(request, RUNTIME_CACHE));
+    return;
+  }
+
+  if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGES));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+  }
+});